@@ -0,0 +1,187 @@
+/**
+ * Re-encrypt persisted session data with the current ENCRYPTION_KEY.
+ *
+ * Rotation: set the new key and a bumped ENCRYPTION_KEY_VERSION, move the old
+ * key to ENCRYPTION_PREVIOUS_KEYS, deploy, then run this command. Once it
+ * reports nothing left to rewrite, the old key can be dropped.
+ *
+ * Usage: npm run reencrypt [-- --dry-run]
+ */
+// Load .env first: the encryption keys are read when its module loads
+import 'dotenv/config';
+import { createClient, WatchError } from 'redis';
+
+import { encrypt, decrypt, needsReEncryption } from '../src/core/utils/encryption.js';
+import logger from '../src/core/utils/logger.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+const stats = { rewritten: 0, current: 0, changed: 0 };
+
+const reencrypt = (value) => encrypt(decrypt(value));
+
+/**
+ * Rewrite a key only if nobody (e.g. a live socket saving creds) wrote it
+ * meanwhile. Concurrent writes already use the current key, so a skipped key
+ * needs no further work.
+ */
+const rewriteUnchanged = (client, key, read, write) =>
+  client.executeIsolated(async (isolated) => {
+    await isolated.watch(key);
+    const updates = await read(isolated);
+
+    if (updates.length === 0 || dryRun) {
+      await isolated.unwatch();
+      return updates.length;
+    }
+
+    try {
+      await write(isolated.multi(), updates).exec();
+      return updates.length;
+    } catch (error) {
+      if (error instanceof WatchError) {
+        return null;
+      }
+      throw error;
+    }
+  });
+
+/**
+ * Auth credentials: one encrypted string per session
+ */
+const reencryptString = (client, key) =>
+  rewriteUnchanged(
+    client,
+    key,
+    async (isolated) => {
+      const value = await isolated.get(key);
+      return value && needsReEncryption(value) ? [reencrypt(value)] : [];
+    },
+    (multi, [value]) => multi.set(key, value),
+  );
+
+/**
+ * Signal keys, stored messages, contacts and broadcast lists: one encrypted
+ * value per hash field
+ */
+const reencryptHash = (client, key) =>
+  rewriteUnchanged(
+    client,
+    key,
+    async (isolated) => {
+      const entries = Object.entries(await isolated.hGetAll(key));
+      return entries
+        .filter(([, value]) => needsReEncryption(value))
+        .map(([field, value]) => [field, reencrypt(value)]);
+    },
+    (multi, updates) => multi.hSet(key, Object.fromEntries(updates)),
+  );
+
+/**
+ * Incoming message lists written before the message store: one encrypted
+ * payload per list item. Items are addressed from the tail since new
+ * messages were pushed to the head.
+ */
+const reencryptList = (client, key) =>
+  rewriteUnchanged(
+    client,
+    key,
+    async (isolated) => {
+      const items = await isolated.lRange(key, 0, -1);
+      return items
+        .map((value, index) => [index - items.length, value])
+        .filter(([, value]) => needsReEncryption(value))
+        .map(([index, value]) => [index, reencrypt(value)]);
+    },
+    (multi, updates) =>
+      updates.reduce((transaction, [index, value]) => transaction.lSet(key, index, value), multi),
+  );
+
+/**
+ * Session event streams: one encrypted payload per entry. Entries cannot be
+ * edited, so the stream is rebuilt with the same ids and expiry.
+ */
+const reencryptStream = (client, key) => {
+  let ttl = -1;
+
+  return rewriteUnchanged(
+    client,
+    key,
+    async (isolated) => {
+      const [entries, remaining] = await Promise.all([
+        isolated.xRange(key, '-', '+'),
+        isolated.pTTL(key),
+      ]);
+      ttl = remaining;
+
+      return entries.some(({ message }) => needsReEncryption(message.data))
+        ? entries.map(({ id, message }) => [id, { ...message, data: reencrypt(message.data) }])
+        : [];
+    },
+    (multi, updates) => {
+      const rebuilt = updates.reduce(
+        (transaction, [id, message]) => transaction.xAdd(key, id, message),
+        multi.del(key),
+      );
+      return ttl > 0 ? rebuilt.pExpire(key, ttl) : rebuilt;
+    },
+  );
+};
+
+const TARGETS = [
+  { pattern: /^auth:.+:creds$/, rewrite: reencryptString },
+  { pattern: /^auth:.+:keys$/, rewrite: reencryptHash },
+  { pattern: /^messages:.+:records$/, rewrite: reencryptHash },
+  { pattern: /^contacts:/, rewrite: reencryptHash },
+  { pattern: /^broadcast-lists:/, rewrite: reencryptHash },
+  { pattern: /^chats:/, rewrite: reencryptHash },
+  { pattern: /^messages:.+:incoming$/, rewrite: reencryptList },
+  { pattern: /^events:/, rewrite: reencryptStream },
+];
+
+const recordResult = (count) => {
+  if (count === null) {
+    stats.changed += 1;
+  } else {
+    stats[count > 0 ? 'rewritten' : 'current'] += 1;
+  }
+};
+
+/**
+ * Walk the keyspace once, processing keys one at a time to keep the load on
+ * a live Redis low
+ */
+const processKeys = async (client) => {
+  for await (const key of client.scanIterator()) {
+    const target = TARGETS.find(({ pattern }) => pattern.test(key));
+
+    if (target) {
+      const count = await target.rewrite(client, key);
+      recordResult(count);
+      logger.debug('Key processed', { key, values: count });
+    }
+  }
+};
+
+const run = async () => {
+  const client = createClient({
+    url: process.env.REDIS_URL || 'redis://localhost:6379',
+    database: Number.parseInt(process.env.REDIS_DB, 10) || 0,
+  });
+  await client.connect();
+
+  try {
+    await processKeys(client);
+
+    logger.info(dryRun ? 'Re-encryption dry run finished' : 'Re-encryption finished', stats);
+  } finally {
+    await client.quit();
+  }
+};
+
+try {
+  await run();
+} catch (error) {
+  logger.error('Re-encryption failed', { error: error.message });
+  process.exitCode = 1;
+}
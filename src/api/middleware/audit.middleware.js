@@ -35,7 +35,32 @@ const AUDIT_EVENTS = {
   MESSAGE_SENT: 'MESSAGE_SENT',
   MESSAGE_RECEIVED: 'MESSAGE_RECEIVED',
   MESSAGE_DELETED: 'MESSAGE_DELETED',
+  MESSAGE_EDITED: 'MESSAGE_EDITED',
+  MESSAGE_FORWARDED: 'MESSAGE_FORWARDED',
   MESSAGE_BULK_SENT: 'MESSAGE_BULK_SENT',
+  MEDIA_UPLOADED: 'MEDIA_UPLOADED',
+  
+  // Group events
+  GROUP_CREATED: 'GROUP_CREATED',
+  GROUP_UPDATED: 'GROUP_UPDATED',
+  GROUP_PARTICIPANTS_UPDATED: 'GROUP_PARTICIPANTS_UPDATED',
+  GROUP_INVITE_REVOKED: 'GROUP_INVITE_REVOKED',
+  
+  // Broadcast events
+  BROADCAST_LIST_CREATED: 'BROADCAST_LIST_CREATED',
+  BROADCAST_LIST_UPDATED: 'BROADCAST_LIST_UPDATED',
+  BROADCAST_LIST_DELETED: 'BROADCAST_LIST_DELETED',
+  STATUS_PUBLISHED: 'STATUS_PUBLISHED',
+  
+  // Profile events
+  PROFILE_UPDATED: 'PROFILE_UPDATED',
+  PROFILE_PICTURE_UPDATED: 'PROFILE_PICTURE_UPDATED',
+  PRIVACY_SETTINGS_UPDATED: 'PRIVACY_SETTINGS_UPDATED',
+  
+  // Chat events
+  CHAT_UPDATED: 'CHAT_UPDATED',
+  CHAT_CLEARED: 'CHAT_CLEARED',
+  CHAT_DELETED: 'CHAT_DELETED',
   
   // User management events
   USER_CREATED: 'USER_CREATED',
@@ -70,6 +70,16 @@ const isResourceOwner = (user, resource) => {
   return resource.userId === user.id || resource.ownerId === user.id;
 };
 
+// Roles allowed to access the sessions of every user
+const ADMIN_ROLES = new Set([ROLES.SUPER_ADMIN, ROLES.ADMIN]);
+
+/**
+ * Whether a caller may access the data of a session owned by `ownerId`.
+ * API key callers carry no user and are trusted services.
+ */
+const canAccessSession = (user, ownerId) =>
+  !user || ADMIN_ROLES.has(user.role) || user.id === ownerId;
+
 // Permission check function
 const hasPermission = (userRole, requiredPermission, user, resource) => {
   const rolePermissions = PERMISSIONS[userRole] || [];
@@ -308,11 +318,13 @@ const requireAllPermissions = (...permissions) => {
 
 export {
   ROLES,
+  ADMIN_ROLES,
   PERMISSIONS,
   requireRole,
   requirePermission,
   requireAnyPermission,
   requireAllPermissions,
   hasPermission,
-  isResourceOwner
+  isResourceOwner,
+  canAccessSession
 };
@@ -1,6 +1,8 @@
 import Joi from 'joi';
 import DOMPurify from 'isomorphic-dompurify';
 import logger from '../../core/utils/logger.js';
+import { logAuditEvent } from './audit.middleware.js';
+import { canAccessSession } from './rbac.middleware.js';
 import schemas from './validation.schemas.js';
 
 /**
@@ -205,11 +207,85 @@ const validateSessionOwnership = async (req, res, next) => {
   next();
 };
 
+/**
+ * Whether the caller may access a session: admins any, users their own.
+ * API key callers carry no user and are trusted services.
+ */
+const callerCanAccessSession = (req, sessionManager, sessionId) =>
+  canAccessSession(req.user, sessionManager.parseSessionId(sessionId).userId);
+
+/**
+ * Restrict a route to callers allowed to access the session in its
+ * validated path
+ */
+const requireSessionAccess = (sessionManager) => (req, res, next) => {
+  if (callerCanAccessSession(req, sessionManager, req.validatedParams.sessionId)) {
+    next();
+    return;
+  }
+
+  res.status(403).json({
+    success: false,
+    error: 'Access denied to this session',
+  });
+};
+
+/**
+ * Route handler running an operation on a session the caller may access,
+ * answering with the fields it resolves to.
+ *
+ * The operation gets the validated query, body and path merged, path last,
+ * so it acts on the session access was checked for. It is audited with
+ * `auditDetails(input, result)` when it has an `auditEvent`. Errors from
+ * WhatsApp or the services (e.g. 404, 409) keep their status code and
+ * message; anything else answers a plain 500.
+ */
+const sessionOperation = (operation) => (sessionManager) => async (req, res) => {
+  const { name, run, auditEvent, auditDetails = () => ({}), status = 200 } = operation;
+  const input = { ...req.validatedQuery, ...req.validatedBody, ...req.validatedParams };
+  const { sessionId } = input;
+
+  if (!callerCanAccessSession(req, sessionManager, sessionId)) {
+    res.status(403).json({ success: false, error: 'Access denied to this session' });
+    return;
+  }
+
+  try {
+    const result = await run(sessionManager, input);
+
+    if (auditEvent) {
+      await logAuditEvent(auditEvent, req, {
+        sessionId,
+        ...auditDetails(input, result),
+        severity: 'INFO',
+      });
+    }
+
+    res.status(status).json({ success: true, sessionId, ...result });
+  } catch (error) {
+    logger.error(`Failed to ${name}`, {
+      ...req.validatedParams,
+      sessionId,
+      error: error.message,
+      requestId: req.id,
+    });
+
+    res.status(error.isBoom ? error.output.statusCode : 500).json({
+      success: false,
+      error: `Failed to ${name}`,
+      ...(error.isBoom && { message: error.message }),
+    });
+  }
+};
+
 export {
   validateBody,
   validateParams,
   validateQuery,
   sanitizeInput,
   validateSessionOwnership,
+  callerCanAccessSession,
+  requireSessionAccess,
+  sessionOperation,
   schemas
 };
@@ -9,6 +9,130 @@ const patterns = {
   messageId: /^[a-zA-Z0-9_-]+$/
 };
 
+// Message payloads per type of schemas.sendMessage. Media comes from a
+// public URL or a file uploaded through POST /api/media/upload.
+const mediaMessage = {
+  mediaUrl: Joi.string().uri(),
+  mediaId: Joi.string().guid({ version: 'uuidv4' }),
+};
+
+const messageContent = {
+  text: Joi.alternatives().try(
+    Joi.string().min(1).max(4096),
+    Joi.object({
+      text: Joi.string().min(1).max(4096).required(),
+    }),
+  ),
+  image: Joi.object({
+    ...mediaMessage,
+    caption: Joi.string().max(1024),
+  }).xor('mediaUrl', 'mediaId'),
+  document: Joi.object({
+    ...mediaMessage,
+    fileName: Joi.string().max(255),
+    mimetype: Joi.string().max(255),
+    caption: Joi.string().max(1024),
+  }).xor('mediaUrl', 'mediaId'),
+  audio: Joi.object({
+    ...mediaMessage,
+    // Send as a voice note instead of an audio file
+    ptt: Joi.boolean().default(false),
+    mimetype: Joi.string().max(255),
+  }).xor('mediaUrl', 'mediaId'),
+  video: Joi.object({
+    ...mediaMessage,
+    caption: Joi.string().max(1024),
+    gifPlayback: Joi.boolean().default(false),
+  }).xor('mediaUrl', 'mediaId'),
+  sticker: Joi.object(mediaMessage).xor('mediaUrl', 'mediaId'),
+  location: Joi.object({
+    latitude: Joi.number().min(-90).max(90).required(),
+    longitude: Joi.number().min(-180).max(180).required(),
+    name: Joi.string().max(255),
+    address: Joi.string().max(1024),
+  }),
+  contact: Joi.object({
+    contacts: Joi.array()
+      .items(
+        Joi.object({
+          fullName: Joi.string().min(1).max(255).required(),
+          phoneNumber: Joi.string().pattern(patterns.phoneNumber).required(),
+          organization: Joi.string().max(255),
+          email: Joi.string().email(),
+        }),
+      )
+      .min(1)
+      .max(10)
+      .required(),
+  }),
+  poll: Joi.object({
+    name: Joi.string().min(1).max(255).required(),
+    values: Joi.array().items(Joi.string().min(1).max(100)).min(2).max(12).unique().required(),
+    // How many options a voter may pick, 0 for any number
+    selectableCount: Joi.number().integer().min(0).max(Joi.ref('values.length')).default(1),
+  }),
+  list: Joi.object({
+    title: Joi.string().max(60),
+    text: Joi.string().min(1).max(1024).required(),
+    footer: Joi.string().max(60),
+    buttonText: Joi.string().max(20).default('Options'),
+    sections: Joi.array()
+      .items(
+        Joi.object({
+          title: Joi.string().max(24),
+          rows: Joi.array()
+            .items(
+              Joi.object({
+                id: Joi.string().max(200).required(),
+                title: Joi.string().max(24).required(),
+                description: Joi.string().max(72),
+              }),
+            )
+            .min(1)
+            .max(10)
+            .required(),
+        }),
+      )
+      .min(1)
+      .max(10)
+      .required(),
+  }),
+  buttons: Joi.object({
+    text: Joi.string().min(1).max(1024).required(),
+    footer: Joi.string().max(60),
+    buttons: Joi.array()
+      .items(
+        Joi.object({
+          id: Joi.string().max(256).required(),
+          text: Joi.string().max(20).required(),
+        }),
+      )
+      .min(1)
+      .max(3)
+      .unique('id')
+      .required(),
+  }),
+};
+
+// Message payload matching the `type` of the request, out of the types given
+const messageOfType = (types) =>
+  Joi.when('type', {
+    switch: Object.entries(messageContent)
+      .filter(([type]) => types.includes(type))
+      .map(([type, schema]) => ({ is: type, then: schema })),
+  }).required();
+
+// Status updates can be text, an image or a video
+const STATUS_TYPES = ['text', 'image', 'video'];
+// proto.Message.ExtendedTextMessage.FontType values
+const STATUS_FONTS = [0, 1, 2, 6, 7, 8, 9, 10];
+
+const recipientList = Joi.array()
+  .items(Joi.string().pattern(patterns.phoneNumber))
+  .min(1)
+  .max(1000)
+  .unique();
+
 // Validation schemas
 const schemas = {
   // Authentication
@@ -22,6 +146,12 @@ const schemas = {
     userId: Joi.string().pattern(patterns.userId).required(),
     plubotId: Joi.string().pattern(patterns.plubotId).required(),
     forceNew: Joi.boolean().default(false),
+    authMethod: Joi.string().valid('qr', 'pairing_code').default('qr'),
+    phoneNumber: Joi.string().pattern(patterns.phoneNumber).when('authMethod', {
+      is: 'pairing_code',
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    }),
     metadata: Joi.object().optional()
   }),
 
@@ -38,16 +168,43 @@ const schemas = {
   sendMessage: Joi.object({
     sessionId: Joi.string().pattern(patterns.sessionId).required(),
     to: Joi.string().pattern(patterns.phoneNumber).required(),
-    message: Joi.alternatives().try(
-      Joi.string().min(1).max(4096),
-      Joi.object({
-        text: Joi.string().min(1).max(4096),
-        mediaUrl: Joi.string().uri(),
-        caption: Joi.string().max(1024),
-        fileName: Joi.string().max(255)
-      })
-    ).required(),
-    type: Joi.string().valid('text', 'image', 'document', 'audio', 'video').default('text')
+    type: Joi.string()
+      .valid(...Object.keys(messageContent))
+      .default('text'),
+    message: messageOfType(Object.keys(messageContent)),
+    // Reply to a recent message of the session
+    quotedMessageId: Joi.string().pattern(patterns.messageId),
+    // Phone numbers @mentioned in the text or caption
+    mentions: Joi.array().items(Joi.string().pattern(patterns.phoneNumber)).max(256),
+  }),
+
+  editMessage: Joi.object({
+    sessionId: Joi.string().pattern(patterns.sessionId).required(),
+    messageId: Joi.string().pattern(patterns.messageId).required(),
+    text: Joi.string().min(1).max(4096).required(),
+  }),
+
+  revokeMessage: Joi.object({
+    sessionId: Joi.string().pattern(patterns.sessionId).required(),
+    messageId: Joi.string().pattern(patterns.messageId).required(),
+  }),
+
+  forwardMessage: Joi.object({
+    sessionId: Joi.string().pattern(patterns.sessionId).required(),
+    messageId: Joi.string().pattern(patterns.messageId).required(),
+    to: Joi.array()
+      .items(Joi.string().pattern(patterns.phoneNumber))
+      .min(1)
+      .max(20)
+      .unique()
+      .required(),
+  }),
+
+  reactMessage: Joi.object({
+    sessionId: Joi.string().pattern(patterns.sessionId).required(),
+    messageId: Joi.string().pattern(patterns.messageId).required(),
+    // An empty string removes the reaction
+    emoji: Joi.string().allow('').max(16).required(),
   }),
 
   sendBulkMessages: Joi.object({
@@ -68,11 +225,23 @@ const schemas = {
     offset: Joi.number().integer().min(0).default(0)
   }),
 
-  checkNumber: Joi.object({
+  // Chat list, optionally only archived or unarchived chats, or the ones
+  // with a WhatsApp Business label
+  getChats: Joi.object({
     sessionId: Joi.string().pattern(patterns.sessionId).required(),
-    phoneNumber: Joi.string().pattern(patterns.phoneNumber).required()
+    limit: Joi.number().integer().min(1).max(1000).default(50),
+    offset: Joi.number().integer().min(0).default(0),
+    archived: Joi.boolean(),
+    label: Joi.string().pattern(/^\d+$/),
   }),
 
+  // One number, or up to 50 at once
+  checkNumber: Joi.object({
+    sessionId: Joi.string().pattern(patterns.sessionId).required(),
+    phoneNumber: Joi.string().pattern(patterns.phoneNumber),
+    phoneNumbers: Joi.array().items(Joi.string().pattern(patterns.phoneNumber)).min(1).max(50),
+  }).xor('phoneNumber', 'phoneNumbers'),
+
   // Group management
   createGroup: Joi.object({
     sessionId: Joi.string().pattern(patterns.sessionId).required(),
@@ -91,6 +260,83 @@ const schemas = {
     ).min(1).max(256).required()
   }),
 
+  // Broadcast lists and status updates
+  broadcastList: Joi.object({
+    sessionId: Joi.string().pattern(patterns.sessionId).required(),
+    name: Joi.string().min(1).max(100).required(),
+    recipients: recipientList.required(),
+  }),
+
+  sendBroadcast: Joi.object({
+    sessionId: Joi.string().pattern(patterns.sessionId).required(),
+    listId: Joi.string().guid({ version: 'uuidv4' }).required(),
+    type: Joi.string()
+      .valid(...Object.keys(messageContent))
+      .default('text'),
+    message: messageOfType(Object.keys(messageContent)),
+  }),
+
+  // Shown to the given phone numbers or to the recipients of a broadcast list
+  publishStatus: Joi.object({
+    sessionId: Joi.string().pattern(patterns.sessionId).required(),
+    type: Joi.string()
+      .valid(...STATUS_TYPES)
+      .default('text'),
+    message: messageOfType(STATUS_TYPES),
+    // Background and font of text statuses
+    backgroundColor: Joi.string()
+      .pattern(/^#[\dA-Fa-f]{6}$/)
+      .when('type', {
+        not: 'text',
+        then: Joi.forbidden(),
+      }),
+    font: Joi.number()
+      .valid(...STATUS_FONTS)
+      .when('type', {
+        not: 'text',
+        then: Joi.forbidden(),
+      }),
+    recipients: recipientList,
+    listId: Joi.string().guid({ version: 'uuidv4' }),
+  }).xor('recipients', 'listId'),
+
+  // Profile of the linked account
+  updateProfile: Joi.object({
+    sessionId: Joi.string().pattern(patterns.sessionId).required(),
+    // Display (push) name
+    name: Joi.string().min(1).max(25),
+    // Empty to clear the about text
+    about: Joi.string().allow('').max(139),
+  }).or('name', 'about'),
+
+  // About text and picture of another account
+  contactProfile: Joi.object({
+    sessionId: Joi.string().pattern(patterns.sessionId).required(),
+    phoneNumber: Joi.string().pattern(patterns.phoneNumber).required(),
+  }),
+
+  // Who can see or do what, see the privacy values of Baileys
+  updatePrivacy: Joi.object({
+    sessionId: Joi.string().pattern(patterns.sessionId).required(),
+    lastSeen: Joi.string().valid('all', 'contacts', 'contact_blacklist', 'none'),
+    online: Joi.string().valid('all', 'match_last_seen'),
+    profilePicture: Joi.string().valid('all', 'contacts', 'contact_blacklist', 'none'),
+    about: Joi.string().valid('all', 'contacts', 'contact_blacklist', 'none'),
+    readReceipts: Joi.string().valid('all', 'none'),
+    groupAdd: Joi.string().valid('all', 'contacts', 'contact_blacklist'),
+    calls: Joi.string().valid('all', 'known'),
+    messages: Joi.string().valid('all', 'contacts'),
+  }).or(
+    'lastSeen',
+    'online',
+    'profilePicture',
+    'about',
+    'readReceipts',
+    'groupAdd',
+    'calls',
+    'messages',
+  ),
+
   // Media handling
   uploadMedia: Joi.object({
     sessionId: Joi.string().pattern(patterns.sessionId).required(),
@@ -100,6 +346,20 @@ const schemas = {
     size: Joi.number().integer().max(64 * 1024 * 1024) // 64MB max
   }),
 
+  mediaId: Joi.object({
+    mediaId: Joi.string().guid({ version: 'uuidv4' }).required(),
+  }),
+
+  messageId: Joi.object({
+    messageId: Joi.string().pattern(patterns.messageId).required(),
+  }),
+
+  // Query of a signed media download URL (see MediaService.signUrl)
+  signedMedia: Joi.object({
+    expires: Joi.number().integer().positive().required(),
+    signature: Joi.string().hex().length(64).required(),
+  }),
+
   // Webhook configuration
   configureWebhook: Joi.object({
     sessionId: Joi.string().pattern(patterns.sessionId).required(),
@@ -126,6 +386,12 @@ const schemas = {
     sortOrder: Joi.string().valid('asc', 'desc').default('desc')
   }),
 
+  qrImage: Joi.object({
+    format: Joi.string().valid('png', 'svg', 'dataurl', 'terminal'),
+    size: Joi.number().integer().min(100).max(1000).default(300),
+    margin: Joi.number().integer().min(0).max(10).default(4),
+  }),
+
   dateRange: Joi.object({
     startDate: Joi.date().iso(),
     endDate: Joi.date().iso().greater(Joi.ref('startDate'))
@@ -0,0 +1,182 @@
+import express from 'express';
+import Joi from 'joi';
+
+import { AUDIT_EVENTS } from '../middleware/audit.middleware.js';
+import { messageLimiter } from '../middleware/rateLimiter.middleware.js';
+import { requirePermission } from '../middleware/rbac.middleware.js';
+import {
+  validateBody,
+  validateParams,
+  sessionOperation,
+  schemas,
+} from '../middleware/validation.middleware.js';
+
+const LISTS_PATH = '/sessions/:sessionId/broadcast-lists';
+const LIST_PATH = `${LISTS_PATH}/:listId`;
+
+const uuid = Joi.string().guid({ version: 'uuidv4' }).required();
+
+const listPath = schemas.sessionId.keys({ listId: uuid });
+const broadcastPath = schemas.sessionId.keys({ broadcastId: uuid });
+
+// Session and list ids come from the path only
+const listBody = schemas.broadcastList.fork(['sessionId'], (schema) => schema.forbidden());
+const broadcastBody = schemas.sendBroadcast.fork(['sessionId', 'listId'], (schema) =>
+  schema.forbidden(),
+);
+const statusBody = schemas.publishStatus.fork(['sessionId'], (schema) => schema.forbidden());
+
+/**
+ * Operation on the broadcasts of a session, audited with the list it
+ * changed. Missing lists answer 404 and disconnected sessions 409.
+ */
+function broadcastOperation({ run, ...operation }) {
+  return ({ sessionManager, broadcasts }) =>
+    sessionOperation({
+      ...operation,
+      run: (_, input) => run(broadcasts, input),
+      auditDetails: ({ listId }, result) => ({ listId: listId ?? result.list?.id }),
+    })(sessionManager);
+}
+
+const getLists = broadcastOperation({
+  name: 'get broadcast lists',
+  run: async (broadcasts, { sessionId }) => ({ lists: await broadcasts.getLists(sessionId) }),
+});
+
+const createList = broadcastOperation({
+  name: 'create broadcast list',
+  auditEvent: AUDIT_EVENTS.BROADCAST_LIST_CREATED,
+  status: 201,
+  run: async (broadcasts, { sessionId, name, recipients }) => ({
+    list: await broadcasts.createList(sessionId, { name, recipients }),
+  }),
+});
+
+const getList = broadcastOperation({
+  name: 'get broadcast list',
+  run: async (broadcasts, { sessionId, listId }) => ({
+    list: await broadcasts.getList(sessionId, listId),
+  }),
+});
+
+/**
+ * Replace the name and recipients of a list
+ */
+const updateList = broadcastOperation({
+  name: 'update broadcast list',
+  auditEvent: AUDIT_EVENTS.BROADCAST_LIST_UPDATED,
+  run: async (broadcasts, { sessionId, listId, name, recipients }) => ({
+    list: await broadcasts.updateList(sessionId, listId, { name, recipients }),
+  }),
+});
+
+const deleteList = broadcastOperation({
+  name: 'delete broadcast list',
+  auditEvent: AUDIT_EVENTS.BROADCAST_LIST_DELETED,
+  run: async (broadcasts, { sessionId, listId }) => {
+    await broadcasts.deleteList(sessionId, listId);
+    return { listId };
+  },
+});
+
+/**
+ * Queue a message to every recipient of a list. Answers 202 with the
+ * broadcast, whose progress can be followed by id.
+ */
+const sendBroadcast = broadcastOperation({
+  name: 'send broadcast',
+  auditEvent: AUDIT_EVENTS.MESSAGE_BULK_SENT,
+  status: 202,
+  run: async (broadcasts, { sessionId, listId, type, message }) => ({
+    broadcast: await broadcasts.send(sessionId, listId, { type, message }),
+  }),
+});
+
+const getBroadcast = broadcastOperation({
+  name: 'get broadcast',
+  run: async (broadcasts, { sessionId, broadcastId }) => ({
+    broadcast: await broadcasts.getBroadcast(sessionId, broadcastId),
+  }),
+});
+
+/**
+ * Publish a status update (story) to the given audience
+ */
+const publishStatus = broadcastOperation({
+  name: 'publish status',
+  auditEvent: AUDIT_EVENTS.STATUS_PUBLISHED,
+  status: 201,
+  run: async (broadcasts, { sessionId, ...status }) => ({
+    status: await broadcasts.publishStatus(sessionId, status),
+  }),
+});
+
+/**
+ * Routes managing broadcast lists; lists only hold recipients, so the
+ * messaging permissions apply
+ */
+const addListRoutes = (router, dependencies, { readPermission, sendPermission }) => {
+  router.get(LISTS_PATH, readPermission, validateParams(schemas.sessionId), getLists(dependencies));
+
+  router.post(
+    LISTS_PATH,
+    sendPermission,
+    validateParams(schemas.sessionId),
+    validateBody(listBody),
+    createList(dependencies),
+  );
+
+  router.get(LIST_PATH, readPermission, validateParams(listPath), getList(dependencies));
+
+  router.put(
+    LIST_PATH,
+    sendPermission,
+    validateParams(listPath),
+    validateBody(listBody),
+    updateList(dependencies),
+  );
+
+  router.delete(LIST_PATH, sendPermission, validateParams(listPath), deleteList(dependencies));
+};
+
+/**
+ * Broadcast and status routes mounted on the authenticated API router
+ */
+function createBroadcastRoutes({ sessionManager, broadcasts }) {
+  const router = express.Router();
+  const dependencies = { sessionManager, broadcasts };
+  const readPermission = requirePermission('messages:read');
+  const sendPermission = requirePermission('messages:send');
+
+  addListRoutes(router, dependencies, { readPermission, sendPermission });
+
+  router.post(
+    `${LIST_PATH}/send`,
+    messageLimiter,
+    sendPermission,
+    validateParams(listPath),
+    validateBody(broadcastBody),
+    sendBroadcast(dependencies),
+  );
+
+  router.get(
+    '/sessions/:sessionId/broadcasts/:broadcastId',
+    readPermission,
+    validateParams(broadcastPath),
+    getBroadcast(dependencies),
+  );
+
+  router.post(
+    '/sessions/:sessionId/status',
+    messageLimiter,
+    sendPermission,
+    validateParams(schemas.sessionId),
+    validateBody(statusBody),
+    publishStatus(dependencies),
+  );
+
+  return router;
+}
+
+export { createBroadcastRoutes };
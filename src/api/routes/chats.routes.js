@@ -0,0 +1,243 @@
+import express from 'express';
+import Joi from 'joi';
+
+import { AUDIT_EVENTS } from '../middleware/audit.middleware.js';
+import { messageLimiter } from '../middleware/rateLimiter.middleware.js';
+import { requirePermission } from '../middleware/rbac.middleware.js';
+import {
+  validateBody,
+  validateParams,
+  validateQuery,
+  sessionOperation,
+  schemas,
+} from '../middleware/validation.middleware.js';
+
+const CHAT_PATH = '/sessions/:sessionId/chats/:chatId';
+
+// Chat JIDs (5491122334455@s.whatsapp.net, 120363...@g.us) or phone numbers
+const CHAT_ID_PATTERN = /^\+?\d[\d-]*(?:@(?:s\.whatsapp\.net|g\.us|lid))?$/;
+
+const chatPath = schemas.sessionId.keys({
+  chatId: Joi.string().pattern(CHAT_ID_PATTERN).required(),
+});
+const labelPath = chatPath.keys({
+  labelId: Joi.string().pattern(/^\d+$/).required(),
+});
+
+// The session id comes from the path only
+const chatsQuery = schemas.getChats.fork(['sessionId'], (schema) => schema.forbidden());
+
+const muteBody = Joi.object({
+  // Seconds, up to a year; muted until unmuted when left out
+  duration: Joi.number().integer().min(60).max(31_536_000),
+});
+
+/**
+ * Operation on the chats of a session, audited with the chat it changed.
+ * Unknown chats answer 404 and disconnected sessions 409.
+ */
+const chatOperation = ({ run, auditDetails = () => ({}), ...operation }) =>
+  sessionOperation({
+    ...operation,
+    run: (sessionManager, input) => run(sessionManager.chats, input),
+    auditDetails: (input) => ({ chatId: input.chatId, ...auditDetails(input) }),
+  });
+
+/**
+ * Chats of a session, pinned first and then by last activity, with their
+ * unread count and last message preview
+ */
+const listChats = chatOperation({
+  name: 'get chats',
+  run: async (chats, { sessionId, limit, offset, archived, label }) => {
+    const result = await chats.list(sessionId, { limit, offset, archived, labelId: label });
+
+    return { chats: result.chats, pagination: { limit, offset, total: result.total } };
+  },
+});
+
+const listLabels = chatOperation({
+  name: 'get labels',
+  run: async (chats, { sessionId }) => ({ labels: await chats.listLabels(sessionId) }),
+});
+
+const getChat = chatOperation({
+  name: 'get chat',
+  run: async (chats, { sessionId, chatId }) => ({ chat: await chats.get(sessionId, chatId) }),
+});
+
+/**
+ * Operation changing a flag of a chat, answering with the updated chat
+ */
+const chatChange = (name, change, auditDetails) =>
+  chatOperation({
+    name,
+    auditEvent: AUDIT_EVENTS.CHAT_UPDATED,
+    run: async (chats, { sessionId, chatId, ...input }) => ({
+      chat: await change(chats, sessionId, chatId, input),
+    }),
+    auditDetails,
+  });
+
+const markRead = chatChange(
+  'mark chat read',
+  (chats, sessionId, chatId) => chats.markRead(sessionId, chatId, true),
+  () => ({ read: true }),
+);
+const markUnread = chatChange(
+  'mark chat unread',
+  (chats, sessionId, chatId) => chats.markRead(sessionId, chatId, false),
+  () => ({ read: false }),
+);
+const archiveChat = chatChange(
+  'archive chat',
+  (chats, sessionId, chatId) => chats.archive(sessionId, chatId, true),
+  () => ({ archived: true }),
+);
+const unarchiveChat = chatChange(
+  'unarchive chat',
+  (chats, sessionId, chatId) => chats.archive(sessionId, chatId, false),
+  () => ({ archived: false }),
+);
+const pinChat = chatChange(
+  'pin chat',
+  (chats, sessionId, chatId) => chats.pin(sessionId, chatId, true),
+  () => ({ pinned: true }),
+);
+const unpinChat = chatChange(
+  'unpin chat',
+  (chats, sessionId, chatId) => chats.pin(sessionId, chatId, false),
+  () => ({ pinned: false }),
+);
+const muteChat = chatChange(
+  'mute chat',
+  (chats, sessionId, chatId, { duration }) => chats.mute(sessionId, chatId, duration),
+  ({ duration }) => ({ muted: true, duration: duration ?? null }),
+);
+const unmuteChat = chatChange(
+  'unmute chat',
+  (chats, sessionId, chatId) => chats.unmute(sessionId, chatId),
+  () => ({ muted: false }),
+);
+const addLabel = chatChange(
+  'add chat label',
+  (chats, sessionId, chatId, { labelId }) => chats.setLabel(sessionId, chatId, labelId, true),
+  ({ labelId }) => ({ labelId, labeled: true }),
+);
+const removeLabel = chatChange(
+  'remove chat label',
+  (chats, sessionId, chatId, { labelId }) => chats.setLabel(sessionId, chatId, labelId, false),
+  ({ labelId }) => ({ labelId, labeled: false }),
+);
+
+/**
+ * Delete the messages of a chat, keeping it in the chat list
+ */
+const clearChat = chatOperation({
+  name: 'clear chat',
+  auditEvent: AUDIT_EVENTS.CHAT_CLEARED,
+  run: async (chats, { sessionId, chatId }) => {
+    await chats.clear(sessionId, chatId);
+    return { chatId };
+  },
+});
+
+const deleteChat = chatOperation({
+  name: 'delete chat',
+  auditEvent: AUDIT_EVENTS.CHAT_DELETED,
+  run: async (chats, { sessionId, chatId }) => {
+    await chats.delete(sessionId, chatId);
+    return { chatId };
+  },
+});
+
+/**
+ * Flags set with PUT and unset with DELETE on their own path: read, archive,
+ * pin, mute and labels
+ */
+const addFlagRoutes = (router, sessionManager, guards) => {
+  const flags = [
+    ['read', markRead, markUnread],
+    ['archive', archiveChat, unarchiveChat],
+    ['pin', pinChat, unpinChat],
+  ];
+
+  for (const [flag, set, unset] of flags) {
+    router.put(`${CHAT_PATH}/${flag}`, ...guards, validateParams(chatPath), set(sessionManager));
+    router.delete(
+      `${CHAT_PATH}/${flag}`,
+      ...guards,
+      validateParams(chatPath),
+      unset(sessionManager),
+    );
+  }
+
+  router.put(
+    `${CHAT_PATH}/mute`,
+    ...guards,
+    validateParams(chatPath),
+    validateBody(muteBody),
+    muteChat(sessionManager),
+  );
+  router.delete(
+    `${CHAT_PATH}/mute`,
+    ...guards,
+    validateParams(chatPath),
+    unmuteChat(sessionManager),
+  );
+
+  router.put(
+    `${CHAT_PATH}/labels/:labelId`,
+    ...guards,
+    validateParams(labelPath),
+    addLabel(sessionManager),
+  );
+  router.delete(
+    `${CHAT_PATH}/labels/:labelId`,
+    ...guards,
+    validateParams(labelPath),
+    removeLabel(sessionManager),
+  );
+};
+
+/**
+ * Chat list and inbox operations mounted on the authenticated API router.
+ * Changes are synced to WhatsApp, so they share the message rate limit.
+ */
+function createChatRoutes({ sessionManager }) {
+  const router = express.Router();
+  const readGuards = [requirePermission('messages:read')];
+  const changeGuards = [messageLimiter, requirePermission('messages:send')];
+
+  router.get(
+    '/sessions/:sessionId/chats',
+    ...readGuards,
+    validateParams(schemas.sessionId),
+    validateQuery(chatsQuery),
+    listChats(sessionManager),
+  );
+
+  router.get(
+    '/sessions/:sessionId/labels',
+    ...readGuards,
+    validateParams(schemas.sessionId),
+    listLabels(sessionManager),
+  );
+
+  router.get(CHAT_PATH, ...readGuards, validateParams(chatPath), getChat(sessionManager));
+
+  addFlagRoutes(router, sessionManager, changeGuards);
+
+  router.post(
+    `${CHAT_PATH}/clear`,
+    ...changeGuards,
+    validateParams(chatPath),
+    clearChat(sessionManager),
+  );
+
+  router.delete(CHAT_PATH, ...changeGuards, validateParams(chatPath), deleteChat(sessionManager));
+
+  return router;
+}
+
+export { createChatRoutes };
@@ -0,0 +1,66 @@
+import express from 'express';
+
+import { messageLimiter } from '../middleware/rateLimiter.middleware.js';
+import { requirePermission } from '../middleware/rbac.middleware.js';
+import {
+  validateBody,
+  validateParams,
+  validateQuery,
+  sessionOperation,
+  schemas,
+} from '../middleware/validation.middleware.js';
+
+// The session id comes from the path only
+const contactsQuery = schemas.getContacts.fork(['sessionId'], (schema) => schema.forbidden());
+const checkNumberBody = schemas.checkNumber.fork(['sessionId'], (schema) => schema.forbidden());
+
+/**
+ * Contacts synced by a session, sorted by name, with offset pagination
+ */
+const listContacts = sessionOperation({
+  name: 'get contacts',
+  run: async (sessionManager, { sessionId, limit, offset }) => {
+    const { contacts, total } = await sessionManager.getContacts(sessionId, { limit, offset });
+
+    return { contacts, pagination: { limit, offset, total } };
+  },
+});
+
+/**
+ * Whether one or more phone numbers are registered on WhatsApp
+ */
+const checkNumbers = sessionOperation({
+  name: 'check numbers',
+  run: async (sessionManager, { sessionId, phoneNumber, phoneNumbers = [phoneNumber] }) => ({
+    results: await sessionManager.checkNumbers(sessionId, phoneNumbers),
+  }),
+});
+
+/**
+ * Contact routes mounted on the authenticated API router
+ */
+function createContactRoutes({ sessionManager }) {
+  const router = express.Router();
+
+  router.get(
+    '/sessions/:sessionId/contacts',
+    requirePermission('sessions:read'),
+    validateParams(schemas.sessionId),
+    validateQuery(contactsQuery),
+    listContacts(sessionManager),
+  );
+
+  // Lookups hit WhatsApp servers, so they share the message rate limit
+  router.post(
+    '/sessions/:sessionId/check-number',
+    messageLimiter,
+    requirePermission('messages:send'),
+    validateParams(schemas.sessionId),
+    validateBody(checkNumberBody),
+    checkNumbers(sessionManager),
+  );
+
+  return router;
+}
+
+export { createContactRoutes };
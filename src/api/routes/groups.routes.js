@@ -0,0 +1,206 @@
+import express from 'express';
+import Joi from 'joi';
+
+import { AUDIT_EVENTS } from '../middleware/audit.middleware.js';
+import { messageLimiter } from '../middleware/rateLimiter.middleware.js';
+import { requirePermission } from '../middleware/rbac.middleware.js';
+import {
+  validateBody,
+  validateParams,
+  sessionOperation,
+  schemas,
+} from '../middleware/validation.middleware.js';
+
+// Group JIDs (120363...@g.us) or their id; older groups are creator-timestamp
+const GROUP_ID_PATTERN = /^\d[\d-]*(?:@g\.us)?$/;
+
+const groupPath = schemas.sessionId.keys({
+  groupId: Joi.string().pattern(GROUP_ID_PATTERN).required(),
+});
+
+// Session and group ids come from the path only
+const createGroupBody = schemas.createGroup.fork(['sessionId'], (schema) => schema.forbidden());
+const participantsBody = schemas.updateGroup.fork(['sessionId', 'groupId'], (schema) =>
+  schema.forbidden(),
+);
+
+const updateGroupBody = Joi.object({
+  subject: Joi.string().min(1).max(100),
+  // Empty to remove the description
+  description: Joi.string().allow('').max(2048),
+  // Only admins can send messages
+  announce: Joi.boolean(),
+  // Only admins can edit the group info
+  locked: Joi.boolean(),
+}).min(1);
+
+/**
+ * Operation on the groups of a session, audited with the group it changed.
+ * WhatsApp errors (e.g. 403 when the session is not a group admin) keep
+ * their status code.
+ */
+const groupOperation = ({ run, ...operation }) =>
+  sessionOperation({
+    ...operation,
+    run: (sessionManager, input) => run(sessionManager.groups, input),
+    auditDetails: ({ groupId }, result) => ({ groupId: groupId ?? result.group?.id }),
+  });
+
+/**
+ * Groups the session takes part in, with their participants
+ */
+const listGroups = groupOperation({
+  name: 'list groups',
+  run: async (groups, { sessionId }) => ({ groups: await groups.list(sessionId) }),
+});
+
+const getGroup = groupOperation({
+  name: 'get group',
+  run: async (groups, { sessionId, groupId }) => ({
+    group: await groups.get(sessionId, groupId),
+  }),
+});
+
+/**
+ * Create a group with the session as admin
+ */
+const createGroup = groupOperation({
+  name: 'create group',
+  auditEvent: AUDIT_EVENTS.GROUP_CREATED,
+  status: 201,
+  run: async (groups, { sessionId, ...group }) => ({
+    group: await groups.create(sessionId, group),
+  }),
+});
+
+/**
+ * Add, remove, promote or demote participants
+ */
+const updateParticipants = groupOperation({
+  name: 'update participants of group',
+  auditEvent: AUDIT_EVENTS.GROUP_PARTICIPANTS_UPDATED,
+  run: async (groups, { sessionId, groupId, action, participants }) => ({
+    groupId,
+    action,
+    results: await groups.updateParticipants(sessionId, groupId, action, participants),
+  }),
+});
+
+/**
+ * Change subject, description and settings
+ */
+const updateGroup = groupOperation({
+  name: 'update group',
+  auditEvent: AUDIT_EVENTS.GROUP_UPDATED,
+  run: async (groups, { sessionId, groupId, ...changes }) => ({
+    group: await groups.update(sessionId, groupId, changes),
+  }),
+});
+
+/**
+ * Set the group picture from an uploaded image
+ */
+const setGroupPicture = groupOperation({
+  name: 'set picture of group',
+  auditEvent: AUDIT_EVENTS.GROUP_UPDATED,
+  run: async (groups, { sessionId, groupId, mediaId }) => {
+    await groups.setPicture(sessionId, groupId, mediaId);
+    return { groupId };
+  },
+});
+
+const getInviteLink = groupOperation({
+  name: 'get invite link of group',
+  run: (groups, { sessionId, groupId }) => groups.getInviteLink(sessionId, groupId),
+});
+
+/**
+ * Invalidate the invite link; the response carries the new one
+ */
+const revokeInviteLink = groupOperation({
+  name: 'revoke invite link of group',
+  auditEvent: AUDIT_EVENTS.GROUP_INVITE_REVOKED,
+  run: (groups, { sessionId, groupId }) => groups.revokeInviteLink(sessionId, groupId),
+});
+
+/**
+ * Routes reading groups, with the sessions:read permission
+ */
+const addReadRoutes = (router, sessionManager) => {
+  const readPermission = requirePermission('sessions:read');
+
+  router.get(
+    '/sessions/:sessionId/groups',
+    readPermission,
+    validateParams(schemas.sessionId),
+    listGroups(sessionManager),
+  );
+
+  router.get(
+    '/sessions/:sessionId/groups/:groupId',
+    readPermission,
+    validateParams(groupPath),
+    getGroup(sessionManager),
+  );
+
+  router.get(
+    '/sessions/:sessionId/groups/:groupId/invite',
+    readPermission,
+    validateParams(groupPath),
+    getInviteLink(sessionManager),
+  );
+};
+
+/**
+ * Group routes mounted on the authenticated API router
+ */
+function createGroupRoutes({ sessionManager }) {
+  const router = express.Router();
+  // Group changes hit WhatsApp servers, so they share the message rate limit
+  const changeGuards = [messageLimiter, requirePermission('sessions:update')];
+
+  addReadRoutes(router, sessionManager);
+
+  router.post(
+    '/sessions/:sessionId/groups',
+    ...changeGuards,
+    validateParams(schemas.sessionId),
+    validateBody(createGroupBody),
+    createGroup(sessionManager),
+  );
+
+  router.patch(
+    '/sessions/:sessionId/groups/:groupId',
+    ...changeGuards,
+    validateParams(groupPath),
+    validateBody(updateGroupBody),
+    updateGroup(sessionManager),
+  );
+
+  router.post(
+    '/sessions/:sessionId/groups/:groupId/participants',
+    ...changeGuards,
+    validateParams(groupPath),
+    validateBody(participantsBody),
+    updateParticipants(sessionManager),
+  );
+
+  router.put(
+    '/sessions/:sessionId/groups/:groupId/picture',
+    ...changeGuards,
+    validateParams(groupPath),
+    validateBody(schemas.mediaId),
+    setGroupPicture(sessionManager),
+  );
+
+  router.delete(
+    '/sessions/:sessionId/groups/:groupId/invite',
+    ...changeGuards,
+    validateParams(groupPath),
+    revokeInviteLink(sessionManager),
+  );
+
+  return router;
+}
+
+export { createGroupRoutes };
@@ -54,7 +54,7 @@ router.get('/', async (req, res) => {
 });
 
 // Health check detallado (requiere autenticación)
-router.get('/health/detailed', authenticate, async (req, res) => {
+router.get('/detailed', authenticate, async (req, res) => {
   try {
     const checks = await performHealthChecks();
     const overallStatus = calculateOverallStatus(checks);
@@ -75,13 +75,13 @@ router.get('/health/detailed', authenticate, async (req, res) => {
 });
 
 // Liveness probe (para Kubernetes/Docker)
-router.get('/health/live', (req, res) => {
+router.get('/live', (req, res) => {
   // Simple check - el servicio está vivo si puede responder
   res.status(200).json({ status: 'alive' });
 });
 
 // Readiness probe (para Kubernetes/Docker)
-router.get('/health/ready', async (req, res) => {
+router.get('/ready', async (req, res) => {
   try {
     const checks = await performReadinessChecks();
     const isReady = Object.values(checks).every(check => check.status === 'healthy');
@@ -99,7 +99,7 @@ router.get('/health/ready', async (req, res) => {
 });
 
 // Startup probe (para Kubernetes)
-router.get('/health/startup', async (req, res) => {
+router.get('/startup', async (req, res) => {
   try {
     const startupChecks = await performStartupChecks();
     const isStarted = Object.values(startupChecks).every(check => check.status === 'healthy');
@@ -161,7 +161,8 @@ async function performReadinessChecks() {
   return {
     redis: await checkRedis(),
     messageQueue: await checkMessageQueue(),
-    connectionPool: await checkConnectionPool()
+    connectionPool: await checkConnectionPool(),
+    sessionRestore: checkSessionRestore()
   };
 }
 
@@ -169,7 +170,8 @@ async function performStartupChecks() {
   return {
     environment: checkEnvironment(),
     dependencies: await checkDependencies(),
-    filesystem: await checkFilesystem()
+    filesystem: await checkFilesystem(),
+    sessionRestore: checkSessionRestore()
   };
 }
 
@@ -201,6 +203,27 @@ async function checkRedis() {
   }
 }
 
+function checkSessionRestore() {
+  const progress = router.dependencies?.sessionManager?.restoreProgress;
+  
+  if (!progress) {
+    return {
+      status: 'unknown',
+      message: 'Session manager not available'
+    };
+  }
+  
+  // Sessions are restored in the background right after the server starts.
+  // A failed restore shows in the progress, but must not keep the instance
+  // unready: sessions can still be created and reconnected.
+  const health = ['completed', 'failed'].includes(progress.status) ? 'healthy' : 'unhealthy';
+  
+  return {
+    status: health,
+    progress
+  };
+}
+
 async function checkMessageQueue() {
   try {
     const messageQueue = getMessageQueue();
@@ -375,7 +398,7 @@ async function checkDependencies() {
       'socket.io',
       'redis',
       'winston',
-      'whatsapp-web.js'
+      '@whiskeysockets/baileys'
     ];
     
     for (const module of critical) {
@@ -397,8 +420,7 @@ async function checkDependencies() {
 async function checkFilesystem() {
   const paths = [
     './logs',
-    './storage',
-    './auth-sessions'
+    './storage'
   ];
   
   const checks = {};
@@ -0,0 +1,273 @@
+import { pipeline } from 'node:stream/promises';
+
+import express from 'express';
+import multer from 'multer';
+
+import logger from '../../core/utils/logger.js';
+import { verifyMediaSignature } from '../../core/utils/mediaSignature.js';
+import { logAuditEvent, AUDIT_EVENTS } from '../middleware/audit.middleware.js';
+import { requirePermission } from '../middleware/rbac.middleware.js';
+import {
+  callerCanAccessSession,
+  validateParams,
+  validateQuery,
+  schemas,
+} from '../middleware/validation.middleware.js';
+
+/**
+ * Write a stored media as the response body. Its mimetype is the one the
+ * sender declared, so it is always served as a download, never rendered.
+ */
+const sendMedia = async (res, { metadata, stream }) => {
+  res.set({
+    'Content-Type': metadata.mimetype,
+    'Content-Length': metadata.size,
+    'Cache-Control': 'private, max-age=300',
+    'X-Content-SHA256': metadata.sha256,
+  });
+  res.attachment(metadata.fileName || undefined);
+
+  await pipeline(stream, res);
+};
+
+/**
+ * Stream a media file to holders of a valid signed URL
+ */
+const downloadMedia = (sessionManager) => async (req, res) => {
+  const { mediaService } = sessionManager;
+  const { mediaId } = req.validatedParams;
+  const { expires, signature } = req.validatedQuery;
+
+  if (!mediaService.verifySignature(mediaId, expires, signature)) {
+    res.status(403).json({
+      success: false,
+      error: 'Invalid or expired media URL',
+    });
+    return;
+  }
+
+  try {
+    const media = await mediaService.read(mediaId);
+
+    if (media) {
+      await sendMedia(res, media);
+    } else {
+      res.status(404).json({
+        success: false,
+        error: 'Media not found',
+      });
+    }
+  } catch (error) {
+    logger.error('Media download failed', {
+      mediaId,
+      error: error.message,
+      requestId: req.id,
+    });
+
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to download media',
+      });
+    }
+  }
+};
+
+/**
+ * Metadata of a media and a fresh signed URL to download it
+ */
+const getMediaUrl = (sessionManager) => async (req, res) => {
+  const { mediaService } = sessionManager;
+  const { mediaId } = req.validatedParams;
+
+  try {
+    const metadata = await mediaService.getMetadata(mediaId);
+
+    if (!metadata || !callerCanAccessSession(req, sessionManager, metadata.sessionId)) {
+      res.status(404).json({
+        success: false,
+        error: 'Media not found',
+      });
+      return;
+    }
+
+    res.json({
+      success: true,
+      media: metadata,
+      ...mediaService.signUrl(mediaId),
+    });
+  } catch (error) {
+    logger.error('Media URL signing failed', {
+      mediaId,
+      error: error.message,
+      requestId: req.id,
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to sign media URL',
+    });
+  }
+};
+
+/**
+ * Parse the multipart `file` field into memory, up to MEDIA_MAX_SIZE_MB
+ */
+const receiveUpload = (sessionManager) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: sessionManager.mediaService.maxSize, files: 1 },
+  }).single('file');
+
+  return (req, res, next) =>
+    upload(req, res, (error) => {
+      if (!error) {
+        next();
+        return;
+      }
+
+      res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        success: false,
+        error: 'Invalid upload',
+        message: error.message,
+      });
+    });
+};
+
+/**
+ * Upload fields checked against schemas.uploadMedia. The file name and
+ * mimetype default to the ones of the multipart part.
+ */
+const describeUpload = ({ body, file }) => ({
+  sessionId: body.sessionId,
+  mediaType: body.mediaType,
+  fileName: body.fileName || file?.originalname,
+  mimeType: body.mimeType || file?.mimetype,
+  size: file?.size,
+});
+
+/**
+ * Validated upload, or why it is refused. The mimetype is the one confirmed
+ * by the file content.
+ */
+const checkUpload = (req, sessionManager) => {
+  const { error, value } = schemas.uploadMedia.validate(describeUpload(req), {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  if (!req.file || error) {
+    return {
+      rejection: {
+        status: 400,
+        error: 'Invalid upload',
+        errors: error?.details.map((detail) => ({
+          field: detail.path.join('.'),
+          message: detail.message,
+        })) ?? [{ field: 'file', message: '"file" is required' }],
+      },
+    };
+  }
+  if (!callerCanAccessSession(req, sessionManager, value.sessionId)) {
+    return { rejection: { status: 403, error: 'Access denied to this session' } };
+  }
+
+  const signature = verifyMediaSignature(req.file.buffer, value);
+  if (!signature.valid) {
+    return { rejection: { status: 415, error: 'Unsupported media', message: signature.reason } };
+  }
+
+  return { upload: { ...value, mimetype: signature.mimetype } };
+};
+
+/**
+ * Store an uploaded file for a session; its mediaId can then be sent in
+ * place of a mediaUrl
+ */
+const uploadMedia = (sessionManager) => async (req, res) => {
+  const { rejection, upload } = checkUpload(req, sessionManager);
+
+  if (rejection) {
+    const { status, ...body } = rejection;
+    res.status(status).json({ success: false, ...body });
+    return;
+  }
+
+  const { sessionId, mediaType, fileName, mimetype } = upload;
+  try {
+    const metadata = await sessionManager.mediaService.save(sessionId, req.file.buffer, {
+      mimetype,
+      fileName,
+    });
+
+    await logAuditEvent(AUDIT_EVENTS.MEDIA_UPLOADED, req, {
+      sessionId,
+      mediaId: metadata.mediaId,
+      mediaType,
+      size: metadata.size,
+      severity: 'INFO',
+    });
+
+    res.status(201).json({
+      success: true,
+      mediaId: metadata.mediaId,
+      mimetype: metadata.mimetype,
+      fileName: metadata.fileName,
+      size: metadata.size,
+      sha256: metadata.sha256,
+    });
+  } catch (error) {
+    logger.error('Media upload failed', {
+      sessionId,
+      error: error.message,
+      requestId: req.id,
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to store media',
+    });
+  }
+};
+
+/**
+ * Public download route, mounted at /api/media before authentication: the
+ * URL signature is the credential
+ */
+function createSignedMediaRoutes({ sessionManager }) {
+  const router = express.Router();
+
+  router.get(
+    '/:mediaId',
+    validateParams(schemas.mediaId),
+    validateQuery(schemas.signedMedia),
+    downloadMedia(sessionManager),
+  );
+
+  return router;
+}
+
+/**
+ * Media routes mounted on the authenticated API router
+ */
+function createMediaRoutes({ sessionManager }) {
+  const router = express.Router();
+
+  router.post(
+    '/media/upload',
+    requirePermission('messages:send'),
+    receiveUpload(sessionManager),
+    uploadMedia(sessionManager),
+  );
+
+  router.get(
+    '/media/:mediaId/url',
+    requirePermission('messages:read'),
+    validateParams(schemas.mediaId),
+    getMediaUrl(sessionManager),
+  );
+
+  return router;
+}
+
+export { createSignedMediaRoutes, createMediaRoutes };
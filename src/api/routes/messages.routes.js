@@ -0,0 +1,131 @@
+import { notFound } from '@hapi/boom';
+import express from 'express';
+
+import { AUDIT_EVENTS } from '../middleware/audit.middleware.js';
+import { messageLimiter } from '../middleware/rateLimiter.middleware.js';
+import { requirePermission } from '../middleware/rbac.middleware.js';
+import {
+  validateBody,
+  validateParams,
+  validateQuery,
+  sessionOperation,
+  schemas,
+} from '../middleware/validation.middleware.js';
+
+/**
+ * Operation on a recent message of a session, audited with its id. Missing
+ * messages and invalid operations surface with their Boom status code.
+ */
+const messageOperation = ({ auditDetails = () => ({}), ...operation }) =>
+  sessionOperation({
+    ...operation,
+    auditDetails: (input) => ({ messageId: input.messageId, ...auditDetails(input) }),
+  });
+
+/**
+ * React to a recent message; an empty emoji removes the reaction
+ */
+const reactToMessage = messageOperation({
+  name: 'react to message',
+  auditEvent: AUDIT_EVENTS.MESSAGE_SENT,
+  run: (sessionManager, { sessionId, messageId, emoji }) =>
+    sessionManager.sendReaction(sessionId, messageId, emoji),
+  auditDetails: () => ({ type: 'reaction' }),
+});
+
+/**
+ * Replace the text of a message sent by the session
+ */
+const editMessage = messageOperation({
+  name: 'edit message',
+  auditEvent: AUDIT_EVENTS.MESSAGE_EDITED,
+  run: (sessionManager, { sessionId, messageId, text }) =>
+    sessionManager.editMessage(sessionId, messageId, text),
+});
+
+/**
+ * Delete a message for everyone
+ */
+const revokeMessage = messageOperation({
+  name: 'revoke message',
+  auditEvent: AUDIT_EVENTS.MESSAGE_DELETED,
+  run: (sessionManager, { sessionId, messageId }) =>
+    sessionManager.revokeMessage(sessionId, messageId),
+});
+
+/**
+ * Forward a recent message to other chats
+ */
+const forwardMessage = messageOperation({
+  name: 'forward message',
+  auditEvent: AUDIT_EVENTS.MESSAGE_FORWARDED,
+  run: (sessionManager, { sessionId, messageId, to }) =>
+    sessionManager.forwardMessage(sessionId, messageId, to),
+  auditDetails: ({ to }) => ({ to }),
+});
+
+/**
+ * Delivery status of a message sent or received by a session, with the time
+ * each status was reached
+ */
+const getMessageStatus = sessionOperation({
+  name: 'get message status',
+  run: async (sessionManager, { sessionId, messageId }) => {
+    const status = await sessionManager.getMessageStatus(sessionId, messageId);
+
+    if (!status) {
+      throw notFound('Message not found');
+    }
+    return status;
+  },
+});
+
+/**
+ * Message routes mounted on the authenticated API router
+ */
+export function createMessageRoutes({ sessionManager }) {
+  const router = express.Router();
+  const sendPermission = requirePermission('messages:send');
+
+  router.post(
+    '/messages/react',
+    messageLimiter,
+    sendPermission,
+    validateBody(schemas.reactMessage),
+    reactToMessage(sessionManager),
+  );
+
+  router.post(
+    '/messages/edit',
+    messageLimiter,
+    sendPermission,
+    validateBody(schemas.editMessage),
+    editMessage(sessionManager),
+  );
+
+  router.post(
+    '/messages/revoke',
+    messageLimiter,
+    requirePermission('messages:delete'),
+    validateBody(schemas.revokeMessage),
+    revokeMessage(sessionManager),
+  );
+
+  router.post(
+    '/messages/forward',
+    messageLimiter,
+    sendPermission,
+    validateBody(schemas.forwardMessage),
+    forwardMessage(sessionManager),
+  );
+
+  router.get(
+    '/messages/:messageId/status',
+    requirePermission('messages:read'),
+    validateParams(schemas.messageId),
+    validateQuery(schemas.sessionId),
+    getMessageStatus(sessionManager),
+  );
+
+  return router;
+}
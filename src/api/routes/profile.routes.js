@@ -0,0 +1,162 @@
+import express from 'express';
+
+import { AUDIT_EVENTS } from '../middleware/audit.middleware.js';
+import { messageLimiter } from '../middleware/rateLimiter.middleware.js';
+import { requirePermission } from '../middleware/rbac.middleware.js';
+import {
+  validateBody,
+  validateParams,
+  sessionOperation,
+  schemas,
+} from '../middleware/validation.middleware.js';
+
+const PROFILE_PATH = '/sessions/:sessionId/profile';
+const PRIVACY_PATH = '/sessions/:sessionId/privacy';
+
+// The session id comes from the path only
+const profileBody = schemas.updateProfile.fork(['sessionId'], (schema) => schema.forbidden());
+const privacyBody = schemas.updatePrivacy.fork(['sessionId'], (schema) => schema.forbidden());
+
+/**
+ * Fields a change request sets, leaving out the session it targets
+ */
+const requestChanges = (input) =>
+  Object.fromEntries(Object.entries(input).filter(([field]) => field !== 'sessionId'));
+
+/**
+ * Display name, about text and picture of the linked account
+ */
+const getProfile = sessionOperation({
+  name: 'get profile',
+  run: async (sessionManager, { sessionId }) => ({
+    profile: await sessionManager.getProfile(sessionId),
+  }),
+});
+
+const updateProfile = sessionOperation({
+  name: 'update profile',
+  auditEvent: AUDIT_EVENTS.PROFILE_UPDATED,
+  run: async (sessionManager, { sessionId, name, about }) => ({
+    profile: await sessionManager.updateProfile(sessionId, { name, about }),
+  }),
+  auditDetails: (input) => ({ fields: Object.keys(requestChanges(input)) }),
+});
+
+/**
+ * Set the profile picture from an uploaded image
+ */
+const setProfilePicture = sessionOperation({
+  name: 'set profile picture',
+  auditEvent: AUDIT_EVENTS.PROFILE_PICTURE_UPDATED,
+  run: async (sessionManager, { sessionId, mediaId }) => {
+    await sessionManager.setProfilePicture(sessionId, mediaId);
+    return {};
+  },
+  auditDetails: ({ mediaId }) => ({ mediaId }),
+});
+
+const removeProfilePicture = sessionOperation({
+  name: 'remove profile picture',
+  auditEvent: AUDIT_EVENTS.PROFILE_PICTURE_UPDATED,
+  run: async (sessionManager, { sessionId }) => {
+    await sessionManager.removeProfilePicture(sessionId);
+    return {};
+  },
+  auditDetails: () => ({ removed: true }),
+});
+
+/**
+ * About text and picture of another account, null where hidden
+ */
+const getContactProfile = sessionOperation({
+  name: 'get contact profile',
+  run: async (sessionManager, { sessionId, phoneNumber }) => ({
+    profile: await sessionManager.getContactProfile(sessionId, phoneNumber),
+  }),
+});
+
+const getPrivacySettings = sessionOperation({
+  name: 'get privacy settings',
+  run: async (sessionManager, { sessionId }) => ({
+    privacy: await sessionManager.getPrivacySettings(sessionId),
+  }),
+});
+
+const updatePrivacySettings = sessionOperation({
+  name: 'update privacy settings',
+  auditEvent: AUDIT_EVENTS.PRIVACY_SETTINGS_UPDATED,
+  run: async (sessionManager, { sessionId, ...settings }) => ({
+    privacy: await sessionManager.updatePrivacySettings(sessionId, settings),
+  }),
+  auditDetails: (input) => ({ settings: requestChanges(input) }),
+});
+
+const addPrivacyRoutes = (router, sessionManager, { readGuards, changeGuards }) => {
+  router.get(
+    PRIVACY_PATH,
+    ...readGuards,
+    validateParams(schemas.sessionId),
+    getPrivacySettings(sessionManager),
+  );
+
+  router.patch(
+    PRIVACY_PATH,
+    ...changeGuards,
+    validateParams(schemas.sessionId),
+    validateBody(privacyBody),
+    updatePrivacySettings(sessionManager),
+  );
+};
+
+/**
+ * Profile and privacy routes mounted on the authenticated API router. They
+ * all query WhatsApp servers, so they share the message rate limit.
+ */
+function createProfileRoutes({ sessionManager }) {
+  const router = express.Router();
+  const readGuards = [messageLimiter, requirePermission('sessions:read')];
+  const changeGuards = [messageLimiter, requirePermission('sessions:update')];
+
+  router.get(
+    PROFILE_PATH,
+    ...readGuards,
+    validateParams(schemas.sessionId),
+    getProfile(sessionManager),
+  );
+
+  router.patch(
+    PROFILE_PATH,
+    ...changeGuards,
+    validateParams(schemas.sessionId),
+    validateBody(profileBody),
+    updateProfile(sessionManager),
+  );
+
+  router.put(
+    `${PROFILE_PATH}/picture`,
+    ...changeGuards,
+    validateParams(schemas.sessionId),
+    validateBody(schemas.mediaId),
+    setProfilePicture(sessionManager),
+  );
+
+  router.delete(
+    `${PROFILE_PATH}/picture`,
+    ...changeGuards,
+    validateParams(schemas.sessionId),
+    removeProfilePicture(sessionManager),
+  );
+
+  router.get(
+    '/sessions/:sessionId/contacts/:phoneNumber/profile',
+    ...readGuards,
+    validateParams(schemas.contactProfile),
+    getContactProfile(sessionManager),
+  );
+
+  addPrivacyRoutes(router, sessionManager, { readGuards, changeGuards });
+
+  return router;
+}
+
+export { createProfileRoutes };
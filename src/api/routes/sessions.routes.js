@@ -0,0 +1,379 @@
+import express from 'express';
+import Joi from 'joi';
+
+import { DIRECTIONS } from '../../core/services/MessageStore.js';
+import { SESSION_STATES } from '../../core/services/SessionStateMachine.js';
+import logger from '../../core/utils/logger.js';
+import { logAuditEvent, AUDIT_EVENTS } from '../middleware/audit.middleware.js';
+import { ADMIN_ROLES } from '../middleware/rbac.middleware.js';
+import {
+  callerCanAccessSession,
+  requireSessionAccess,
+  sessionOperation,
+  validateBody,
+  validateParams,
+  validateQuery,
+  schemas,
+} from '../middleware/validation.middleware.js';
+
+const listSessionsQuery = schemas.pagination.keys({
+  status: Joi.string().valid(...Object.values(SESSION_STATES)),
+  userId: Joi.string().max(100),
+  plubotId: Joi.string().pattern(/^\d+$/),
+});
+
+// The session id comes from the path, so it is optional in the body
+const updateSettingsBody = schemas.updateSettings.fork(['sessionId'], (schema) =>
+  schema.optional(),
+);
+
+// Redis stream entry ids, as sent back in Last-Event-ID
+const EVENT_ID_PATTERN = /^\d+-\d+$/;
+
+const sessionEventsQuery = Joi.object({
+  lastEventId: Joi.string().pattern(EVENT_ID_PATTERN),
+});
+
+const SSE_HEARTBEAT_INTERVAL = 15_000;
+
+const listMessagesQuery = schemas.dateRange.keys({
+  // Phone number or JID (groups end in @g.us)
+  chat: Joi.string().max(100),
+  direction: Joi.string().valid(...Object.values(DIRECTIONS)),
+  cursor: Joi.string().pattern(EVENT_ID_PATTERN),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+});
+
+// Sent as `q`. Words must all appear; "quoted text" must appear as a phrase
+const searchMessagesQuery = Joi.object({
+  query: Joi.string().trim().min(1).max(200).required(),
+  chat: Joi.string().max(100),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+}).rename('q', 'query');
+
+/**
+ * Restrict non-admin users to their own sessions. API key callers carry no
+ * user and are trusted services.
+ */
+const scopeToCaller = (user, query) => {
+  if (!user || ADMIN_ROLES.has(user.role)) {
+    return query;
+  }
+  return { ...query, userId: user.id };
+};
+
+/**
+ * Chat filter as a JID, accepting phone numbers
+ */
+const toChatJid = (sessionManager, chat) =>
+  chat && (chat.includes('@') ? chat : sessionManager.formatJID(chat));
+
+/**
+ * List sessions with filters and pagination
+ */
+const listSessions = (sessionManager) => (req, res) => {
+  try {
+    const query = scopeToCaller(req.user, req.validatedQuery);
+    const { sessions, pagination } = sessionManager.listSessions(query);
+
+    res.json({
+      success: true,
+      sessions,
+      pagination,
+    });
+  } catch (error) {
+    logger.error('Session listing failed', {
+      error: error.message,
+      requestId: req.id,
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list sessions',
+    });
+  }
+};
+
+/**
+ * Get the state transition history of a session
+ */
+const getSessionHistory = (sessionManager) => async (req, res) => {
+  const { sessionId } = req.validatedParams;
+
+  try {
+    const { state, history } = await sessionManager.getSessionHistory(sessionId);
+
+    res.json({
+      success: true,
+      sessionId,
+      state,
+      history,
+    });
+  } catch (error) {
+    logger.error('History retrieval failed', {
+      sessionId,
+      error: error.message,
+      requestId: req.id,
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get session history',
+    });
+  }
+};
+
+/**
+ * Get the effective settings of a session
+ */
+const getSessionSettings = (sessionManager) => async (req, res) => {
+  const { sessionId } = req.validatedParams;
+
+  try {
+    const settings = await sessionManager.getSessionSettings(sessionId);
+
+    res.json({
+      success: true,
+      sessionId,
+      settings,
+    });
+  } catch (error) {
+    logger.error('Settings retrieval failed', {
+      sessionId,
+      error: error.message,
+      requestId: req.id,
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get session settings',
+    });
+  }
+};
+
+/**
+ * Update the settings of a session, applied on its next (re)connect
+ */
+const updateSessionSettings = (sessionManager) => async (req, res) => {
+  const { sessionId } = req.validatedParams;
+  const { settings } = req.validatedBody;
+
+  try {
+    const updated = await sessionManager.updateSessionSettings(sessionId, settings);
+
+    await logAuditEvent(AUDIT_EVENTS.SESSION_UPDATED, req, {
+      sessionId,
+      settings,
+    });
+
+    res.json({
+      success: true,
+      sessionId,
+      settings: updated,
+      message: 'Settings apply on the next connection',
+    });
+  } catch (error) {
+    logger.error('Settings update failed', {
+      sessionId,
+      error: error.message,
+      requestId: req.id,
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update session settings',
+    });
+  }
+};
+
+/**
+ * Message history of a session, newest first, with cursor pagination
+ */
+const listSessionMessages = sessionOperation({
+  name: 'get messages',
+  run: async (manager, { sessionId, chat, ...query }) => {
+    const { messages, nextCursor } = await manager.getMessages(sessionId, {
+      ...query,
+      chat: toChatJid(manager, chat),
+    });
+    return { messages, pagination: { limit: query.limit, nextCursor } };
+  },
+});
+
+/**
+ * Full-text search over the message history of a session, best matches
+ * first, with highlighted excerpts
+ */
+const searchSessionMessages = sessionOperation({
+  name: 'search messages',
+  run: async (manager, { sessionId, query, chat, limit }) => {
+    const messages = await manager.searchMessages(sessionId, {
+      query,
+      chat: toChatJid(manager, chat),
+      limit,
+    });
+    return { query, messages, total: messages.length };
+  },
+});
+
+/**
+ * Delivery counters and rates of the messages sent by a session
+ */
+const getDeliveryStats = sessionOperation({
+  name: 'get delivery stats',
+  run: async (manager, { sessionId }) => ({ delivery: await manager.getDeliveryStats(sessionId) }),
+});
+
+/**
+ * Write one event in the SSE wire format
+ */
+const writeEvent = (res, { id, event, data }) => {
+  if (id) {
+    res.write(`id: ${id}\n`);
+  }
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Why a caller may not open the event stream, or null when it may
+ */
+const streamRejection = (req, sessionManager, { sessionId, lastEventId }) => {
+  if (!callerCanAccessSession(req, sessionManager, sessionId)) {
+    return { status: 403, error: 'Access denied to this session' };
+  }
+  if (lastEventId && !EVENT_ID_PATTERN.test(lastEventId)) {
+    return { status: 400, error: 'Invalid Last-Event-ID' };
+  }
+  return null;
+};
+
+/**
+ * Switch the response to an SSE stream kept alive by comment heartbeats
+ */
+const openEventStream = (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write('retry: 3000\n\n');
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_INTERVAL);
+  req.on('close', () => clearInterval(heartbeat));
+};
+
+/**
+ * Forward live events of a session, after replaying the ones recorded since
+ * lastEventId. Live events arriving during the replay are held back so the
+ * client receives everything in order.
+ */
+const pipeSessionEvents = async (req, res, eventLog, { sessionId, lastEventId }) => {
+  const stream = { replaying: Boolean(lastEventId), held: [] };
+  const unsubscribe = eventLog.subscribe(sessionId, (entry) =>
+    stream.replaying ? stream.held.push(entry) : writeEvent(res, entry),
+  );
+  req.on('close', unsubscribe);
+
+  if (!stream.replaying) {
+    return;
+  }
+
+  const replayed = new Set();
+  try {
+    for (const entry of await eventLog.readSince(sessionId, lastEventId)) {
+      replayed.add(entry.id);
+      writeEvent(res, entry);
+    }
+  } catch (error) {
+    logger.error('SSE replay failed', { sessionId, error: error.message, requestId: req.id });
+  }
+
+  for (const entry of stream.held.filter(({ id }) => !replayed.has(id))) {
+    writeEvent(res, entry);
+  }
+  stream.replaying = false;
+};
+
+/**
+ * Stream the events of a session as Server-Sent Events. Clients resume with
+ * the Last-Event-ID header, or `?lastEventId=` on their first connection.
+ */
+const streamSessionEvents = (sessionManager) => async (req, res) => {
+  const { sessionId } = req.validatedParams;
+  const lastEventId = req.get('Last-Event-ID') || req.validatedQuery.lastEventId;
+  const rejection = streamRejection(req, sessionManager, { sessionId, lastEventId });
+
+  if (rejection) {
+    res.status(rejection.status).json({
+      success: false,
+      error: rejection.error,
+    });
+    return;
+  }
+
+  openEventStream(req, res);
+  logger.info('SSE client connected', { sessionId, lastEventId, requestId: req.id });
+
+  await pipeSessionEvents(req, res, sessionManager.eventLog, { sessionId, lastEventId });
+};
+
+/**
+ * Session routes mounted on the authenticated API router
+ */
+export function createSessionRoutes({ sessionManager }) {
+  const router = express.Router();
+
+  router.get('/sessions', validateQuery(listSessionsQuery), listSessions(sessionManager));
+
+  router.get(
+    '/sessions/:sessionId/history',
+    validateParams(schemas.sessionId),
+    requireSessionAccess(sessionManager),
+    getSessionHistory(sessionManager),
+  );
+
+  router.get(
+    '/sessions/:sessionId/events',
+    validateParams(schemas.sessionId),
+    validateQuery(sessionEventsQuery),
+    streamSessionEvents(sessionManager),
+  );
+
+  router.get(
+    '/sessions/:sessionId/messages',
+    validateParams(schemas.sessionId),
+    validateQuery(listMessagesQuery),
+    listSessionMessages(sessionManager),
+  );
+
+  router.get(
+    '/sessions/:sessionId/messages/search',
+    validateParams(schemas.sessionId),
+    validateQuery(searchMessagesQuery),
+    searchSessionMessages(sessionManager),
+  );
+
+  router.get(
+    '/sessions/:sessionId/delivery-stats',
+    validateParams(schemas.sessionId),
+    getDeliveryStats(sessionManager),
+  );
+
+  router.get(
+    '/sessions/:sessionId/settings',
+    validateParams(schemas.sessionId),
+    requireSessionAccess(sessionManager),
+    getSessionSettings(sessionManager),
+  );
+
+  router.put(
+    '/sessions/:sessionId/settings',
+    validateParams(schemas.sessionId),
+    requireSessionAccess(sessionManager),
+    validateBody(updateSettingsBody),
+    updateSessionSettings(sessionManager),
+  );
+
+  return router;
+}
@@ -1,4 +1,5 @@
-import dotenv from 'dotenv';
+// Load .env first: imported modules read their configuration when loaded
+import 'dotenv/config';
 import express from 'express';
 import http from 'http';
 import { Server as SocketIOServer } from 'socket.io';
@@ -13,27 +14,34 @@ import Joi from 'joi';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Configure environment
-dotenv.config();
-
 // Import security middleware
 import { configureHelmet, configureCors, addSecurityHeaders, requestId } from './api/middleware/security.middleware.js';
 import { authenticate, generateToken } from './api/middleware/auth.middleware.js';
 import { generalLimiter, sessionCreationLimiter, messageLimiter, qrCodeLimiter } from './api/middleware/rateLimiter.middleware.js';
-import { validateBody, validateParams, sanitizeInput, schemas } from './api/middleware/validation.middleware.js';
+import { validateBody, validateParams, validateQuery, sanitizeInput, schemas } from './api/middleware/validation.middleware.js';
 import { requireRole, requirePermission } from './api/middleware/rbac.middleware.js';
 import { auditMiddleware, logAuditEvent, AUDIT_EVENTS } from './api/middleware/audit.middleware.js';
-import { circuitBreakerMiddleware, withCircuitBreaker } from './api/middleware/circuitBreaker.middleware.js';
+import { circuitBreakerMiddleware, getCircuitBreaker, withCircuitBreaker } from './api/middleware/circuitBreaker.middleware.js';
 import { ipBlacklistMiddleware, recordSecurityViolation, blacklistErrorHandler } from './api/middleware/ipBlacklist.middleware.js';
 import { csrfToken, csrfValidation, csrfErrorHandler } from './api/middleware/csrf.middleware.js';
+import { createSessionRoutes } from './api/routes/sessions.routes.js';
+import { createMessageRoutes } from './api/routes/messages.routes.js';
+import { createSignedMediaRoutes, createMediaRoutes } from './api/routes/media.routes.js';
+import { createContactRoutes } from './api/routes/contacts.routes.js';
+import { createGroupRoutes } from './api/routes/groups.routes.js';
+import { createBroadcastRoutes } from './api/routes/broadcasts.routes.js';
+import { createProfileRoutes } from './api/routes/profile.routes.js';
+import { createChatRoutes } from './api/routes/chats.routes.js';
 
 // Import services
 import SessionManager from './core/services/SessionManager.js';
+import BroadcastManager from './core/services/BroadcastManager.js';
 import { getMessageQueue } from './core/services/MessageQueue.js';
 import { getConnectionPool } from './core/services/ConnectionPool.js';
 import { getMetrics } from './core/services/MetricsService.js';
 import { getErrorTracking } from './core/services/ErrorTracking.js';
 import logger from './core/utils/logger.js';
+import { QR_FORMATS, renderQR, renderQRDataURL } from './core/utils/qrRenderer.js';
 
 // Create logs directory if it doesn't exist
 if (!fs.existsSync('logs')) {
@@ -88,6 +96,7 @@ const io = new SocketIOServer(server, {
 // Initialize Services
 const sessionManager = new SessionManager(redisClient, io);
 const messageQueue = getMessageQueue();
+const broadcasts = new BroadcastManager(redisClient, sessionManager, messageQueue);
 const metricsService = getMetrics();
 const errorTracking = getErrorTracking();
 errorTracking.setupGlobalHandlers();
@@ -214,6 +223,9 @@ const healthRoutes = createHealthRoutes({
 // Mount health check routes
 app.use('/api/health', healthRoutes);
 
+// Signed media downloads, the URL signature stands in for credentials
+app.use('/api/media', createSignedMediaRoutes({ sessionManager }));
+
 // Metrics endpoint
 app.get('/metrics', authenticate, (req, res) => {
   res.set('Content-Type', metricsService.register.contentType);
@@ -304,11 +316,13 @@ apiRouter.post('/sessions/create',
   async (req, res) => {
     try {
       const { userId, plubotId, forceNew } = req.body || req.validatedBody;
+      const { authMethod, phoneNumber } = req.validatedBody;
       const sessionId = `${userId}-${plubotId}`;
       
       logger.info('Creating session', { 
         sessionId, 
         forceNew,
+        authMethod,
         requestId: req.id,
         user: req.user?.id
       });
@@ -320,11 +334,12 @@ apiRouter.post('/sessions/create',
       // );
       
       // const result = await createSessionWithBreaker();
-      const result = await sessionManager.createSession(sessionId, forceNew);
+      const result = await sessionManager.createSession(sessionId, forceNew, { phoneNumber });
       
       // Log audit event
       await logAuditEvent(AUDIT_EVENTS.SESSION_CREATED, req, {
         sessionId,
+        authMethod,
         severity: 'INFO'
       });
       
@@ -355,19 +370,35 @@ apiRouter.post('/messages/send',
   validateBody(schemas.sendMessage),
   async (req, res) => {
     try {
-      const { sessionId, to, message, type } = req.validatedBody;
+      const { sessionId, to, message, type, quotedMessageId, mentions } = req.validatedBody;
       
       logger.info('Sending message', {
         sessionId,
         to,
         type,
+        quotedMessageId,
         requestId: req.id,
         user: req.user?.id
       });
       
+      // Check the quote up front, the circuit breaker fallback would hide the miss
+      if (quotedMessageId && !sessionManager.messageCache.get(sessionId, quotedMessageId)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Quoted message not found in recent messages'
+        });
+      }
+      
+      if (message?.mediaId && !(await sessionManager.mediaService.getMetadata(message.mediaId, sessionId))) {
+        return res.status(404).json({
+          success: false,
+          error: 'Uploaded media not found'
+        });
+      }
+      
       // Wrap message sending with circuit breaker
       const sendMessageWithBreaker = withCircuitBreaker('whatsapp',
-        async () => await sessionManager.sendMessage(sessionId, to, message, type),
+        async () => await sessionManager.sendMessage(sessionId, to, message, type, { quotedMessageId, mentions }),
         async () => ({ success: false, error: 'Service temporarily unavailable' })
       );
       
@@ -404,24 +435,22 @@ apiRouter.post('/messages/send',
 apiRouter.get('/qr/:userId/:plubotId',
   qrCodeLimiter,
   validateParams(schemas.userIdPlubotId),
+  validateQuery(schemas.qrImage),
   async (req, res) => {
     try {
       const { userId, plubotId } = req.validatedParams;
+      const { format, size, margin } = req.validatedQuery;
       const sessionId = `${userId}-${plubotId}`;
       
       logger.info('Getting QR code', {
         sessionId,
+        format,
         requestId: req.id,
         user: req.user?.id
       });
       
       // Get QR from Redis
-      const qr = await new Promise((resolve, reject) => {
-        redisClient.get(`qr:${sessionId}`, (err, data) => {
-          if (err) reject(err);
-          else resolve(data);
-        });
-      });
+      const qr = await redisClient.get(`qr:${sessionId}`);
       
       if (!qr) {
         return res.status(404).json({
@@ -430,6 +459,23 @@ apiRouter.get('/qr/:userId/:plubotId',
         });
       }
       
+      // QR codes expire within a minute, never let them be cached
+      res.set('Cache-Control', 'no-store');
+      
+      if (format === QR_FORMATS.DATA_URL) {
+        return res.json({
+          success: true,
+          qr,
+          qrDataUrl: await renderQRDataURL(qr, { size, margin }),
+          sessionId
+        });
+      }
+      
+      if (format) {
+        const { contentType, body } = await renderQR(qr, { format, size, margin });
+        return res.type(contentType).send(body);
+      }
+      
       res.json({
         success: true,
         qr,
@@ -449,12 +495,55 @@ apiRouter.get('/qr/:userId/:plubotId',
   }
 );
 
+// Get pairing code
+apiRouter.get('/pairing-code/:userId/:plubotId',
+  qrCodeLimiter,
+  validateParams(schemas.userIdPlubotId),
+  async (req, res) => {
+    try {
+      const { userId, plubotId } = req.validatedParams;
+      const sessionId = `${userId}-${plubotId}`;
+      
+      logger.info('Getting pairing code', {
+        sessionId,
+        requestId: req.id,
+        user: req.user?.id
+      });
+      
+      const pairingCode = await redisClient.get(`pairing:${sessionId}`);
+      
+      if (!pairingCode) {
+        return res.status(404).json({
+          success: false,
+          error: 'Pairing code not found or expired'
+        });
+      }
+      
+      res.json({
+        success: true,
+        pairingCode,
+        sessionId
+      });
+    } catch (error) {
+      logger.error('Pairing code retrieval failed', {
+        error: error.message,
+        requestId: req.id
+      });
+      
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get pairing code'
+      });
+    }
+  }
+);
+
 // Refresh QR code for session
 apiRouter.post('/sessions/:sessionId/refresh-qr',
   validateParams(schemas.sessionId),
   async (req, res) => {
     try {
-      const { sessionId } = req.params;
+      const { sessionId } = req.validatedParams;
       
       logger.info('Refreshing QR code', { sessionId, requestId: req.id });
       
@@ -479,7 +568,7 @@ apiRouter.post('/sessions/:sessionId/refresh-qr',
       const qr = await sessionManager.redis.get(`qr:${sessionId}`);
       
       if (qr) {
-        const qrDataUrl = await QRCode.toDataURL(qr);
+        const qrDataUrl = await renderQRDataURL(qr);
         return res.json({
           success: true,
           qr,
@@ -625,6 +714,16 @@ apiRouter.delete('/sessions/:sessionId',
   }
 );
 
+// Mount feature routers
+apiRouter.use(createSessionRoutes({ sessionManager }));
+apiRouter.use(createMessageRoutes({ sessionManager }));
+apiRouter.use(createMediaRoutes({ sessionManager }));
+apiRouter.use(createContactRoutes({ sessionManager }));
+apiRouter.use(createGroupRoutes({ sessionManager }));
+apiRouter.use(createBroadcastRoutes({ sessionManager, broadcasts }));
+apiRouter.use(createProfileRoutes({ sessionManager }));
+apiRouter.use(createChatRoutes({ sessionManager }));
+
 // Mount API router
 app.use('/api', apiRouter);
 
@@ -762,15 +861,17 @@ const gracefulShutdown = async (signal) => {
   });
   
   // Close message queue
-  await messageQueue.close();
+  await messageQueue.shutdown();
   
   // Close connection pool
   await connectionPool.shutdown();
   
-  // Destroy all sessions
+  sessionManager.stopMaintenance();
+
+  // Close all sessions, keeping their auth state so they are restored on boot
   for (const [sessionId] of sessionManager.sessions) {
-    await sessionManager.destroySession(sessionId).catch(err => {
-      logger.error('Error destroying session during shutdown', { sessionId, error: err.message });
+    await sessionManager.closeSocket(sessionId).catch(err => {
+      logger.error('Error closing session during shutdown', { sessionId, error: err.message });
     });
   }
   
@@ -818,6 +919,17 @@ server.listen(PORT, () => {
       'CSRF Protection'
     ]
   });
+
+  // Bring back previously connected sessions; readiness waits for this
+  sessionManager.restoreSessions();
+
+  // Trim message history and purge expired media on a schedule
+  sessionManager.startMaintenance();
+
+  // Deliver queued broadcast messages. Their breaker is their own: the
+  // whatsapp one has a fallback, which would count failed sends as delivered
+  const broadcastBreaker = getCircuitBreaker('whatsapp-broadcast', { timeout: 30_000 });
+  broadcasts.start(broadcastBreaker);
 });
 
 export { app, server, io, sessionManager };
@@ -27,6 +27,10 @@ export default {
   encryption: {
     algorithm: 'aes-256-gcm',
     key: process.env.ENCRYPTION_KEY || 'your-32-character-encryption-key',
+    // Bump on rotation; data written with older versions stays readable
+    // while their keys are listed in ENCRYPTION_PREVIOUS_KEYS ("1:old-key,2:other-key")
+    keyVersion: parseInt(process.env.ENCRYPTION_KEY_VERSION) || 1,
+    previousKeys: process.env.ENCRYPTION_PREVIOUS_KEYS || '',
     saltRounds: 10
   },
   
@@ -0,0 +1,150 @@
+import { v4 as uuidv4 } from 'uuid';
+
+import { decrypt, encrypt } from '../utils/encryption.js';
+import { parseInteger } from '../utils/numbers.js';
+
+/**
+ * Broadcast lists of each session: named recipient lists messages are fanned
+ * out to, one encrypted list per id in the `broadcast-lists:${sessionId}`
+ * hash. Unlike WhatsApp broadcast lists they live on the server only, so
+ * recipients get the messages as regular chats.
+ *
+ * Also keeps the progress of each broadcast sent to a list in
+ * `broadcasts:${sessionId}:${broadcastId}` for BROADCAST_RETENTION seconds.
+ */
+
+const listsKey = (sessionId) => `broadcast-lists:${sessionId}`;
+const broadcastKey = (sessionId, broadcastId) => `broadcasts:${sessionId}:${broadcastId}`;
+
+const parseList = (value) => JSON.parse(decrypt(value));
+
+/**
+ * Progress of a broadcast from its hash; pending recipients are still queued
+ */
+const parseBroadcast = ({ id, listId, type, total, sent, failed, createdAt }) => {
+  const counts = {
+    total: parseInteger(total, 0),
+    sent: parseInteger(sent, 0),
+    failed: parseInteger(failed, 0),
+  };
+
+  return {
+    id,
+    listId,
+    type,
+    ...counts,
+    pending: counts.total - counts.sent - counts.failed,
+    createdAt,
+  };
+};
+
+class BroadcastListStore {
+  constructor(redisClient, options = {}) {
+    this.redis = redisClient;
+    this.broadcastRetention =
+      options.broadcastRetention ?? parseInteger(process.env.BROADCAST_RETENTION, 604_800);
+  }
+
+  async list(sessionId) {
+    const values = Object.values(await this.redis.hGetAll(listsKey(sessionId)));
+
+    return values
+      .map((value) => parseList(value))
+      .sort((left, right) => left.name.localeCompare(right.name));
+  }
+
+  async get(sessionId, listId) {
+    const value = await this.redis.hGet(listsKey(sessionId), listId);
+    return value ? parseList(value) : null;
+  }
+
+  async create(sessionId, { name, recipients }) {
+    const now = new Date().toISOString();
+    const list = { id: uuidv4(), name, recipients, createdAt: now, updatedAt: now };
+
+    await this.save(sessionId, list);
+    return list;
+  }
+
+  /**
+   * Replace the name and recipients of a list. Resolves to null when the
+   * list does not exist.
+   */
+  async update(sessionId, listId, { name, recipients }) {
+    const stored = await this.get(sessionId, listId);
+
+    if (!stored) {
+      return null;
+    }
+
+    const list = { ...stored, name, recipients, updatedAt: new Date().toISOString() };
+    await this.save(sessionId, list);
+    return list;
+  }
+
+  async save(sessionId, list) {
+    await this.redis.hSet(listsKey(sessionId), list.id, encrypt(JSON.stringify(list)));
+  }
+
+  /**
+   * Resolves to whether the list existed
+   */
+  async delete(sessionId, listId) {
+    return (await this.redis.hDel(listsKey(sessionId), listId)) > 0;
+  }
+
+  /**
+   * Start tracking a broadcast of `total` messages
+   */
+  async createBroadcast(sessionId, { id, listId, type, total }) {
+    const key = broadcastKey(sessionId, id);
+
+    await this.redis
+      .multi()
+      .hSet(key, {
+        id,
+        listId,
+        type,
+        total,
+        sent: 0,
+        failed: 0,
+        createdAt: new Date().toISOString(),
+      })
+      .expire(key, this.broadcastRetention)
+      .exec();
+  }
+
+  /**
+   * Count a message of a broadcast as sent or failed
+   */
+  async recordDelivery(sessionId, broadcastId, outcome) {
+    const key = broadcastKey(sessionId, broadcastId);
+
+    // A broadcast that expired mid-send is recreated by the increment; NX
+    // gives it a TTL again without extending the one of a live broadcast
+    await this.redis
+      .multi()
+      .hIncrBy(key, outcome, 1)
+      .expire(key, this.broadcastRetention, 'NX')
+      .exec();
+  }
+
+  async getBroadcast(sessionId, broadcastId) {
+    const fields = await this.redis.hGetAll(broadcastKey(sessionId, broadcastId));
+    return fields.id ? parseBroadcast(fields) : null;
+  }
+}
+
+/**
+ * Redis keys holding the broadcast lists and broadcasts of a session
+ */
+const broadcastListKeys = async (redis, sessionId) => {
+  const keys = [listsKey(sessionId)];
+  for await (const key of redis.scanIterator({ MATCH: broadcastKey(sessionId, '*') })) {
+    keys.push(key);
+  }
+  return keys;
+};
+
+export { broadcastListKeys };
+export default BroadcastListStore;
@@ -0,0 +1,180 @@
+import { notFound } from '@hapi/boom';
+import { v4 as uuidv4 } from 'uuid';
+
+import logger from '../utils/logger.js';
+import { buildMessageContent } from '../utils/messageContent.js';
+
+import BroadcastListStore from './BroadcastListStore.js';
+
+/**
+ * Status updates (stories) and broadcasts to saved recipient lists.
+ *
+ * Statuses are a single message to status@broadcast, shown to the audience
+ * given. Broadcasts queue one message per recipient on the bulk queue, so
+ * they are rate limited and retried like other bulk messages.
+ */
+
+const STATUS_JID = 'status@broadcast';
+const BROADCAST_QUEUE = 'bulk';
+const LIST_NOT_FOUND = 'Broadcast list not found';
+
+class BroadcastManager {
+  constructor(redisClient, sessionManager, messageQueue) {
+    this.sessionManager = sessionManager;
+    this.messageQueue = messageQueue;
+    this.lists = new BroadcastListStore(redisClient);
+  }
+
+  /**
+   * Deliver queued broadcast messages. `breaker` is an optional circuit
+   * breaker guarding the sends; it must have no fallback, or sends it
+   * rejects would complete their jobs.
+   */
+  async start(breaker) {
+    await this.messageQueue.processQueue(BROADCAST_QUEUE, (job) => this.deliver(job), { breaker });
+  }
+
+  getLists(sessionId) {
+    return this.lists.list(sessionId);
+  }
+
+  async createList(sessionId, list) {
+    const created = await this.lists.create(sessionId, list);
+
+    logger.info('Broadcast list created', {
+      sessionId,
+      listId: created.id,
+      recipients: created.recipients.length,
+    });
+    return created;
+  }
+
+  /**
+   * A broadcast list, or 404 when it does not exist
+   */
+  async getList(sessionId, listId) {
+    const list = await this.lists.get(sessionId, listId);
+
+    if (!list) {
+      throw notFound(LIST_NOT_FOUND);
+    }
+    return list;
+  }
+
+  /**
+   * Replace the name and recipients of a list
+   */
+  async updateList(sessionId, listId, changes) {
+    const list = await this.lists.update(sessionId, listId, changes);
+
+    if (!list) {
+      throw notFound(LIST_NOT_FOUND);
+    }
+    return list;
+  }
+
+  async getRecipients(sessionId, listId) {
+    const { recipients } = await this.getList(sessionId, listId);
+    return recipients;
+  }
+
+  async deleteList(sessionId, listId) {
+    if (!(await this.lists.delete(sessionId, listId))) {
+      throw notFound(LIST_NOT_FOUND);
+    }
+  }
+
+  /**
+   * Publish a text, image or video status to the given phone numbers or to
+   * the recipients of a broadcast list. Text statuses take a background
+   * color and a font.
+   */
+  async publishStatus(sessionId, { type, message, recipients, listId, backgroundColor, font }) {
+    const sock = this.sessionManager.getConnectedSocket(sessionId);
+    const audience = recipients ?? (await this.getRecipients(sessionId, listId));
+    const content = buildMessageContent(
+      type,
+      await this.sessionManager.resolveUploadedMedia(sessionId, type, message),
+    );
+
+    const sentMessage = await sock.sendMessage(STATUS_JID, content, {
+      backgroundColor,
+      font,
+      statusJidList: audience.map((phoneNumber) => this.sessionManager.formatJID(phoneNumber)),
+    });
+
+    logger.info('Status published', { sessionId, type, audience: audience.length });
+
+    return {
+      messageId: sentMessage.key.id,
+      type,
+      audience: audience.length,
+      timestamp: sentMessage.messageTimestamp,
+    };
+  }
+
+  /**
+   * Queue a message to every recipient of a list. Resolves to the broadcast,
+   * whose progress is available through getBroadcast.
+   */
+  async send(sessionId, listId, { type, message }) {
+    const recipients = await this.getRecipients(sessionId, listId);
+    const broadcastId = uuidv4();
+
+    await this.lists.createBroadcast(sessionId, {
+      id: broadcastId,
+      listId,
+      type,
+      total: recipients.length,
+    });
+    await Promise.all(
+      recipients.map((to, index) =>
+        this.messageQueue.addMessage(BROADCAST_QUEUE, {
+          id: `${broadcastId}_${index}`,
+          broadcastId,
+          sessionId,
+          to,
+          content: { type, message },
+        }),
+      ),
+    );
+
+    logger.info('Broadcast queued', { sessionId, listId, broadcastId, total: recipients.length });
+    return this.lists.getBroadcast(sessionId, broadcastId);
+  }
+
+  /**
+   * Send one queued broadcast message. Failures are counted once the job has
+   * no attempts left.
+   */
+  async deliver(job) {
+    const { broadcastId, sessionId, to, content } = job.data;
+
+    try {
+      const result = await this.sessionManager.sendMessage(
+        sessionId,
+        to,
+        content.message,
+        content.type,
+      );
+      await this.lists.recordDelivery(sessionId, broadcastId, 'sent');
+      return result;
+    } catch (error) {
+      if (job.attemptsMade >= job.opts.attempts - 1) {
+        await this.lists.recordDelivery(sessionId, broadcastId, 'failed');
+      }
+      throw error;
+    }
+  }
+
+  async getBroadcast(sessionId, broadcastId) {
+    const broadcast = await this.lists.getBroadcast(sessionId, broadcastId);
+
+    if (!broadcast) {
+      throw notFound('Broadcast not found');
+    }
+    return broadcast;
+  }
+}
+
+export default BroadcastManager;
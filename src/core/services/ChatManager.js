@@ -0,0 +1,174 @@
+import { badRequest, notFound } from '@hapi/boom';
+
+import logger from '../utils/logger.js';
+
+/**
+ * Inbox operations on the chats of a connected session: read state,
+ * archive, pin, mute, labels, clearing and deleting. Chats are addressed by
+ * JID or by phone number.
+ *
+ * Changes are synced to the other linked devices through WhatsApp app state
+ * and applied to the chat list right away, as the chats.update event they
+ * cause would.
+ */
+
+// muteEndTime of chats muted until unmuted
+const MUTED_FOREVER = -1;
+
+const CHAT_NOT_FOUND = 'Chat not found';
+
+/**
+ * Last message list of chatModify, from the preview of the stored chat
+ */
+const lastMessages = ({ id: remoteJid, isGroup, lastMessage }) => {
+  if (!lastMessage) {
+    throw badRequest('The chat has no known messages');
+  }
+
+  const { id, fromMe, sender, timestamp } = lastMessage;
+  // Messages of others in groups are identified by their sender too
+  const participant = isGroup && !fromMe ? sender : undefined;
+
+  return [{ key: { remoteJid, id, fromMe, participant }, messageTimestamp: timestamp }];
+};
+
+class ChatManager {
+  constructor(sessionManager) {
+    this.sessionManager = sessionManager;
+    this.store = sessionManager.chatStore;
+  }
+
+  socket(sessionId) {
+    return this.sessionManager.getConnectedSocket(sessionId);
+  }
+
+  toChatJid(chatId) {
+    return chatId.includes('@') ? chatId : this.sessionManager.formatJID(chatId);
+  }
+
+  /**
+   * Chats of a session, see ChatStore.list
+   */
+  list(sessionId, options) {
+    return this.store.list(sessionId, options);
+  }
+
+  listLabels(sessionId) {
+    return this.store.listLabels(sessionId);
+  }
+
+  async get(sessionId, chatId) {
+    const chat = await this.store.get(sessionId, this.toChatJid(chatId));
+
+    if (!chat) {
+      throw notFound(CHAT_NOT_FOUND);
+    }
+    return chat;
+  }
+
+  /**
+   * Send a chat modification and apply the chats.update it amounts to.
+   * Resolves to the updated chat.
+   */
+  async modify(sessionId, chat, modification, update) {
+    await this.socket(sessionId).chatModify(modification, chat.id);
+    await this.store.update(sessionId, [{ id: chat.id, ...update }]);
+
+    return this.store.get(sessionId, chat.id);
+  }
+
+  /**
+   * Mark a chat read, sending read receipts for its last message, or unread
+   */
+  async markRead(sessionId, chatId, read) {
+    const chat = await this.get(sessionId, chatId);
+    const messages = lastMessages(chat);
+
+    if (read && !chat.lastMessage.fromMe) {
+      await this.socket(sessionId).readMessages(messages.map(({ key }) => key));
+    }
+    return this.modify(
+      sessionId,
+      chat,
+      { markRead: read, lastMessages: messages },
+      { unreadCount: read ? 0 : -1 },
+    );
+  }
+
+  async archive(sessionId, chatId, archived) {
+    const chat = await this.get(sessionId, chatId);
+
+    return this.modify(
+      sessionId,
+      chat,
+      { archive: archived, lastMessages: lastMessages(chat) },
+      { archived },
+    );
+  }
+
+  async pin(sessionId, chatId, pinned) {
+    const chat = await this.get(sessionId, chatId);
+
+    return this.modify(sessionId, chat, { pin: pinned }, { pinned: pinned ? Date.now() : null });
+  }
+
+  /**
+   * Mute a chat for a number of seconds, or until unmuted when no duration
+   * is given
+   */
+  async mute(sessionId, chatId, duration) {
+    const chat = await this.get(sessionId, chatId);
+    const muteEndTime = duration ? Date.now() + duration * 1000 : MUTED_FOREVER;
+
+    return this.modify(sessionId, chat, { mute: muteEndTime }, { muteEndTime });
+  }
+
+  async unmute(sessionId, chatId) {
+    const chat = await this.get(sessionId, chatId);
+
+    return this.modify(sessionId, chat, { mute: null }, { muteEndTime: null });
+  }
+
+  /**
+   * Delete the messages of a chat on every linked device, keeping the chat
+   */
+  async clear(sessionId, chatId) {
+    const chat = await this.get(sessionId, chatId);
+
+    await this.socket(sessionId).chatModify({ clear: true }, chat.id);
+    await this.store.modify(sessionId, [[chat.id, (stored) => ({ ...stored, lastMessage: null })]]);
+
+    logger.info('Chat cleared', { sessionId, chatId: chat.id });
+  }
+
+  /**
+   * Delete a chat on every linked device
+   */
+  async delete(sessionId, chatId) {
+    const chat = await this.get(sessionId, chatId);
+
+    await this.socket(sessionId).chatModify(
+      { delete: true, lastMessages: lastMessages(chat) },
+      chat.id,
+    );
+    await this.store.remove(sessionId, [chat.id]);
+
+    logger.info('Chat deleted', { sessionId, chatId: chat.id });
+  }
+
+  /**
+   * Add or remove a WhatsApp Business label of a chat
+   */
+  async setLabel(sessionId, chatId, labelId, labeled) {
+    const chat = await this.get(sessionId, chatId);
+    const sock = this.socket(sessionId);
+    const association = { type: 'label_jid', chatId: chat.id, labelId };
+
+    await (labeled ? sock.addChatLabel(chat.id, labelId) : sock.removeChatLabel(chat.id, labelId));
+    await this.store.associateLabel(sessionId, association, labeled ? 'add' : 'remove');
+
+    return this.store.get(sessionId, chat.id);
+  }
+}
+
+export default ChatManager;
@@ -0,0 +1,312 @@
+import { decrypt, encrypt } from '../utils/encryption.js';
+import { createKeyedQueue } from '../utils/keyedQueue.js';
+import { normalizeJid, toNumber } from '../utils/messageNormalizer.js';
+
+/**
+ * Chat list of each session as synced by WhatsApp (messaging-history.set,
+ * chats.upsert, chats.update, chats.delete), one encrypted chat per JID in
+ * the `chats:${sessionId}` hash. The last message preview comes from the
+ * messages the session stores.
+ *
+ * Unread counts are plain counters in `chat-unread:${sessionId}`, so that
+ * concurrent events add up. WhatsApp Business labels are kept in
+ * `chat-labels:${sessionId}`.
+ */
+
+const chatsKey = (sessionId) => `chats:${sessionId}`;
+const unreadKey = (sessionId) => `chat-unread:${sessionId}`;
+const labelsKey = (sessionId) => `chat-labels:${sessionId}`;
+
+const PREVIEW_LENGTH = 100;
+
+// Label associations of chats, as opposed to messages
+const CHAT_LABEL_ASSOCIATION = 'label_jid';
+
+// API fields read from a Baileys Chat or ChatUpdate; undefined when the
+// event does not carry them. Unset flags come as null.
+const CHAT_FIELDS = [
+  ['name', (chat) => chat.name ?? undefined],
+  ['archived', (chat) => (chat.archived === undefined ? undefined : Boolean(chat.archived))],
+  // Timestamp of the pin, null when unpinned
+  ['pinned', (chat) => (chat.pinned === undefined ? undefined : Boolean(chat.pinned))],
+  // Milliseconds; -1 mutes forever
+  [
+    'mutedUntil',
+    (chat) => (chat.muteEndTime === undefined ? undefined : toNumber(chat.muteEndTime)),
+  ],
+  ['readOnly', (chat) => (chat.readOnly === undefined ? undefined : Boolean(chat.readOnly))],
+  ['markedAsUnread', (chat) => chat.markedAsUnread ?? undefined],
+  ['timestamp', (chat) => toNumber(chat.conversationTimestamp) || undefined],
+];
+
+const parseChat = (value) => (value ? JSON.parse(decrypt(value)) : null);
+
+const chatFields = (chat) =>
+  Object.fromEntries(
+    CHAT_FIELDS.map(([field, read]) => [field, read(chat)]).filter(
+      ([, value]) => value !== undefined,
+    ),
+  );
+
+const newChat = (id) => ({
+  id,
+  name: null,
+  isGroup: id.endsWith('@g.us'),
+  archived: false,
+  pinned: false,
+  mutedUntil: null,
+  readOnly: false,
+  markedAsUnread: false,
+  timestamp: null,
+  lastMessage: null,
+  labels: [],
+});
+
+/**
+ * Preview of a normalized message, with what chat modifications need to
+ * reference it
+ */
+const messagePreview = (message) => ({
+  id: message.id,
+  fromMe: message.fromMe,
+  sender: message.sender,
+  type: message.type,
+  text: message.text?.slice(0, PREVIEW_LENGTH) ?? null,
+  timestamp: message.timestamp,
+});
+
+const isMuted = (mutedUntil) => Boolean(mutedUntil) && (mutedUntil < 0 || mutedUntil > Date.now());
+
+/**
+ * API model of a stored chat
+ */
+const toChat = (chat, unreadCount) => ({
+  ...chat,
+  muted: isMuted(chat.mutedUntil),
+  mutedUntil: chat.mutedUntil > 0 ? new Date(chat.mutedUntil).toISOString() : null,
+  unreadCount,
+});
+
+// Pinned chats first, then by last activity
+const byActivity = (left, right) =>
+  Number(right.pinned) - Number(left.pinned) || (right.timestamp ?? 0) - (left.timestamp ?? 0);
+
+class ChatStore {
+  constructor(redisClient) {
+    this.redis = redisClient;
+    this.writes = createKeyedQueue();
+  }
+
+  /**
+   * Apply changes to stored chats, creating the ones not known yet.
+   * `changes` holds [jid, (chat) => changed chat] pairs.
+   */
+  modify(sessionId, changes) {
+    // Changes read then write the hash, so the ones of a session take turns
+    return this.writes(sessionId, () => this.applyChanges(sessionId, changes));
+  }
+
+  async applyChanges(sessionId, changes) {
+    if (changes.length === 0) {
+      return;
+    }
+
+    const stored = await this.redis.hmGet(
+      chatsKey(sessionId),
+      changes.map(([id]) => id),
+    );
+    // A batch can change the same chat more than once
+    const chats = changes.reduce(
+      (chatsById, [id, change], index) =>
+        chatsById.set(id, change(chatsById.get(id) ?? parseChat(stored.at(index)) ?? newChat(id))),
+      new Map(),
+    );
+
+    await this.redis.hSet(
+      chatsKey(sessionId),
+      Object.fromEntries(
+        [...chats].map(([id, chat]) => [
+          id,
+          encrypt(JSON.stringify({ ...chat, updatedAt: new Date().toISOString() })),
+        ]),
+      ),
+    );
+  }
+
+  /**
+   * Store full chats, from history sync or chats.upsert
+   */
+  async upsert(sessionId, chats = []) {
+    const known = chats.filter((chat) => chat?.id);
+    const unread = known.filter((chat) => typeof chat.unreadCount === 'number');
+
+    await this.modify(
+      sessionId,
+      known.map((chat) => [
+        normalizeJid(chat.id),
+        (stored) => ({ ...stored, ...chatFields(chat) }),
+      ]),
+    );
+    if (unread.length > 0) {
+      await this.redis.hSet(
+        unreadKey(sessionId),
+        Object.fromEntries(
+          unread.map((chat) => [normalizeJid(chat.id), Math.max(chat.unreadCount, 0)]),
+        ),
+      );
+    }
+  }
+
+  /**
+   * Apply chats.update changes. A positive unreadCount counts new messages,
+   * 0 marks the chat read and -1 marks it unread.
+   */
+  async update(sessionId, updates = []) {
+    const known = updates.filter((update) => update?.id);
+
+    await this.modify(
+      sessionId,
+      known.map((update) => [
+        normalizeJid(update.id),
+        (stored) => ({
+          ...stored,
+          ...chatFields(update),
+          ...(update.unreadCount === 0 && { markedAsUnread: false }),
+          ...(update.unreadCount < 0 && { markedAsUnread: true }),
+        }),
+      ]),
+    );
+
+    const transaction = this.redis.multi();
+    for (const { id, unreadCount } of known) {
+      if (unreadCount > 0) {
+        transaction.hIncrBy(unreadKey(sessionId), normalizeJid(id), unreadCount);
+      } else if (unreadCount === 0) {
+        transaction.hSet(unreadKey(sessionId), normalizeJid(id), 0);
+      }
+    }
+    await transaction.exec();
+  }
+
+  /**
+   * Keep a stored message as the last one of its chat, unless a later one
+   * is known
+   */
+  async recordMessage(sessionId, message) {
+    await this.modify(sessionId, [
+      [
+        message.chat,
+        (stored) => {
+          if ((stored.lastMessage?.timestamp ?? 0) > message.timestamp) {
+            return stored;
+          }
+          return {
+            ...stored,
+            lastMessage: messagePreview(message),
+            timestamp: Math.max(stored.timestamp ?? 0, message.timestamp),
+          };
+        },
+      ],
+    ]);
+  }
+
+  async remove(sessionId, ids) {
+    if (ids.length === 0) {
+      return;
+    }
+
+    const jids = ids.map((id) => normalizeJid(id));
+    await this.redis
+      .multi()
+      .hDel(chatsKey(sessionId), jids)
+      .hDel(unreadKey(sessionId), jids)
+      .exec();
+  }
+
+  /**
+   * Chats of a session, pinned first and then by last activity, paginated.
+   * `archived` and `labelId` filter them.
+   */
+  async list(sessionId, { limit = 50, offset = 0, archived, labelId } = {}) {
+    const [values, unread] = await Promise.all([
+      this.redis.hGetAll(chatsKey(sessionId)),
+      this.redis.hGetAll(unreadKey(sessionId)),
+    ]);
+    const unreadCounts = new Map(Object.entries(unread));
+    const chats = Object.values(values)
+      .map((value) => parseChat(value))
+      .filter((chat) => archived === undefined || chat.archived === archived)
+      .filter((chat) => labelId === undefined || chat.labels.includes(labelId))
+      .sort(byActivity);
+
+    return {
+      chats: chats
+        .slice(offset, offset + limit)
+        .map((chat) => toChat(chat, Number(unreadCounts.get(chat.id) ?? 0))),
+      total: chats.length,
+    };
+  }
+
+  async get(sessionId, chatId) {
+    const [value, unreadCount] = await Promise.all([
+      this.redis.hGet(chatsKey(sessionId), chatId),
+      this.redis.hGet(unreadKey(sessionId), chatId),
+    ]);
+    const chat = parseChat(value);
+
+    return chat && toChat(chat, Number(unreadCount ?? 0));
+  }
+
+  /**
+   * Redis keys holding the chats and labels of a session
+   */
+  sessionKeys(sessionId) {
+    return [chatsKey(sessionId), unreadKey(sessionId), labelsKey(sessionId)];
+  }
+
+  /**
+   * Store a label from labels.edit; deleted labels are removed
+   */
+  async saveLabel(sessionId, { id, name, color, deleted, predefinedId }) {
+    if (deleted) {
+      await this.redis.hDel(labelsKey(sessionId), id);
+      return;
+    }
+
+    await this.redis.hSet(
+      labelsKey(sessionId),
+      id,
+      JSON.stringify({ id, name, color, predefinedId: predefinedId ?? null }),
+    );
+  }
+
+  async listLabels(sessionId) {
+    const values = Object.values(await this.redis.hGetAll(labelsKey(sessionId)));
+
+    return values
+      .map((value) => JSON.parse(value))
+      .sort((left, right) => left.name.localeCompare(right.name));
+  }
+
+  /**
+   * Add or remove a label of a chat, from labels.association. Message labels
+   * are not tracked.
+   */
+  async associateLabel(sessionId, { type, chatId, labelId }, action) {
+    if (type !== CHAT_LABEL_ASSOCIATION) {
+      return;
+    }
+
+    await this.modify(sessionId, [
+      [
+        normalizeJid(chatId),
+        (stored) => {
+          const labels = stored.labels.filter((label) => label !== labelId);
+          return { ...stored, labels: action === 'add' ? [...labels, labelId] : labels };
+        },
+      ],
+    ]);
+  }
+}
+
+export default ChatStore;
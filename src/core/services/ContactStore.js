@@ -0,0 +1,150 @@
+import { decrypt, encrypt } from '../utils/encryption.js';
+import { createKeyedQueue } from '../utils/keyedQueue.js';
+import { normalizeJid } from '../utils/messageNormalizer.js';
+import { parseInteger } from '../utils/numbers.js';
+
+/**
+ * Contacts of each session as synced by WhatsApp (contacts.upsert and
+ * contacts.update), one encrypted contact per JID in the
+ * `contacts:${sessionId}` hash.
+ *
+ * Also caches onWhatsApp lookups in `onwhatsapp:${phoneNumber}` keys for
+ * NUMBER_CHECK_CACHE_TTL seconds. Whether a number is registered does not
+ * depend on the session that checked it, so the cache is shared.
+ */
+
+const contactsKey = (sessionId) => `contacts:${sessionId}`;
+const numberCheckKey = (phoneNumber) => `onwhatsapp:${phoneNumber}`;
+
+// Baileys Contact fields kept; imgUrl is left out as it expires
+const CONTACT_FIELDS = new Set(['lid', 'name', 'notify', 'verifiedName', 'status']);
+
+const displayName = (contact) =>
+  contact.name || contact.notify || contact.verifiedName || contact.phoneNumber || contact.id;
+
+const parseContact = (value) => (value ? JSON.parse(decrypt(value)) : {});
+
+/**
+ * Merge a Baileys contact, possibly partial, into its stored version
+ */
+const mergeContact = (stored, update, id) => ({
+  ...stored,
+  ...Object.fromEntries(
+    Object.entries(update).filter(
+      ([field, value]) => CONTACT_FIELDS.has(field) && value !== undefined,
+    ),
+  ),
+  id,
+  phoneNumber: id.endsWith('@s.whatsapp.net') ? id.split('@')[0] : (stored.phoneNumber ?? null),
+  updatedAt: new Date().toISOString(),
+});
+
+class ContactStore {
+  constructor(redisClient, options = {}) {
+    this.redis = redisClient;
+    this.numberCheckTtl =
+      options.numberCheckTtl ?? parseInteger(process.env.NUMBER_CHECK_CACHE_TTL, 86_400);
+    this.writes = createKeyedQueue();
+  }
+
+  /**
+   * Store contacts from contacts.upsert, or the partial updates of
+   * contacts.update, merged with what is known of them. Resolves to the
+   * number of contacts written.
+   */
+  upsert(sessionId, contacts) {
+    // Merges read then write the hash, so the writes of a session take turns
+    return this.writes(sessionId, () => this.merge(sessionId, contacts));
+  }
+
+  async merge(sessionId, contacts) {
+    const updates = contacts
+      .filter((contact) => contact?.id)
+      .map((contact) => [normalizeJid(contact.id), contact]);
+
+    if (updates.length === 0) {
+      return 0;
+    }
+
+    const stored = await this.redis.hmGet(
+      contactsKey(sessionId),
+      updates.map(([id]) => id),
+    );
+    // A batch can update the same contact more than once
+    const merged = updates.reduce(
+      (contactsById, [id, update], index) =>
+        contactsById.set(
+          id,
+          mergeContact(contactsById.get(id) ?? parseContact(stored.at(index)), update, id),
+        ),
+      new Map(),
+    );
+
+    await this.redis.hSet(
+      contactsKey(sessionId),
+      Object.fromEntries(
+        [...merged].map(([id, contact]) => [id, encrypt(JSON.stringify(contact))]),
+      ),
+    );
+
+    return merged.size;
+  }
+
+  /**
+   * Contacts of a session sorted by name, paginated
+   */
+  async list(sessionId, { limit = 100, offset = 0 } = {}) {
+    const values = Object.values(await this.redis.hGetAll(contactsKey(sessionId)));
+    const contacts = values
+      .map((value) => parseContact(value))
+      .sort((left, right) => displayName(left).localeCompare(displayName(right)));
+
+    return { contacts: contacts.slice(offset, offset + limit), total: contacts.length };
+  }
+
+  /**
+   * Redis keys holding the contacts of a session; number checks are shared
+   */
+  sessionKeys(sessionId) {
+    return [contactsKey(sessionId)];
+  }
+
+  /**
+   * Cached number checks, by phone number (digits only). Numbers not cached
+   * are left out.
+   */
+  async getNumberChecks(phoneNumbers) {
+    if (phoneNumbers.length === 0) {
+      return new Map();
+    }
+
+    const values = await this.redis.mGet(phoneNumbers.map((number) => numberCheckKey(number)));
+    return new Map(
+      phoneNumbers
+        .map((number, index) => [number, values.at(index)])
+        .filter(([, value]) => value)
+        .map(([number, value]) => [number, JSON.parse(value)]),
+    );
+  }
+
+  /**
+   * Cache number checks ({ phoneNumber, exists, jid })
+   */
+  async saveNumberChecks(checks) {
+    if (checks.length === 0) {
+      return;
+    }
+
+    const transaction = this.redis.multi();
+    for (const check of checks) {
+      transaction.setEx(
+        numberCheckKey(check.phoneNumber),
+        this.numberCheckTtl,
+        JSON.stringify(check),
+      );
+    }
+    await transaction.exec();
+  }
+}
+
+export default ContactStore;
@@ -0,0 +1,170 @@
+import logger from '../utils/logger.js';
+import { normalizeJid } from '../utils/messageNormalizer.js';
+
+/**
+ * Group administration through the socket of a connected session: creation,
+ * participants, subject, description, picture, settings and invite links.
+ * Groups are addressed by JID or by the id before @g.us.
+ */
+
+const INVITE_LINK_BASE = 'https://chat.whatsapp.com/';
+
+// groupSettingUpdate values of each setting when off and on
+const ANNOUNCE_SETTINGS = ['not_announcement', 'announcement'];
+const LOCKED_SETTINGS = ['unlocked', 'locked'];
+
+// GroupMetadata fields reported by groups.update, by their API name
+const UPDATE_FIELDS = new Map([
+  ['id', 'id'],
+  ['author', 'author'],
+  ['subject', 'subject'],
+  ['desc', 'description'],
+  ['announce', 'announce'],
+  ['restrict', 'locked'],
+  ['ephemeralDuration', 'ephemeralDuration'],
+  ['memberAddMode', 'memberAddMode'],
+  ['joinApprovalMode', 'joinApprovalMode'],
+]);
+
+const toGroupJid = (groupId) => (groupId.includes('@') ? groupId : `${groupId}@g.us`);
+
+/**
+ * API model of a Baileys GroupMetadata
+ */
+const normalizeGroup = (metadata) => ({
+  id: metadata.id,
+  subject: metadata.subject,
+  subjectOwner: normalizeJid(metadata.subjectOwner),
+  subjectTime: metadata.subjectTime ?? null,
+  description: metadata.desc ?? null,
+  owner: normalizeJid(metadata.owner),
+  creation: metadata.creation ?? null,
+  size: metadata.size ?? metadata.participants?.length ?? 0,
+  announce: Boolean(metadata.announce),
+  locked: Boolean(metadata.restrict),
+  ephemeralDuration: metadata.ephemeralDuration ?? null,
+  participants: (metadata.participants ?? []).map(({ id, admin }) => ({
+    jid: normalizeJid(id),
+    admin: admin ?? null,
+  })),
+});
+
+/**
+ * API model of the fields changed in a groups.update event
+ */
+const normalizeGroupUpdate = (update) =>
+  Object.fromEntries(
+    Object.entries(update)
+      .filter(([field, value]) => UPDATE_FIELDS.has(field) && value !== undefined)
+      .map(([field, value]) => [UPDATE_FIELDS.get(field), value]),
+  );
+
+class GroupManager {
+  constructor(sessionManager) {
+    this.sessionManager = sessionManager;
+  }
+
+  socket(sessionId) {
+    return this.sessionManager.getConnectedSocket(sessionId);
+  }
+
+  participantJids(phoneNumbers) {
+    return phoneNumbers.map((phoneNumber) => this.sessionManager.formatJID(phoneNumber));
+  }
+
+  /**
+   * Groups the session takes part in, by subject
+   */
+  async list(sessionId) {
+    const groups = await this.socket(sessionId).groupFetchAllParticipating();
+
+    return Object.values(groups)
+      .map((metadata) => normalizeGroup(metadata))
+      .sort((left, right) => (left.subject ?? '').localeCompare(right.subject ?? ''));
+  }
+
+  async get(sessionId, groupId) {
+    return normalizeGroup(await this.socket(sessionId).groupMetadata(toGroupJid(groupId)));
+  }
+
+  async create(sessionId, { name, participants }) {
+    const metadata = await this.socket(sessionId).groupCreate(
+      name,
+      this.participantJids(participants),
+    );
+
+    logger.info('Group created', {
+      sessionId,
+      groupId: metadata.id,
+      participants: participants.length,
+    });
+    return normalizeGroup(metadata);
+  }
+
+  /**
+   * Add, remove, promote or demote participants. Resolves to the outcome per
+   * participant; WhatsApp answers 200 on success, 403 when not allowed, 408
+   * when a participant left recently and 409 when already in the group.
+   */
+  async updateParticipants(sessionId, groupId, action, participants) {
+    const results = await this.socket(sessionId).groupParticipantsUpdate(
+      toGroupJid(groupId),
+      this.participantJids(participants),
+      action,
+    );
+
+    return results.map(({ jid, status }) => ({
+      jid: normalizeJid(jid),
+      status: Number(status),
+      success: status === '200',
+    }));
+  }
+
+  /**
+   * Change the subject, description (empty to remove it) and settings of a
+   * group; fields left out are kept. Resolves to the updated group.
+   */
+  async update(sessionId, groupId, { subject, description, announce, locked }) {
+    const sock = this.socket(sessionId);
+    const jid = toGroupJid(groupId);
+
+    // Each change is its own query, answered separately by WhatsApp
+    await Promise.all([
+      subject !== undefined && sock.groupUpdateSubject(jid, subject),
+      description !== undefined && sock.groupUpdateDescription(jid, description || undefined),
+      announce !== undefined &&
+        sock.groupSettingUpdate(jid, ANNOUNCE_SETTINGS.at(Number(announce))),
+      locked !== undefined && sock.groupSettingUpdate(jid, LOCKED_SETTINGS.at(Number(locked))),
+    ]);
+
+    return this.get(sessionId, groupId);
+  }
+
+  /**
+   * Set the group picture from an image uploaded through the media API
+   */
+  async setPicture(sessionId, groupId, mediaId) {
+    const sock = this.socket(sessionId);
+    const stream = await this.sessionManager.readUploadedImage(sessionId, mediaId);
+
+    await sock.updateProfilePicture(toGroupJid(groupId), { stream });
+  }
+
+  async getInviteLink(sessionId, groupId) {
+    const code = await this.socket(sessionId).groupInviteCode(toGroupJid(groupId));
+    return { code, link: `${INVITE_LINK_BASE}${code}` };
+  }
+
+  /**
+   * Invalidate the invite link of a group. Resolves to the new one.
+   */
+  async revokeInviteLink(sessionId, groupId) {
+    const code = await this.socket(sessionId).groupRevokeInvite(toGroupJid(groupId));
+
+    logger.info('Group invite link revoked', { sessionId, groupId });
+    return { code, link: `${INVITE_LINK_BASE}${code}` };
+  }
+}
+
+export { normalizeGroup, normalizeGroupUpdate };
+export default GroupManager;
@@ -0,0 +1,132 @@
+import {
+  decryptPollVote,
+  getAggregateVotesInPollMessage,
+  getKeyAuthor,
+  jidNormalizedUser,
+  updateMessageWithPollUpdate,
+} from '@whiskeysockets/baileys';
+import { LRUCache } from 'lru-cache';
+
+import { extractNativeSelection, matchMenuReply } from '../utils/interactiveContent.js';
+import logger from '../utils/logger.js';
+import { unwrapMessage } from '../utils/messageNormalizer.js';
+
+/**
+ * Tracks structured choices: the last menu sent to each chat, so text replies
+ * can be matched to an option, and the votes of polls still in the message cache.
+ */
+
+const MENU_TTL = 24 * 60 * 60 * 1000;
+
+const menuKey = (sessionId, jid) => `${sessionId}|${jid}`;
+
+const getText = (message) => message?.conversation || message?.extendedTextMessage?.text;
+
+class InteractiveMessages {
+  constructor(messageCache, options = {}) {
+    this.messageCache = messageCache;
+    this.menus = new LRUCache({
+      max: options.maxMenus ?? 10_000,
+      ttl: options.menuTtl ?? MENU_TTL,
+    });
+  }
+
+  /**
+   * Remember the options of a menu sent to a chat; it replaces the previous one
+   */
+  rememberMenu(sessionId, jid, { messageId, type, options }) {
+    this.menus.set(menuKey(sessionId, jid), { messageId, type, options });
+  }
+
+  /**
+   * Option selected by an inbound message: a native list/button reply, or a
+   * text reply matching the last menu sent to the chat. A selection answers
+   * the menu, so later messages of the chat are not matched against it.
+   */
+  resolveSelection(sessionId, msg) {
+    // Replies in chats with disappearing messages arrive wrapped
+    const { content } = unwrapMessage(msg.message);
+    const key = menuKey(sessionId, msg.key.remoteJid);
+
+    const native = extractNativeSelection(content);
+    if (native) {
+      this.menus.delete(key);
+      return { ...native, source: 'native' };
+    }
+
+    const menu = this.menus.get(key);
+    const option = menu && matchMenuReply(getText(content), menu.options);
+    if (!option) {
+      return null;
+    }
+
+    this.menus.delete(key);
+    return {
+      type: menu.type,
+      id: option.id,
+      title: option.title,
+      menuMessageId: menu.messageId,
+      source: 'text',
+    };
+  }
+
+  /**
+   * Decrypt a poll vote and add it to its poll. Returns the voter's current
+   * choice and the updated tally, or null when the poll is no longer cached.
+   *
+   * The poll creation message holds the key votes are encrypted with and the
+   * votes counted so far, and only the message cache keeps it: votes on polls
+   * evicted from the cache or sent before a restart are dropped.
+   */
+  applyPollVote(sessionId, msg, meId) {
+    const {
+      pollCreationMessageKey: pollKey,
+      vote,
+      senderTimestampMs,
+    } = msg.message.pollUpdateMessage;
+    const poll = this.messageCache.get(sessionId, pollKey.id);
+
+    if (!poll) {
+      logger.warn('Poll not in message cache, vote ignored', { sessionId, pollId: pollKey.id });
+      return null;
+    }
+
+    const me = jidNormalizedUser(meId);
+    const voter = getKeyAuthor(msg.key, me);
+
+    updateMessageWithPollUpdate(poll, {
+      pollUpdateMessageKey: msg.key,
+      vote: decryptPollVote(vote, {
+        pollEncKey: poll.message.messageContextInfo?.messageSecret,
+        pollCreatorJid: getKeyAuthor(pollKey, me),
+        pollMsgId: pollKey.id,
+        voterJid: voter,
+      }),
+      senderTimestampMs: Number(senderTimestampMs),
+    });
+
+    const results = getAggregateVotesInPollMessage(poll, me);
+
+    return {
+      pollMessageId: pollKey.id,
+      voter,
+      selectedOptions: results
+        .filter(({ voters }) => voters.includes(voter))
+        .map(({ name }) => name),
+      results: results.map(({ name, voters }) => ({ name, votes: voters.length, voters })),
+    };
+  }
+
+  /**
+   * Forget the menus of a session
+   */
+  clear(sessionId) {
+    for (const key of this.menus.keys()) {
+      if (key.startsWith(menuKey(sessionId, ''))) {
+        this.menus.delete(key);
+      }
+    }
+  }
+}
+
+export default InteractiveMessages;
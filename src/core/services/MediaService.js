@@ -0,0 +1,160 @@
+import crypto from 'node:crypto';
+
+import { v4 as uuidv4 } from 'uuid';
+
+import securityConfig from '../../config/security.config.js';
+import logger from '../utils/logger.js';
+import { parseInteger } from '../utils/numbers.js';
+
+/**
+ * Media downloaded from WhatsApp messages.
+ *
+ * Bytes go to the configured MediaStore, metadata (mimetype, size, sha256,
+ * origin message) to the `media:${mediaId}` Redis hash. Both expire after
+ * MEDIA_TTL_DAYS: the hash through its Redis TTL, the bytes through
+ * `purgeExpired`, which finds them in the `media-expiry` sorted set. Files
+ * are served through HMAC-signed, expiring URLs so consumers can fetch them
+ * without API credentials.
+ */
+
+const EXPIRY_KEY = 'media-expiry';
+
+// Media removed from the store per purge run
+const PURGE_BATCH_SIZE = 500;
+
+const mediaKey = (mediaId) => `media:${mediaId}`;
+
+/**
+ * Secret signing download URLs, the JWT secret unless MEDIA_URL_SECRET is
+ * set. Production never falls back to the public default JWT secret.
+ */
+const urlSecret = () => {
+  const secret = process.env.MEDIA_URL_SECRET || process.env.JWT_SECRET;
+
+  if (!secret && process.env.NODE_ENV === 'production') {
+    throw new Error('MEDIA_URL_SECRET or JWT_SECRET must be set in production');
+  }
+  return secret || securityConfig.jwt.secret;
+};
+
+class MediaService {
+  constructor(redisClient, store, options = {}) {
+    this.redis = redisClient;
+    this.store = store;
+    this.ttl = (options.ttlDays ?? parseInteger(process.env.MEDIA_TTL_DAYS, 30)) * 24 * 60 * 60;
+    this.maxSize =
+      (options.maxSizeMb ?? parseInteger(process.env.MEDIA_MAX_SIZE_MB, 64)) * 1024 * 1024;
+    this.urlTtl = options.urlTtl ?? parseInteger(process.env.MEDIA_URL_TTL, 3600);
+    this.secret = options.secret ?? urlSecret();
+  }
+
+  /**
+   * Store media bytes and their metadata. Resolves to the metadata.
+   */
+  async save(sessionId, buffer, { messageId, mimetype, fileName } = {}) {
+    const metadata = {
+      mediaId: uuidv4(),
+      sessionId,
+      messageId: messageId || '',
+      mimetype: mimetype || 'application/octet-stream',
+      fileName: fileName || '',
+      size: buffer.length,
+      sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+      storage: this.store.name,
+      createdAt: new Date().toISOString(),
+    };
+
+    await this.store.put(metadata.mediaId, buffer, metadata);
+    await this.redis
+      .multi()
+      .hSet(
+        mediaKey(metadata.mediaId),
+        Object.fromEntries(Object.entries(metadata).map(([key, value]) => [key, String(value)])),
+      )
+      .expire(mediaKey(metadata.mediaId), this.ttl)
+      .zAdd(EXPIRY_KEY, { score: Date.now() + this.ttl * 1000, value: metadata.mediaId })
+      .exec();
+
+    logger.info('Media stored', {
+      sessionId,
+      mediaId: metadata.mediaId,
+      mimetype: metadata.mimetype,
+      size: metadata.size,
+    });
+
+    return metadata;
+  }
+
+  /**
+   * Metadata of a stored media, null when unknown, expired or, given a
+   * sessionId, stored by another session
+   */
+  async getMetadata(mediaId, sessionId) {
+    const metadata = await this.redis.hGetAll(mediaKey(mediaId));
+
+    if (!metadata?.mediaId || (sessionId && metadata.sessionId !== sessionId)) {
+      return null;
+    }
+    return { ...metadata, size: Number(metadata.size) };
+  }
+
+  /**
+   * Metadata and content stream of a stored media, null when unavailable
+   */
+  async read(mediaId, sessionId) {
+    const metadata = await this.getMetadata(mediaId, sessionId);
+    const stream = metadata && (await this.store.get(mediaId));
+
+    return stream ? { metadata, stream } : null;
+  }
+
+  /**
+   * Remove the bytes of media past their TTL, oldest first. Resolves to the
+   * number of media removed.
+   */
+  async purgeExpired() {
+    const expired = await this.redis.zRangeByScore(EXPIRY_KEY, 0, Date.now(), {
+      LIMIT: { offset: 0, count: PURGE_BATCH_SIZE },
+    });
+
+    if (expired.length === 0) {
+      return 0;
+    }
+
+    await Promise.all(expired.map((mediaId) => this.store.remove(mediaId)));
+    await this.redis.zRem(EXPIRY_KEY, expired);
+
+    logger.info('Expired media purged', { count: expired.length });
+    return expired.length;
+  }
+
+  signature(mediaId, expires) {
+    return crypto.createHmac('sha256', this.secret).update(`${mediaId}:${expires}`).digest('hex');
+  }
+
+  /**
+   * Relative download URL valid for `expiresIn` seconds
+   */
+  signUrl(mediaId, expiresIn = this.urlTtl) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    return {
+      url: `/api/media/${mediaId}?expires=${expires}&signature=${this.signature(mediaId, expires)}`,
+      expiresAt: new Date(expires * 1000).toISOString(),
+    };
+  }
+
+  /**
+   * Whether a download URL signature is authentic and not expired
+   */
+  verifySignature(mediaId, expires, signature) {
+    if (!signature || expires < Date.now() / 1000) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.signature(mediaId, expires));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+}
+
+export default MediaService;
@@ -0,0 +1,134 @@
+import { createReadStream } from 'node:fs';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Storage backends for downloaded media, selected with MEDIA_STORE.
+ *
+ * Stores only keep bytes under an opaque media id; metadata lives in Redis
+ * (see MediaService). `get` resolves to a readable stream, or null when the
+ * media is gone.
+ */
+
+class LocalMediaStore {
+  constructor({ directory = process.env.MEDIA_DIR || './media' } = {}) {
+    this.name = 'local';
+    this.directory = path.resolve(directory);
+  }
+
+  /**
+   * Call an fs function on the file of a media, or on the media directory
+   * without a media id. Every path of the store is built here: media ids are
+   * generated UUIDs, basename guards against path traversal anyway.
+   */
+  atPath(operation, mediaId, ...options) {
+    const target = mediaId ? path.join(this.directory, path.basename(mediaId)) : this.directory;
+    return operation(target, ...options);
+  }
+
+  async put(mediaId, buffer) {
+    await this.atPath(fs.mkdir, null, { recursive: true });
+    await this.atPath(fs.writeFile, mediaId, buffer);
+  }
+
+  async get(mediaId) {
+    try {
+      await this.atPath(fs.access, mediaId);
+    } catch {
+      return null;
+    }
+    return this.atPath(createReadStream, mediaId);
+  }
+
+  async remove(mediaId) {
+    await this.atPath(fs.rm, mediaId, { force: true });
+  }
+}
+
+/**
+ * S3 or any S3-compatible service (MinIO, R2...). The AWS SDK is an optional
+ * dependency, loaded only when this store is selected.
+ */
+class S3MediaStore {
+  constructor({
+    bucket = process.env.S3_BUCKET,
+    prefix = process.env.S3_PREFIX || 'media/',
+    region = process.env.S3_REGION || 'us-east-1',
+    endpoint = process.env.S3_ENDPOINT,
+    forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true',
+  } = {}) {
+    if (!bucket) {
+      throw new Error('S3_BUCKET is required for the s3 media store');
+    }
+
+    this.name = 's3';
+    this.bucket = bucket;
+    this.prefix = prefix;
+    this.clientOptions = { region, endpoint, forcePathStyle };
+  }
+
+  async client() {
+    if (!this.sdk) {
+      try {
+        this.sdk = await import('@aws-sdk/client-s3');
+      } catch {
+        throw new Error('The s3 media store requires the @aws-sdk/client-s3 package');
+      }
+      this.s3 = new this.sdk.S3Client(this.clientOptions);
+    }
+    return this.s3;
+  }
+
+  async put(mediaId, buffer, { mimetype } = {}) {
+    const s3 = await this.client();
+    await s3.send(
+      new this.sdk.PutObjectCommand({
+        Bucket: this.bucket,
+        Key: `${this.prefix}${mediaId}`,
+        Body: buffer,
+        ContentType: mimetype,
+      }),
+    );
+  }
+
+  async get(mediaId) {
+    const s3 = await this.client();
+    try {
+      const { Body } = await s3.send(
+        new this.sdk.GetObjectCommand({ Bucket: this.bucket, Key: `${this.prefix}${mediaId}` }),
+      );
+      return Body;
+    } catch (error) {
+      if (error.name === 'NoSuchKey') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async remove(mediaId) {
+    const s3 = await this.client();
+    await s3.send(
+      new this.sdk.DeleteObjectCommand({ Bucket: this.bucket, Key: `${this.prefix}${mediaId}` }),
+    );
+  }
+}
+
+const MEDIA_STORES = new Map([
+  ['local', LocalMediaStore],
+  ['s3', S3MediaStore],
+]);
+
+/**
+ * Media store configured through MEDIA_STORE (local by default)
+ */
+const createMediaStore = (type = process.env.MEDIA_STORE || 'local', options = {}) => {
+  const Store = MEDIA_STORES.get(type);
+
+  if (!Store) {
+    throw new Error(`Unknown media store: ${type}`);
+  }
+  return new Store(options);
+};
+
+export { LocalMediaStore, S3MediaStore, createMediaStore };
@@ -0,0 +1,55 @@
+import { LRUCache } from 'lru-cache';
+
+import { parseInteger } from '../utils/numbers.js';
+
+/**
+ * Recent messages per session, keyed by message id.
+ *
+ * Lets the API quote and react to messages by id, and serves Baileys'
+ * `getMessage` when a recipient asks for a message to be re-sent.
+ */
+
+class MessageCache {
+  constructor(options = {}) {
+    this.max = options.max ?? parseInteger(process.env.MESSAGE_CACHE_SIZE, 500);
+    this.ttl = options.ttl ?? parseInteger(process.env.MESSAGE_CACHE_TTL_MS, 24 * 60 * 60 * 1000);
+    this.caches = new Map();
+  }
+
+  /**
+   * Remember a message. Messages without content (e.g. protocol stubs) are skipped.
+   */
+  add(sessionId, message) {
+    if (!message?.key?.id || !message.message) {
+      return;
+    }
+
+    if (!this.caches.has(sessionId)) {
+      this.caches.set(sessionId, new LRUCache({ max: this.max, ttl: this.ttl }));
+    }
+    this.caches.get(sessionId).set(message.key.id, message);
+  }
+
+  /**
+   * Cached message of a session, undefined when unknown or evicted
+   */
+  get(sessionId, messageId) {
+    return this.caches.get(sessionId)?.get(messageId);
+  }
+
+  /**
+   * Forget a single message, e.g. after it was revoked
+   */
+  remove(sessionId, messageId) {
+    this.caches.get(sessionId)?.delete(messageId);
+  }
+
+  /**
+   * Forget every message of a session
+   */
+  clear(sessionId) {
+    this.caches.delete(sessionId);
+  }
+}
+
+export default MessageCache;
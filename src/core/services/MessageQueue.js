@@ -183,7 +183,11 @@ class MessageQueueService {
     }
   }
 
-  async processQueue(queueName, processor) {
+  /**
+   * Process the jobs of a queue. `options.breaker` is an optional circuit
+   * breaker (see getCircuitBreaker) the processor runs through.
+   */
+  async processQueue(queueName, processor, { breaker } = {}) {
     const queue = this.queues.get(queueName);
     
     if (!queue) {
@@ -196,10 +200,8 @@ class MessageQueueService {
       
       try {
         // Usar circuit breaker si está disponible
-        if (circuitBreakers && circuitBreakers.whatsapp) {
-          return await circuitBreakers.whatsapp.fire(async () => {
-            return await processor(job);
-          });
+        if (breaker) {
+          return await breaker.fire(() => processor(job));
         }
         
         return await processor(job);
@@ -0,0 +1,365 @@
+import { decrypt, encrypt } from '../utils/encryption.js';
+import { createKeyedQueue } from '../utils/keyedQueue.js';
+import logger from '../utils/logger.js';
+import { parseInteger } from '../utils/numbers.js';
+
+/**
+ * Message history of each session, both directions.
+ *
+ * The `messages:${sessionId}:timeline` stream orders messages and holds the
+ * fields they are filtered by (messageId, chat, direction). The normalized
+ * message itself, with its delivery status, is an encrypted field of the
+ * `messages:${sessionId}:records` hash so status updates can rewrite it.
+ * Messages older than MESSAGE_RETENTION_DAYS or beyond
+ * MESSAGE_STORE_MAX_LENGTH per session are dropped as messages are added
+ * and on a schedule (see trimAll).
+ *
+ * The `messages:${sessionId}:delivery` hash counts the messages sent by the
+ * session and how many reached each delivery status, for delivery rates.
+ */
+
+const timelineKey = (sessionId) => `messages:${sessionId}:timeline`;
+const recordsKey = (sessionId) => `messages:${sessionId}:records`;
+const deliveryKey = (sessionId) => `messages:${sessionId}:delivery`;
+
+const DIRECTIONS = Object.freeze({ IN: 'in', OUT: 'out' });
+
+// Delivery statuses by proto.WebMessageInfo.Status code, as reported in
+// messages.update (ERROR, PENDING, SERVER_ACK, DELIVERY_ACK, READ, PLAYED)
+const MESSAGE_STATUSES = ['failed', 'pending', 'server_ack', 'delivered', 'read', 'played'];
+const DELIVERED = MESSAGE_STATUSES.indexOf('delivered');
+// Statuses counted for delivery rates, besides the messages sent
+const DELIVERY_COUNTERS = ['server_ack', 'delivered', 'read', 'played', 'failed'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Entries dropped per retention pass, and minimum delay between passes
+const TRIM_BATCH = 1000;
+const TRIM_INTERVAL_MS = 60_000;
+// Timeline entries read per page, at most, when filters skip most of them
+const MAX_SCAN_BATCHES = 10;
+
+const entryTime = (entryId) => Number(entryId.split('-')[0]);
+
+/**
+ * Status named by a proto.WebMessageInfo.Status code, undefined for codes
+ * out of range
+ */
+const statusOf = (statusCode) =>
+  Number.isInteger(statusCode) && statusCode >= 0 ? MESSAGE_STATUSES.at(statusCode) : undefined;
+
+/**
+ * Whether a message may move from its current status to another. Receipts
+ * can arrive out of order, so statuses only move forward; failures only
+ * apply to messages not delivered yet.
+ */
+const isStatusProgress = (current, status) => {
+  const from = MESSAGE_STATUSES.indexOf(current);
+
+  if (status === 'failed') {
+    return current !== 'failed' && from < DELIVERED;
+  }
+  return MESSAGE_STATUSES.indexOf(status) > from;
+};
+
+/**
+ * Delivery counter increments of a sent message moving between statuses.
+ * Every status passed counts, so a message read without a delivery receipt
+ * still counts as delivered.
+ */
+const counterChanges = (current, status) => {
+  if (status === 'failed') {
+    return [['failed', 1]];
+  }
+
+  const passed = MESSAGE_STATUSES.slice(
+    Math.max(MESSAGE_STATUSES.indexOf(current) + 1, MESSAGE_STATUSES.indexOf('server_ack')),
+    MESSAGE_STATUSES.indexOf(status) + 1,
+  ).map((reached) => [reached, 1]);
+
+  return current === 'failed' ? [...passed, ['failed', -1]] : passed;
+};
+
+const rate = (count, total) => (total > 0 ? Math.round((count / total) * 10_000) / 10_000 : 0);
+
+/**
+ * Read timeline entries until `wanted` of them match. Returns the matching
+ * message ids and the id of the last entry read.
+ */
+const takeMatching = (entries, wanted, matches) => {
+  const ids = [];
+  let lastId = null;
+
+  for (const { id, message } of entries) {
+    if (ids.length === wanted) {
+      break;
+    }
+    lastId = id;
+    if (matches(message)) {
+      ids.push(message.messageId);
+    }
+  }
+
+  return { ids, lastId };
+};
+
+class MessageStore {
+  constructor(redisClient, options = {}) {
+    this.redis = redisClient;
+    this.maxLength =
+      options.maxLength ?? parseInteger(process.env.MESSAGE_STORE_MAX_LENGTH, 10_000);
+    this.retention =
+      (options.retentionDays ?? parseInteger(process.env.MESSAGE_RETENTION_DAYS, 30)) * DAY_MS;
+    this.lastTrim = new Map();
+    this.statusUpdates = createKeyedQueue();
+  }
+
+  /**
+   * Record a normalized message (see messageNormalizer) sent or received by a
+   * session. Recording failures are logged, they never fail the message.
+   */
+  async add(sessionId, message, { direction, status = null }) {
+    const statusAt = status ? new Date().toISOString() : null;
+    const record = {
+      ...message,
+      direction,
+      status,
+      statusAt,
+      statusTimestamps: status ? { [status]: statusAt } : {},
+    };
+
+    try {
+      const transaction = this.redis
+        .multi()
+        .xAdd(timelineKey(sessionId), '*', {
+          messageId: message.id,
+          chat: message.chat,
+          direction,
+        })
+        .hSet(recordsKey(sessionId), message.id, encrypt(JSON.stringify(record)));
+      if (direction === DIRECTIONS.OUT) {
+        transaction.hIncrBy(deliveryKey(sessionId), 'sent', 1);
+      }
+      await transaction.exec();
+      await this.trimIfDue(sessionId);
+    } catch (error) {
+      logger.error('Failed to record message', {
+        sessionId,
+        messageId: message.id,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Stored message, null when unknown or past retention
+   */
+  async get(sessionId, messageId) {
+    const value = await this.redis.hGet(recordsKey(sessionId), messageId);
+    return value ? JSON.parse(decrypt(value)) : null;
+  }
+
+  /**
+   * Apply a delivery status update (a proto.WebMessageInfo.Status number),
+   * keeping the time each status was reached in `statusTimestamps`. Returns
+   * the updated record, or null for unknown messages and statuses.
+   */
+  updateStatus(sessionId, messageId, statusCode) {
+    // Receipts of a message arrive close together and each one reads then
+    // writes its record, so they take turns
+    return this.statusUpdates(`${sessionId}:${messageId}`, () =>
+      this.applyStatus(sessionId, messageId, statusCode),
+    );
+  }
+
+  async applyStatus(sessionId, messageId, statusCode) {
+    const status = statusOf(statusCode);
+    const record = status && (await this.get(sessionId, messageId));
+
+    if (!record || !isStatusProgress(record.status, status)) {
+      return record || null;
+    }
+
+    const statusAt = new Date().toISOString();
+    const updated = {
+      ...record,
+      status,
+      statusAt,
+      statusTimestamps: { ...record.statusTimestamps, [status]: statusAt },
+    };
+    const transaction = this.redis
+      .multi()
+      .hSet(recordsKey(sessionId), messageId, encrypt(JSON.stringify(updated)));
+    if (record.direction === DIRECTIONS.OUT) {
+      for (const [counter, change] of counterChanges(record.status, status)) {
+        transaction.hIncrBy(deliveryKey(sessionId), counter, change);
+      }
+    }
+    await transaction.exec();
+
+    return updated;
+  }
+
+  /**
+   * Messages sent by a session, how many reached each delivery status and
+   * the share of the sent messages that represents. Counters are kept for
+   * the lifetime of the session, beyond message retention.
+   */
+  async getDeliveryStats(sessionId) {
+    const counters = new Map(Object.entries(await this.redis.hGetAll(deliveryKey(sessionId))));
+    const sent = Number(counters.get('sent') ?? 0);
+    const counts = DELIVERY_COUNTERS.map((status) => [status, Number(counters.get(status) ?? 0)]);
+
+    return {
+      sent,
+      counts: Object.fromEntries(counts),
+      rates: Object.fromEntries(counts.map(([status, count]) => [status, rate(count, sent)])),
+    };
+  }
+
+  /**
+   * Messages newest first, filtered by chat, direction and date range.
+   * `cursor` is the `nextCursor` of the previous page; nextCursor is null on
+   * the last page.
+   */
+  async query(sessionId, { chat, direction, startDate, endDate, cursor, limit = 50 } = {}) {
+    const { found, last } = await this.scanTimeline(sessionId, {
+      from: cursor ? `(${cursor}` : String(endDate ? new Date(endDate).getTime() : '+'),
+      to: startDate ? String(new Date(startDate).getTime()) : '-',
+      limit,
+      matches: (fields) =>
+        (!chat || fields.chat === chat) && (!direction || fields.direction === direction),
+    });
+    const messages = await this.getMany(sessionId, found);
+
+    return { messages: messages.filter(Boolean), nextCursor: last };
+  }
+
+  /**
+   * Stored messages by id, in the same order, null for unknown ones
+   */
+  async getMany(sessionId, messageIds) {
+    if (messageIds.length === 0) {
+      return [];
+    }
+
+    const values = await this.redis.hmGet(recordsKey(sessionId), messageIds);
+    return values.map((value) => (value ? JSON.parse(decrypt(value)) : null));
+  }
+
+  /**
+   * Every stored message of a session, in no particular order
+   */
+  async *scan(sessionId) {
+    for await (const { value } of this.redis.hScanIterator(recordsKey(sessionId))) {
+      yield JSON.parse(decrypt(value));
+    }
+  }
+
+  /**
+   * Walk the timeline backwards from `from` in batches until `limit` entries
+   * match or MAX_SCAN_BATCHES were read. Returns the matching message ids and
+   * the id of the last entry read, null when the range was exhausted.
+   */
+  async scanTimeline(sessionId, { from, to, limit, matches, found = [], batches = 1 }) {
+    const entries = await this.redis.xRevRange(timelineKey(sessionId), from, to, {
+      COUNT: limit,
+    });
+    const { ids, lastId } = takeMatching(entries, limit - found.length, matches);
+    const matched = [...found, ...ids];
+
+    if (matched.length < limit && entries.length < limit) {
+      return { found: matched, last: null };
+    }
+    if (matched.length === limit || batches === MAX_SCAN_BATCHES) {
+      return { found: matched, last: lastId };
+    }
+
+    // The next batch starts where this one ended
+    return this.scanTimeline(sessionId, {
+      from: `(${lastId}`,
+      to,
+      limit,
+      matches,
+      found: matched,
+      batches: batches + 1,
+    });
+  }
+
+  /**
+   * Drop messages past retention, at most once per TRIM_INTERVAL_MS
+   */
+  async trimIfDue(sessionId) {
+    const now = Date.now();
+
+    if (now - (this.lastTrim.get(sessionId) ?? 0) < TRIM_INTERVAL_MS) {
+      return;
+    }
+    this.lastTrim.set(sessionId, now);
+    await this.trim(sessionId, now);
+  }
+
+  /**
+   * Trim the history of every session, including sessions no longer
+   * recording messages. Returns the number of messages removed.
+   */
+  async trimAll(now = Date.now()) {
+    let removed = 0;
+
+    // One session at a time to keep the load on Redis low
+    for await (const key of this.redis.scanIterator({ MATCH: timelineKey('*') })) {
+      removed += await this.trim(key.slice('messages:'.length, -':timeline'.length), now);
+    }
+    return removed;
+  }
+
+  /**
+   * Remove the oldest messages beyond the length limit or older than the
+   * retention period. Returns the number of messages removed.
+   */
+  async trim(sessionId, now = Date.now()) {
+    const excess = Math.max(0, (await this.redis.xLen(timelineKey(sessionId))) - this.maxLength);
+    const oldest = await this.redis.xRange(timelineKey(sessionId), '-', '+', {
+      COUNT: excess + TRIM_BATCH,
+    });
+    const expired = oldest.filter(
+      ({ id }, index) => index < excess || entryTime(id) < now - this.retention,
+    );
+
+    if (expired.length === 0) {
+      return 0;
+    }
+
+    await this.redis
+      .multi()
+      .xDel(
+        timelineKey(sessionId),
+        expired.map(({ id }) => id),
+      )
+      .hDel(
+        recordsKey(sessionId),
+        expired.map(({ message }) => message.messageId),
+      )
+      .exec();
+
+    logger.debug('Message history trimmed', { sessionId, removed: expired.length });
+    return expired.length;
+  }
+
+  /**
+   * Redis keys holding the history of a session
+   */
+  sessionKeys(sessionId) {
+    return [timelineKey(sessionId), recordsKey(sessionId), deliveryKey(sessionId)];
+  }
+
+  /**
+   * Forget the retention schedule of a session; its keys are removed with
+   * the other session keys
+   */
+  clear(sessionId) {
+    this.lastTrim.delete(sessionId);
+  }
+}
+
+export { DIRECTIONS, MESSAGE_STATUSES };
+export default MessageStore;
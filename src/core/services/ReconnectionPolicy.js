@@ -0,0 +1,92 @@
+import { DisconnectReason } from '@whiskeysockets/baileys';
+
+import { parseNumber } from '../utils/numbers.js';
+
+/**
+ * What to do after a socket closes
+ */
+const RECONNECT_ACTIONS = Object.freeze({
+  // Retry with exponential backoff, counted against the attempt cap
+  RECONNECT: 'reconnect',
+  // Restart right away without counting an attempt (e.g. after pairing)
+  RESTART: 'restart',
+  // The account is gone: drop auth state, a new pairing is required
+  LOGOUT: 'logout',
+  // Retrying cannot help; stop in the reconnect_failed state
+  STOP: 'stop',
+});
+
+/**
+ * Policy per Baileys DisconnectReason. Unknown codes are retried with backoff.
+ */
+const DISCONNECT_POLICIES = new Map([
+  [DisconnectReason.restartRequired, RECONNECT_ACTIONS.RESTART],
+  [DisconnectReason.loggedOut, RECONNECT_ACTIONS.LOGOUT],
+  [DisconnectReason.multideviceMismatch, RECONNECT_ACTIONS.LOGOUT],
+  [DisconnectReason.forbidden, RECONNECT_ACTIONS.LOGOUT],
+  [DisconnectReason.connectionReplaced, RECONNECT_ACTIONS.STOP],
+  [DisconnectReason.connectionClosed, RECONNECT_ACTIONS.RECONNECT],
+  [DisconnectReason.connectionLost, RECONNECT_ACTIONS.RECONNECT],
+  [DisconnectReason.badSession, RECONNECT_ACTIONS.RECONNECT],
+  [DisconnectReason.unavailableService, RECONNECT_ACTIONS.RECONNECT],
+]);
+
+const REASON_NAMES = new Map(
+  Object.entries(DisconnectReason)
+    .filter(([, code]) => typeof code === 'number')
+    .map(([name, code]) => [code, name]),
+);
+
+class ReconnectionPolicy {
+  constructor(options = {}) {
+    this.baseDelay = options.baseDelay ?? parseNumber(process.env.RECONNECT_DELAY_MS, 5000);
+    this.maxDelay = options.maxDelay ?? parseNumber(process.env.RECONNECT_MAX_DELAY_MS, 60_000);
+    this.jitter = options.jitter ?? parseNumber(process.env.RECONNECT_JITTER, 0.3);
+    this.maxAttempts = options.maxAttempts ?? parseNumber(process.env.MAX_RECONNECT_ATTEMPTS, 5);
+  }
+
+  /**
+   * Decide how to react to a disconnection
+   */
+  resolve(statusCode, message = '') {
+    // Any stream error reads 'Stream Errored (...)', e.g. a conflict with
+    // another connection. Only the status code tells a restart apart.
+    return {
+      action: DISCONNECT_POLICIES.get(statusCode) || RECONNECT_ACTIONS.RECONNECT,
+      reason: REASON_NAMES.get(statusCode) || message || 'unknown',
+    };
+  }
+
+  /**
+   * Whether another attempt is allowed after `attempts` failed ones
+   */
+  canRetry(attempts) {
+    return attempts < this.maxAttempts;
+  }
+
+  /**
+   * Delay before the next attempt: exponential growth capped at maxDelay,
+   * minus a random share (jitter) so sessions do not reconnect in lockstep
+   */
+  getDelay(attempts) {
+    const exponential = Math.min(this.maxDelay, this.baseDelay * 2 ** attempts);
+    return Math.round(exponential * (1 - this.jitter * Math.random()));
+  }
+
+  /**
+   * Same policy with per-session overrides applied
+   */
+  withOverrides(overrides = {}) {
+    return new ReconnectionPolicy({
+      baseDelay: this.baseDelay,
+      maxDelay: this.maxDelay,
+      jitter: this.jitter,
+      maxAttempts: this.maxAttempts,
+      ...overrides,
+    });
+  }
+}
+
+export { RECONNECT_ACTIONS };
+
+export default ReconnectionPolicy;
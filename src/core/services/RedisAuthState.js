@@ -0,0 +1,114 @@
+import { BufferJSON, initAuthCreds, proto } from '@whiskeysockets/baileys';
+
+import { encrypt, decrypt } from '../utils/encryption.js';
+
+/**
+ * Redis-backed Baileys auth state.
+ *
+ * Credentials live in `auth:${sessionId}:creds` and signal keys in the
+ * `auth:${sessionId}:keys` hash (one field per `${type}-${id}`), so a paired
+ * number survives process restarts and redeploys. Every value is encrypted
+ * at rest; plaintext entries written before encryption are still read.
+ */
+
+const credsKey = (sessionId) => `auth:${sessionId}:creds`;
+const keysKey = (sessionId) => `auth:${sessionId}:keys`;
+
+const serialize = (value) => encrypt(JSON.stringify(value, BufferJSON.replacer));
+
+const deserialize = (raw) => (raw ? JSON.parse(decrypt(raw), BufferJSON.reviver) : null);
+
+/**
+ * Revive a stored signal key into the shape Baileys expects for its type
+ */
+const reviveKey = (type, raw) => {
+  const value = deserialize(raw);
+  if (type === 'app-state-sync-key' && value) {
+    return proto.Message.AppStateSyncKeyData.fromObject(value);
+  }
+  return value;
+};
+
+/**
+ * Create the signal key store for a session
+ */
+const createKeyStore = (redis, sessionId) => ({
+  get: async (type, ids) => {
+    if (ids.length === 0) {
+      return {};
+    }
+
+    const values = await redis.hmGet(
+      keysKey(sessionId),
+      ids.map((id) => `${type}-${id}`),
+    );
+
+    return Object.fromEntries(ids.map((id, index) => [id, reviveKey(type, values.at(index))]));
+  },
+
+  set: async (data) => {
+    const toWrite = {};
+    const toDelete = [];
+
+    for (const [type, entries] of Object.entries(data)) {
+      for (const [id, value] of Object.entries(entries)) {
+        if (value) {
+          toWrite[`${type}-${id}`] = serialize(value);
+        } else {
+          toDelete.push(`${type}-${id}`);
+        }
+      }
+    }
+
+    const transaction = redis.multi();
+    if (Object.keys(toWrite).length > 0) {
+      transaction.hSet(keysKey(sessionId), toWrite);
+    }
+    if (toDelete.length > 0) {
+      transaction.hDel(keysKey(sessionId), toDelete);
+    }
+    await transaction.exec();
+  },
+
+  clear: async () => {
+    await redis.del(keysKey(sessionId));
+  },
+});
+
+/**
+ * Load (or initialize) the auth state of a session from Redis
+ */
+const useRedisAuthState = async (redis, sessionId) => {
+  const storedCreds = deserialize(await redis.get(credsKey(sessionId)));
+  const creds = storedCreds || initAuthCreds();
+
+  return {
+    state: {
+      creds,
+      keys: createKeyStore(redis, sessionId),
+    },
+    saveCreds: async () => {
+      await redis.set(credsKey(sessionId), serialize(creds));
+    },
+  };
+};
+
+/**
+ * List the ids of every session with persisted credentials
+ */
+const listAuthSessionIds = async (redis) => {
+  const sessionIds = [];
+  for await (const key of redis.scanIterator({ MATCH: credsKey('*') })) {
+    sessionIds.push(key.slice('auth:'.length, -':creds'.length));
+  }
+  return sessionIds;
+};
+
+/**
+ * Remove every persisted auth entry of a session, forcing a new pairing
+ */
+const clearRedisAuthState = async (redis, sessionId) => {
+  await redis.del([credsKey(sessionId), keysKey(sessionId)]);
+};
+
+export { useRedisAuthState, clearRedisAuthState, listAuthSessionIds };
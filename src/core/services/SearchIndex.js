@@ -0,0 +1,179 @@
+import { LRUCache } from 'lru-cache';
+
+import logger from '../utils/logger.js';
+import { parseInteger } from '../utils/numbers.js';
+import { findPhrases, highlight, parseQuery, phraseStarts, tokenize } from '../utils/textSearch.js';
+
+/**
+ * In-process inverted index over the message history, for keyword and
+ * phrase search without an external search service.
+ *
+ * A session is indexed from the message store on its first search, then
+ * kept current as messages are recorded. Only the most recently searched
+ * sessions stay in memory.
+ */
+
+/**
+ * Text of a message that search matches against
+ */
+const searchableText = (message) =>
+  [message.text, message.media?.fileName].filter(Boolean).join('\n');
+
+const emptyIndex = () => ({ documents: new Map(), postings: new Map() });
+
+class SearchIndex {
+  constructor(options = {}) {
+    this.indexes = new LRUCache({
+      max: options.maxSessions ?? parseInteger(process.env.SEARCH_INDEX_SESSIONS, 50),
+    });
+    this.loading = new Map();
+  }
+
+  /**
+   * Index a session from its stored messages unless already indexed.
+   * `loadMessages` returns an async iterable of stored messages.
+   */
+  async ensureLoaded(sessionId, loadMessages) {
+    if (this.indexes.has(sessionId)) {
+      return;
+    }
+    // Concurrent searches share a single load
+    if (!this.loading.has(sessionId)) {
+      this.loading.set(sessionId, this.load(sessionId, loadMessages));
+    }
+    try {
+      await this.loading.get(sessionId);
+    } finally {
+      this.loading.delete(sessionId);
+    }
+  }
+
+  async load(sessionId, loadMessages) {
+    const index = emptyIndex();
+
+    for await (const message of loadMessages()) {
+      this.addToIndex(index, message);
+    }
+    this.indexes.set(sessionId, index);
+
+    logger.info('Message search index built', { sessionId, messages: index.documents.size });
+  }
+
+  /**
+   * Index a new message, if the session is indexed; otherwise it is picked
+   * up from the store when the session is first searched
+   */
+  add(sessionId, message) {
+    const index = this.indexes.get(sessionId);
+    if (index) {
+      this.addToIndex(index, message);
+    }
+  }
+
+  addToIndex(index, message) {
+    const tokens = tokenize(searchableText(message));
+    if (tokens.length === 0) {
+      return;
+    }
+
+    index.documents.set(message.id, {
+      chat: message.chat,
+      timestamp: message.timestamp ?? 0,
+      terms: new Set(tokens.map(({ term }) => term)),
+    });
+    for (const { term, position } of tokens) {
+      if (!index.postings.has(term)) {
+        index.postings.set(term, new Map());
+      }
+      const positions = index.postings.get(term);
+      positions.set(message.id, [...(positions.get(message.id) ?? []), position]);
+    }
+  }
+
+  /**
+   * Forget a message, e.g. once it left the message store
+   */
+  remove(sessionId, messageId) {
+    const index = this.indexes.get(sessionId);
+    const document = index?.documents.get(messageId);
+    if (!document) {
+      return;
+    }
+
+    for (const term of document.terms) {
+      index.postings.get(term)?.delete(messageId);
+    }
+    index.documents.delete(messageId);
+  }
+
+  /**
+   * Ids of the messages containing every word and quoted phrase of the
+   * query, best matches first, newest first among equals
+   */
+  search(sessionId, query, { chat, limit = 20 } = {}) {
+    const index = this.indexes.get(sessionId);
+    const phrases = parseQuery(query);
+    if (!index || phrases.length === 0) {
+      return [];
+    }
+
+    const scores = phrases.reduce(
+      (matched, terms, phraseIndex) =>
+        new Map(
+          this.phraseOccurrences(index, terms)
+            // A message must match every phrase, so it needs a score from each previous one
+            .filter(([messageId]) => phraseIndex === 0 || matched.has(messageId))
+            .map(([messageId, occurrences]) => [
+              messageId,
+              { score: (matched.get(messageId)?.score ?? 0) + occurrences },
+            ]),
+        ),
+      new Map(),
+    );
+
+    return [...scores]
+      .filter(([messageId]) => !chat || index.documents.get(messageId).chat === chat)
+      .sort(
+        ([leftId, left], [rightId, right]) =>
+          right.score - left.score ||
+          index.documents.get(rightId).timestamp - index.documents.get(leftId).timestamp,
+      )
+      .slice(0, limit)
+      .map(([messageId, { score }]) => ({ messageId, score }));
+  }
+
+  /**
+   * Number of occurrences of a phrase per message containing it
+   */
+  phraseOccurrences(index, terms) {
+    const [first, ...rest] = terms.map((term) => index.postings.get(term));
+    if (!first || rest.some((postings) => !postings)) {
+      return [];
+    }
+
+    return [...first.keys()]
+      .filter((messageId) => rest.every((postings) => postings.has(messageId)))
+      .map((messageId) => [
+        messageId,
+        phraseStarts([first, ...rest].map((postings) => postings.get(messageId))).length,
+      ])
+      .filter(([, occurrences]) => occurrences > 0);
+  }
+
+  /**
+   * Escaped excerpt of a message with the query matches highlighted
+   */
+  highlight(message, query) {
+    const text = searchableText(message);
+    return highlight(text, findPhrases(text, parseQuery(query)));
+  }
+
+  /**
+   * Drop the index of a session
+   */
+  clear(sessionId) {
+    this.indexes.delete(sessionId);
+  }
+}
+
+export default SearchIndex;
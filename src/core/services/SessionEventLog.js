@@ -0,0 +1,85 @@
+import { setMaxListeners } from 'node:events';
+
+import { decrypt, encrypt } from '../utils/encryption.js';
+import logger from '../utils/logger.js';
+import { parseInteger } from '../utils/numbers.js';
+
+/**
+ * Bounded per-session event log.
+ *
+ * Events are appended to the `events:${sessionId}` Redis stream, trimmed to
+ * about `maxLength` entries, so SSE clients can resume from a Last-Event-ID.
+ * Event data carries messages, QR and pairing codes, so it is encrypted.
+ * Live subscribers of this process are notified right after the append.
+ */
+
+const eventsKey = (sessionId) => `events:${sessionId}`;
+
+const toEvent = ({ id, message }) => ({
+  id,
+  event: message.event,
+  data: JSON.parse(decrypt(message.data)),
+});
+
+class SessionEventLog {
+  constructor(redisClient, options = {}) {
+    this.redis = redisClient;
+    this.maxLength = options.maxLength ?? parseInteger(process.env.EVENT_LOG_MAX_LENGTH, 1000);
+    this.ttl = options.ttl ?? parseInteger(process.env.EVENT_LOG_TTL, 86_400);
+    // Events are dispatched by session id, one listener per open SSE connection
+    this.events = new EventTarget();
+    setMaxListeners(0, this.events);
+  }
+
+  /**
+   * Record an event and notify live subscribers. A failed write still
+   * reaches live subscribers, without an id to resume from.
+   */
+  async append(sessionId, event, data) {
+    let id = null;
+
+    try {
+      [id] = await this.redis
+        .multi()
+        .xAdd(
+          eventsKey(sessionId),
+          '*',
+          { event, data: encrypt(JSON.stringify(data)) },
+          { TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: this.maxLength } },
+        )
+        .expire(eventsKey(sessionId), this.ttl)
+        .exec();
+    } catch (error) {
+      logger.error('Failed to record session event', { sessionId, event, error: error.message });
+    }
+
+    const entry = { id, event, data };
+    this.events.dispatchEvent(new CustomEvent(sessionId, { detail: entry }));
+
+    return entry;
+  }
+
+  /**
+   * Events recorded after the given id, oldest first
+   */
+  async readSince(sessionId, lastEventId) {
+    const entries = await this.redis.xRange(eventsKey(sessionId), `(${lastEventId}`, '+');
+    return entries.map((entry) => toEvent(entry));
+  }
+
+  sessionKeys(sessionId) {
+    return [eventsKey(sessionId)];
+  }
+
+  /**
+   * Listen to new events of a session. Returns the unsubscribe function.
+   */
+  subscribe(sessionId, listener) {
+    const handler = ({ detail }) => listener(detail);
+
+    this.events.addEventListener(sessionId, handler);
+    return () => this.events.removeEventListener(sessionId, handler);
+  }
+}
+
+export default SessionEventLog;
@@ -1,33 +1,130 @@
-import { makeWASocket, DisconnectReason, useMultiFileAuthState, makeCacheableSignalKeyStore } from '@whiskeysockets/baileys';
-import { Boom } from '@hapi/boom';
-import logger from '../utils/logger.js';
-import crypto from 'crypto';
+import { badRequest, conflict, notFound } from '@hapi/boom';
+import {
+  makeWASocket,
+  makeCacheableSignalKeyStore,
+  downloadMediaMessage,
+  generateWAMessageFromContent,
+  jidNormalizedUser,
+  proto,
+} from '@whiskeysockets/baileys';
 import pino from 'pino';
 
+import {
+  INTERACTIVE_TYPES,
+  getOptions,
+  buildNativeContent,
+  buildTextMenu,
+} from '../utils/interactiveContent.js';
+import logger from '../utils/logger.js';
+import { buildMessageContent } from '../utils/messageContent.js';
+import { getMessageType, normalizeJid, normalizeMessage } from '../utils/messageNormalizer.js';
+import { applyPrivacySettings, fetchProfile, normalizePrivacySettings } from '../utils/profile.js';
+import { renderQRDataURL } from '../utils/qrRenderer.js';
+
+import { broadcastListKeys } from './BroadcastListStore.js';
+import ChatManager from './ChatManager.js';
+import ChatStore from './ChatStore.js';
+import ContactStore from './ContactStore.js';
+import GroupManager, { normalizeGroupUpdate } from './GroupManager.js';
+import InteractiveMessages from './InteractiveMessages.js';
+import MediaService from './MediaService.js';
+import { createMediaStore } from './MediaStore.js';
+import MessageCache from './MessageCache.js';
+import MessageStore, { DIRECTIONS, MESSAGE_STATUSES } from './MessageStore.js';
+import ReconnectionPolicy, { RECONNECT_ACTIONS } from './ReconnectionPolicy.js';
+import { useRedisAuthState, clearRedisAuthState, listAuthSessionIds } from './RedisAuthState.js';
+import SearchIndex from './SearchIndex.js';
+import SessionEventLog from './SessionEventLog.js';
+import SessionStateMachine, { SESSION_STATES } from './SessionStateMachine.js';
+
+// States of sessions not restored on boot
+const ENDED_STATES = new Set([SESSION_STATES.LOGGED_OUT, SESSION_STATES.DESTROYED]);
+
+// How often periodic cleanup runs (see startMaintenance)
+const MAINTENANCE_INTERVAL = 10 * 60 * 1000;
+
+// Pairing codes stay valid longer than a QR, give users time to type them
+const PAIRING_CODE_TTL = 180;
+
+// Number lookups in flight at once for a session (see checkNumbers)
+const NUMBER_CHECK_CONCURRENCY = 5;
+
+// Fields sessions can be sorted by when listing (see schemas.pagination)
+const SESSION_SORT_FIELDS = {
+  createdAt: (details) => details.createdAt,
+  updatedAt: (details) => details.lastActivity,
+  name: (details) => details.sessionId,
+};
+
 class SessionManager {
   constructor(redisClient, io) {
     this.sessions = new Map();
     this.redis = redisClient;
     this.io = io;
+    this.stateMachine = new SessionStateMachine(redisClient);
+    this.eventLog = new SessionEventLog(redisClient);
+    this.messageCache = new MessageCache();
+    this.messageStore = new MessageStore(redisClient);
+    this.searchIndex = new SearchIndex();
+    this.contactStore = new ContactStore(redisClient);
+    this.groups = new GroupManager(this);
+    this.chatStore = new ChatStore(redisClient);
+    this.chats = new ChatManager(this);
+    this.interactive = new InteractiveMessages(this.messageCache);
+    this.mediaService = new MediaService(redisClient, createMediaStore());
+    this.reconnectionPolicy = new ReconnectionPolicy();
+    this.reconnects = new Map();
+    this.defaultSettings = {
+      autoReconnect: true,
+      maxRetries: this.reconnectionPolicy.maxAttempts,
+      retryDelay: this.reconnectionPolicy.baseDelay,
+      qrTimeout: 60000,
+      messageTimeout: 60000,
+    };
     this.maxSessions = process.env.SESSION_POOL_SIZE || 100;
     this.sessionTimeout = parseInt(process.env.SESSION_TIMEOUT) || 300000;
+    this.restoreConcurrency = parseInt(process.env.SESSION_RESTORE_CONCURRENCY) || 5;
+    this.restoreProgress = {
+      status: 'pending',
+      total: 0,
+      restored: 0,
+      failed: 0,
+      startedAt: null,
+      completedAt: null,
+    };
   }
 
   /**
    * Create or get existing session
+   *
+   * Passing `options.phoneNumber` logs in with a pairing code instead of a QR.
    */
-  async createSession(sessionId, forceNew = false) {
+  async createSession(sessionId, forceNew = false, options = {}) {
     try {
-      logger.info('Creating WhatsApp session', { sessionId, forceNew });
+      const authMethod = options.phoneNumber ? 'pairing_code' : 'qr';
+      logger.info('Creating WhatsApp session', { sessionId, forceNew, authMethod });
 
-      // ALWAYS destroy existing session to avoid conflicts
-      if (this.sessions.has(sessionId)) {
+      // A manual (re)creation supersedes any pending reconnection attempt
+      clearTimeout(this.reconnects.get(sessionId)?.timer);
+
+      // Replace any live socket. Persisted auth state is only dropped when a
+      // brand new pairing is explicitly requested.
+      if (forceNew && this.sessions.has(sessionId)) {
         logger.info(`Destroying existing session: ${sessionId}`);
         await this.destroySession(sessionId);
+      } else if (this.sessions.has(sessionId)) {
+        // States that cannot reconnect go straight back to initializing
+        if (this.stateMachine.canTransition(sessionId, SESSION_STATES.RECONNECTING)) {
+          await this.setState(sessionId, SESSION_STATES.RECONNECTING, 'recreated');
+        }
+        await this.closeSocket(sessionId);
+      } else if (forceNew) {
+        await clearRedisAuthState(this.redis, sessionId);
       }
       
       // Clear Redis data
       await this.redis.del(`qr:${sessionId}`);
+      await this.redis.del(`pairing:${sessionId}`);
       await this.redis.del(`session:${sessionId}:status`);
 
       // Check pool size
@@ -35,20 +132,16 @@ class SessionManager {
         await this.evictOldestSession();
       }
 
+      await this.setState(sessionId, SESSION_STATES.INITIALIZING);
+
       // Create new session
-      const session = await this.initializeSession(sessionId);
+      const session = await this.initializeSession(sessionId, options);
       this.sessions.set(sessionId, session);
 
-      // Store in Redis
-      await this.redis.setEx(
-        `session:${sessionId}:status`,
-        this.sessionTimeout / 1000,
-        'initializing'
-      );
-
       return {
         status: 'initializing',
-        sessionId
+        sessionId,
+        authMethod,
       };
     } catch (error) {
       logger.error('Failed to create session', { sessionId, error: error.message });
@@ -57,27 +150,175 @@ class SessionManager {
   }
 
   /**
-   * Initialize WhatsApp session
+   * Move a session to a new lifecycle state and publish the change.
+   * Throws when the transition is not allowed from the current state.
    */
-  async initializeSession(sessionId) {
-    // CRITICAL: Use completely fresh path to avoid ANY cache
-    const timestamp = Date.now();
-    const randomId = Math.random().toString(36).substring(7);
-    const authPath = `./auth-sessions/${sessionId}-${timestamp}-${randomId}`;
-    const fs = await import('fs/promises');
-    
-    // Clean ALL auth-sessions directories to ensure fresh start
+  async setState(sessionId, state, reason = null) {
+    const transition = await this.stateMachine.transition(sessionId, state, reason);
+
+    const session = this.sessions.get(sessionId);
+    if (session) {
+      session.status = state;
+    }
+
+    await this.redis.setEx(`session:${sessionId}:status`, this.sessionTimeout / 1000, state);
+
+    if (transition) {
+      await this.emitEvent(sessionId, 'session-state', {
+        sessionId,
+        ...transition,
+      });
+    }
+
+    return transition;
+  }
+
+  /**
+   * Emit a session event to Socket.IO subscribers and record it in the
+   * event log for SSE clients
+   */
+  async emitEvent(sessionId, event, payload) {
+    this.io.to(`session-${sessionId}`).emit(event, payload);
+    await this.eventLog.append(sessionId, event, payload);
+  }
+
+  /**
+   * Get the effective settings of a session (stored overrides over defaults)
+   */
+  async getSessionSettings(sessionId) {
+    const stored = await this.redis.get(`session:${sessionId}:settings`);
+
+    return {
+      ...this.defaultSettings,
+      ...(stored ? JSON.parse(stored) : {}),
+    };
+  }
+
+  /**
+   * Persist settings overrides of a session, applied on its next (re)connect
+   */
+  async updateSessionSettings(sessionId, settings) {
+    const stored = await this.redis.get(`session:${sessionId}:settings`);
+    const overrides = {
+      ...(stored ? JSON.parse(stored) : {}),
+      ...settings,
+    };
+
+    await this.redis.set(`session:${sessionId}:settings`, JSON.stringify(overrides));
+    logger.info('Session settings updated', { sessionId, settings });
+
+    return {
+      ...this.defaultSettings,
+      ...overrides,
+    };
+  }
+
+  /**
+   * Get the recorded state transitions of a session
+   */
+  async getSessionHistory(sessionId) {
+    return {
+      state: this.stateMachine.getState(sessionId),
+      history: await this.stateMachine.getHistory(sessionId),
+    };
+  }
+
+  /**
+   * Find sessions known from persisted auth state or Redis status keys
+   */
+  async findKnownSessions() {
+    const sessionIds = new Set(await listAuthSessionIds(this.redis));
+
+    for await (const key of this.redis.scanIterator({ MATCH: 'session:*:status' })) {
+      sessionIds.add(key.slice('session:'.length, -':status'.length));
+    }
+
+    const ids = [...sessionIds];
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const keysOf = (suffix) => ids.map((sessionId) => `session:${sessionId}:${suffix}`);
+    const manualDisconnects = await this.redis.mGet(keysOf('manual_disconnect'));
+    const states = await this.redis.mGet(keysOf('status'));
+
+    // Sessions the user disconnected on purpose, or logged out, stay down
+    const restorable = (sessionId, index) =>
+      manualDisconnects.at(index) !== 'true' && !ENDED_STATES.has(states.at(index));
+    return ids.filter(restorable);
+  }
+
+  /**
+   * Reconnect previously known sessions on boot with bounded concurrency
+   */
+  async restoreSessions() {
+    const progress = this.restoreProgress;
+    progress.status = 'running';
+    progress.startedAt = new Date().toISOString();
+
     try {
-      await fs.rm('./auth-sessions', { recursive: true, force: true });
-    } catch {}
-    await fs.mkdir('./auth-sessions', { recursive: true });
-    
-    // Create fresh directory
-    await fs.mkdir(authPath, { recursive: true });
-    logger.info(`Created fresh auth directory: ${authPath}`);
-    
-    // Create fresh auth state - NEVER reuse
-    const { state, saveCreds } = await useMultiFileAuthState(authPath);
+      const pending = await this.findKnownSessions();
+      progress.total = pending.length;
+      logger.info('Restoring sessions', {
+        total: pending.length,
+        concurrency: this.restoreConcurrency,
+      });
+
+      const worker = async () => {
+        while (pending.length > 0) {
+          const sessionId = pending.shift();
+          try {
+            await this.createSession(sessionId, false);
+            progress.restored++;
+          } catch (error) {
+            progress.failed++;
+            logger.error('Failed to restore session', { sessionId, error: error.message });
+          }
+        }
+      };
+
+      const workers = Math.min(this.restoreConcurrency, pending.length);
+      await Promise.all(Array.from({ length: workers }, worker));
+
+      progress.status = 'completed';
+      logger.info('Session restoration completed', progress);
+    } catch (error) {
+      progress.status = 'failed';
+      progress.error = error.message;
+      logger.error('Session restoration failed', { error: error.message });
+    }
+
+    progress.completedAt = new Date().toISOString();
+    return progress;
+  }
+
+  /**
+   * Run periodic cleanup not covered by Redis TTLs: message history
+   * retention and the bytes of expired media
+   */
+  startMaintenance() {
+    this.maintenanceTimer = setInterval(async () => {
+      const tasks = [this.messageStore.trimAll(), this.mediaService.purgeExpired()];
+      const results = await Promise.allSettled(tasks);
+
+      for (const { reason } of results.filter(({ status }) => status === 'rejected')) {
+        logger.error('Maintenance task failed', { error: reason.message });
+      }
+    }, MAINTENANCE_INTERVAL);
+    this.maintenanceTimer.unref();
+  }
+
+  stopMaintenance() {
+    clearInterval(this.maintenanceTimer);
+  }
+
+  /**
+   * Initialize WhatsApp session
+   */
+  async initializeSession(sessionId, options = {}) {
+    // Auth state is persisted in Redis so a paired number survives restarts
+    const { state, saveCreds } = await useRedisAuthState(this.redis, sessionId);
+    const settings = await this.getSessionSettings(sessionId);
     
     // Create a fresh logger instance for this session
     const sessionLogger = pino({ 
@@ -93,18 +334,23 @@ class SessionManager {
     });
     
     const sock = makeWASocket({
-      auth: state,
+      auth: {
+        creds: state.creds,
+        keys: makeCacheableSignalKeyStore(state.keys, sessionLogger),
+      },
       printQRInTerminal: false, // Handle QR manually
       logger: sessionLogger,
       browser: ['WhatsApp Service', 'Chrome', '1.0.0'],
-      defaultQueryTimeoutMs: 60000,
+      defaultQueryTimeoutMs: settings.messageTimeout,
       keepAliveIntervalMs: 30000,
       retryRequestDelayMs: 2000,
       connectTimeoutMs: 60000,
-      qrTimeout: 60000,
+      qrTimeout: settings.qrTimeout,
       generateHighQualityLinkPreview: false,
       syncFullHistory: false,
-      markOnlineOnConnect: false
+      markOnlineOnConnect: false,
+      // Needed to re-send messages recipients failed to decrypt
+      getMessage: async (key) => this.messageCache.get(sessionId, key.id)?.message,
     });
 
     // Setup event handlers
@@ -114,6 +360,10 @@ class SessionManager {
       sock,
       status: 'initializing',
       qrRetries: 0,
+      pairing: options.phoneNumber
+        ? { phoneNumber: options.phoneNumber.replace(/\D/g, ''), code: null }
+        : null,
+      settings,
       lastActivity: Date.now(),
       metadata: {
         createdAt: new Date().toISOString(),
@@ -138,7 +388,12 @@ class SessionManager {
       });
 
       if (qr) {
-        await this.handleQRCode(sessionId, qr);
+        // The socket is ready to authenticate: either show the QR or ask for a pairing code
+        if (this.sessions.get(sessionId)?.pairing) {
+          await this.handlePairingCode(sessionId);
+        } else {
+          await this.handleQRCode(sessionId, qr);
+        }
       }
 
       if (connection === 'close') {
@@ -167,6 +422,46 @@ class SessionManager {
     sock.ev.on('presence.update', async (presenceUpdate) => {
       await this.handlePresenceUpdate(sessionId, presenceUpdate);
     });
+
+    // Contacts, full on sync and partial on changes
+    sock.ev.on('contacts.upsert', async (contacts) => {
+      await this.handleContactsUpdate(sessionId, contacts);
+    });
+    sock.ev.on('contacts.update', async (contacts) => {
+      await this.handleContactsUpdate(sessionId, contacts);
+    });
+
+    // Chat list, full on sync and partial on changes
+    sock.ev.on('messaging-history.set', async ({ chats }) => {
+      await this.handleChatsUpdate(sessionId, () => this.chatStore.upsert(sessionId, chats));
+    });
+    sock.ev.on('chats.upsert', async (chats) => {
+      await this.handleChatsUpdate(sessionId, () => this.chatStore.upsert(sessionId, chats));
+    });
+    sock.ev.on('chats.update', async (updates) => {
+      await this.handleChatsUpdate(sessionId, () => this.chatStore.update(sessionId, updates));
+    });
+    sock.ev.on('chats.delete', async (ids) => {
+      await this.handleChatsUpdate(sessionId, () => this.chatStore.remove(sessionId, ids));
+    });
+
+    // WhatsApp Business labels and the chats they are on
+    sock.ev.on('labels.edit', async (label) => {
+      await this.handleChatsUpdate(sessionId, () => this.chatStore.saveLabel(sessionId, label));
+    });
+    sock.ev.on('labels.association', async ({ association, type }) => {
+      await this.handleChatsUpdate(sessionId, () =>
+        this.chatStore.associateLabel(sessionId, association, type),
+      );
+    });
+
+    // Group changes, by this session or others
+    sock.ev.on('groups.update', async (updates) => {
+      await this.handleGroupsUpdate(sessionId, updates);
+    });
+    sock.ev.on('group-participants.update', async (update) => {
+      await this.handleGroupParticipantsUpdate(sessionId, update);
+    });
   }
 
   /**
@@ -195,16 +490,18 @@ class SessionManager {
       );
 
       // Update session status
-      await this.redis.setEx(
-        `session:${sessionId}:status`,
-        this.sessionTimeout / 1000,
-        'waiting_qr'
-      );
+      await this.setState(sessionId, SESSION_STATES.WAITING_QR);
 
-      // Emit to WebSocket
-      this.io.to(`session-${sessionId}`).emit('qr-update', {
+      // Emit to WebSocket, with a rendered image so clients need no QR library
+      const qrDataUrl = await renderQRDataURL(qr).catch((error) => {
+        logger.warn('QR rendering failed', { sessionId, error: error.message });
+        return null;
+      });
+
+      await this.emitEvent(sessionId, 'qr-update', {
         sessionId,
         qr,
+        qrDataUrl,
         retries: session?.qrRetries || 1
       });
     } catch (error) {
@@ -212,6 +509,42 @@ class SessionManager {
     }
   }
 
+  /**
+   * Request a pairing code for the phone number of the session
+   */
+  async handlePairingCode(sessionId) {
+    try {
+      const session = this.sessions.get(sessionId);
+
+      // One code per socket; later QR refreshes do not invalidate it
+      if (!session || session.pairing.code) {
+        return;
+      }
+
+      const { phoneNumber } = session.pairing;
+      const pairingCode = await session.sock.requestPairingCode(phoneNumber);
+      session.pairing.code = pairingCode;
+
+      logger.info('Pairing code generated', { sessionId });
+
+      // Store pairing code in Redis with TTL
+      await this.redis.setEx(`pairing:${sessionId}`, PAIRING_CODE_TTL, pairingCode);
+
+      // Update session status
+      await this.setState(sessionId, SESSION_STATES.PAIRING, 'pairing_code_issued');
+
+      // Emit to WebSocket
+      await this.emitEvent(sessionId, 'pairing-code', {
+        sessionId,
+        pairingCode,
+        phoneNumber,
+        expiresIn: PAIRING_CODE_TTL,
+      });
+    } catch (error) {
+      logger.error('Failed to request pairing code', { sessionId, error: error.message });
+    }
+  }
+
   /**
    * Handle successful connection
    */
@@ -221,29 +554,27 @@ class SessionManager {
       
       const session = this.sessions.get(sessionId);
       if (session) {
-        session.status = 'connected';
         session.qrRetries = 0;
         session.lastActivity = Date.now();
+        session.isBusiness = await this.isBusinessAccount(session.sock);
       }
+      this.clearReconnect(sessionId);
 
-      // Update Redis
-      await this.redis.setEx(
-        `session:${sessionId}:status`,
-        this.sessionTimeout / 1000,
-        'connected'
-      );
+      // Update status
+      await this.setState(sessionId, SESSION_STATES.CONNECTED);
 
-      // Clear QR from Redis
+      // Clear QR and pairing code from Redis
       await this.redis.del(`qr:${sessionId}`);
+      await this.redis.del(`pairing:${sessionId}`);
 
       // Emit authentication event first
-      this.io.to(`session-${sessionId}`).emit('session-authenticated', {
+      await this.emitEvent(sessionId, 'session-authenticated', {
         sessionId,
         status: 'authenticated'
       });
 
       // Then emit ready event
-      this.io.to(`session-${sessionId}`).emit('session-ready', {
+      await this.emitEvent(sessionId, 'session-ready', {
         sessionId,
         status: 'connected'
       });
@@ -258,222 +589,941 @@ class SessionManager {
   async handleDisconnection(sessionId, lastDisconnect) {
     try {
       const errorCode = lastDisconnect?.error?.output?.statusCode;
-      const errorMessage = lastDisconnect?.error?.output?.payload?.error;
-      const shouldReconnect = errorCode !== DisconnectReason.loggedOut;
+      const errorMessage = lastDisconnect?.error?.message;
+      const { action, reason } = this.reconnectionPolicy.resolve(errorCode, errorMessage);
+      const shouldReconnect =
+        action === RECONNECT_ACTIONS.RECONNECT || action === RECONNECT_ACTIONS.RESTART;
       
       logger.info('Session disconnected', { 
         sessionId, 
-        shouldReconnect,
+        action,
         errorCode,
         reason: errorMessage 
       });
 
-      // Handle error 515 (Stream Errored - restart required after pairing)
-      if (errorCode === 515 || errorMessage?.includes('Stream Errored')) {
-        logger.info('Handling error 515 - Restarting connection after pairing', { sessionId });
-        
-        // Wait a bit for WhatsApp to process the pairing
-        setTimeout(async () => {
-          logger.info('Reconnecting after pairing...', { sessionId });
-          await this.createSession(sessionId, false);
-        }, 2000);
+      // Emit disconnection event
+      await this.emitEvent(sessionId, 'session-disconnected', {
+        sessionId,
+        shouldReconnect,
+        reason,
+      });
+
+      if (action === RECONNECT_ACTIONS.LOGOUT) {
+        await this.setState(sessionId, SESSION_STATES.LOGGED_OUT, reason);
+        await this.destroySession(sessionId);
         return;
       }
 
-      if (shouldReconnect) {
-        // Check if manually disconnected
-        const manualDisconnect = await this.redis.get(`session:${sessionId}:manual_disconnect`);
-        if (manualDisconnect === 'true') {
-          logger.info('Session manually disconnected, not reconnecting', { sessionId });
-          await this.destroySession(sessionId);
-          return;
-        }
-
-        // Attempt reconnection
-        setTimeout(() => {
-          this.createSession(sessionId, false);
-        }, 5000);
-      } else {
+      // Check if manually disconnected
+      const manualDisconnect = await this.redis.get(`session:${sessionId}:manual_disconnect`);
+      if (manualDisconnect === 'true') {
+        logger.info('Session manually disconnected, not reconnecting', { sessionId });
         await this.destroySession(sessionId);
+        return;
       }
 
-      // Emit disconnection event
-      this.io.to(`session-${sessionId}`).emit('session-disconnected', {
-        sessionId,
-        shouldReconnect
-      });
+      if (action === RECONNECT_ACTIONS.RESTART) {
+        await this.restartAfterPairing(sessionId);
+      } else if (action === RECONNECT_ACTIONS.STOP) {
+        await this.failReconnection(sessionId, reason);
+      } else {
+        await this.scheduleReconnect(sessionId, reason);
+      }
     } catch (error) {
       logger.error('Failed to handle disconnection', { sessionId, error: error.message });
     }
   }
 
   /**
-   * Handle incoming messages
+   * Handle error 515 (Stream Errored - restart required after pairing)
    */
-  async handleMessages(sessionId, upsert) {
-    try {
-      const messages = upsert.messages;
-      const type = upsert.type;
-
-      for (const msg of messages) {
-        if (!msg.key.fromMe && type === 'notify') {
-          logger.info('Message received', {
-            sessionId,
-            from: msg.key.remoteJid,
-            type: msg.message?.conversation ? 'text' : 'media'
-          });
-
-          // Emit to WebSocket
-          this.io.to(`session-${sessionId}`).emit('message-received', {
-            sessionId,
-            message: {
-              id: msg.key.id,
-              from: msg.key.remoteJid,
-              text: msg.message?.conversation || msg.message?.extendedTextMessage?.text,
-              timestamp: msg.messageTimestamp,
-              type: this.getMessageType(msg.message)
-            }
-          });
+  async restartAfterPairing(sessionId) {
+    logger.info('Handling error 515 - Restarting connection after pairing', { sessionId });
 
-          // Store in Redis for processing
-          await this.redis.lpush(
-            `messages:${sessionId}:incoming`,
-            JSON.stringify({
-              id: msg.key.id,
-              from: msg.key.remoteJid,
-              message: msg.message,
-              timestamp: msg.messageTimestamp
-            })
-          );
-        }
-      }
-    } catch (error) {
-      logger.error('Failed to handle messages', { sessionId, error: error.message });
+    // A restart right after showing the QR means it was scanned
+    if (this.stateMachine.getState(sessionId) === SESSION_STATES.WAITING_QR) {
+      await this.setState(sessionId, SESSION_STATES.PAIRING, 'qr_scanned');
     }
+    await this.setState(sessionId, SESSION_STATES.RECONNECTING, 'restart_required');
+
+    // Wait a bit for WhatsApp to process the pairing. Tracked like a
+    // scheduled reconnect so destroying the session cancels it.
+    const reconnect = this.reconnects.get(sessionId) || { attempts: 0, timer: null };
+    clearTimeout(reconnect.timer);
+    reconnect.timer = setTimeout(async () => {
+      reconnect.timer = null;
+      logger.info('Reconnecting after pairing...', { sessionId });
+      await this.attemptReconnect(sessionId);
+    }, 2000);
+    this.reconnects.set(sessionId, reconnect);
   }
 
   /**
-   * Handle message status updates
+   * Recreate the socket of a session from a reconnect timer. Never rejects,
+   * as nothing awaits the timer.
    */
-  async handleMessageUpdates(sessionId, messages) {
+  async attemptReconnect(sessionId) {
     try {
-      for (const update of messages) {
-        logger.debug('Message status updated', {
-          sessionId,
-          messageId: update.key.id,
-          status: update.update.status
-        });
-
-        // Emit status update
-        this.io.to(`session-${sessionId}`).emit('message-status', {
-          sessionId,
-          messageId: update.key.id,
-          status: update.update.status
-        });
-      }
+      await this.createSession(sessionId, false);
+      return;
     } catch (error) {
-      logger.error('Failed to handle message updates', { sessionId, error: error.message });
+      logger.warn('Reconnection attempt failed', { sessionId, error: error.message });
     }
-  }
 
-  /**
-   * Handle presence updates
-   */
-  async handlePresenceUpdate(sessionId, presenceUpdate) {
     try {
-      logger.debug('Presence update', { sessionId, presenceUpdate });
-      
-      // Emit presence update
-      this.io.to(`session-${sessionId}`).emit('presence-update', {
-        sessionId,
-        presence: presenceUpdate
-      });
+      // A failed attempt counts like a dropped connection
+      await this.scheduleReconnect(sessionId, 'reconnect_error');
     } catch (error) {
-      logger.error('Failed to handle presence update', { sessionId, error: error.message });
+      logger.error('Failed to schedule reconnection', { sessionId, error: error.message });
     }
   }
 
   /**
-   * Send message
+   * Schedule the next reconnection attempt with exponential backoff and jitter
    */
-  async sendMessage(sessionId, to, message, type = 'text') {
-    try {
-      const session = this.sessions.get(sessionId);
-      
-      if (!session || session.status !== 'connected') {
-        throw new Error('Session not connected');
-      }
+  async scheduleReconnect(sessionId, reason) {
+    const reconnect = this.reconnects.get(sessionId) || { attempts: 0, timer: null };
+    const settings = await this.getSessionSettings(sessionId);
+    const policy = this.reconnectionPolicy.withOverrides({
+      maxAttempts: settings.maxRetries,
+      baseDelay: settings.retryDelay,
+    });
 
-      const jid = this.formatJID(to);
-      let sentMessage;
+    if (!settings.autoReconnect) {
+      await this.failReconnection(sessionId, 'auto_reconnect_disabled');
+      return;
+    }
 
-      switch (type) {
-        case 'text':
-          sentMessage = await session.sock.sendMessage(jid, { text: message });
-          break;
-        case 'image':
-          sentMessage = await session.sock.sendMessage(jid, { 
-            image: { url: message.mediaUrl }, 
-            caption: message.caption 
-          });
-          break;
-        case 'document':
-          sentMessage = await session.sock.sendMessage(jid, { 
-            document: { url: message.mediaUrl }, 
-            fileName: message.fileName 
-          });
-          break;
-        default:
-          throw new Error(`Unsupported message type: ${type}`);
-      }
+    if (!policy.canRetry(reconnect.attempts)) {
+      await this.failReconnection(sessionId, 'max_attempts_exceeded');
+      return;
+    }
 
-      logger.info('Message sent', { sessionId, to: jid, type });
-      
-      // Update last activity
-      session.lastActivity = Date.now();
+    const delay = policy.getDelay(reconnect.attempts);
+    reconnect.attempts += 1;
+    reconnect.maxAttempts = policy.maxAttempts;
+    reconnect.lastReason = reason;
+    reconnect.nextRetryAt = new Date(Date.now() + delay).toISOString();
 
-      return {
-        success: true,
-        messageId: sentMessage.key.id,
-        to: jid,
-        timestamp: sentMessage.messageTimestamp
-      };
-    } catch (error) {
-      logger.error('Failed to send message', { sessionId, to, error: error.message });
-      throw error;
-    }
+    clearTimeout(reconnect.timer);
+    reconnect.timer = setTimeout(async () => {
+      reconnect.timer = null;
+      await this.attemptReconnect(sessionId);
+    }, delay);
+    this.reconnects.set(sessionId, reconnect);
+
+    await this.setState(sessionId, SESSION_STATES.RECONNECTING, reason);
+
+    logger.info('Reconnection scheduled', { sessionId, attempt: reconnect.attempts, delay });
+
+    await this.emitEvent(sessionId, 'session-reconnecting', {
+      sessionId,
+      attempt: reconnect.attempts,
+      maxAttempts: policy.maxAttempts,
+      delay,
+      nextRetryAt: reconnect.nextRetryAt,
+      reason,
+    });
   }
 
   /**
-   * Disconnect session
+   * Give up reconnecting: the session stays down in the terminal reconnect_failed state.
+   * Its socket is closed and it leaves the pool; only the state is kept.
    */
-  async disconnectSession(sessionId) {
-    try {
-      const session = this.sessions.get(sessionId);
-      
-      if (!session) {
-        throw new Error('Session not found');
-      }
+  async failReconnection(sessionId, reason) {
+    const reconnect = this.reconnects.get(sessionId);
+    clearTimeout(reconnect?.timer);
+    this.reconnects.delete(sessionId);
 
-      // Mark as manually disconnected
-      await this.redis.setEx(
-        `session:${sessionId}:manual_disconnect`,
-        300, // 5 minutes TTL
-        'true'
-      );
+    await this.setState(sessionId, SESSION_STATES.RECONNECT_FAILED, reason);
 
-      // Logout from WhatsApp
-      if (session.sock) {
-        await session.sock.logout();
-      }
+    logger.warn('Reconnection failed', { sessionId, reason, attempts: reconnect?.attempts || 0 });
 
-      logger.info('Session disconnected', { sessionId });
-      
-      return { success: true };
-    } catch (error) {
-      logger.error('Failed to disconnect session', { sessionId, error: error.message });
-      throw error;
-    }
+    await this.emitEvent(sessionId, 'session-reconnect-failed', {
+      sessionId,
+      reason,
+      attempts: reconnect?.attempts || 0,
+    });
+
+    await this.closeSocket(sessionId);
+  }
+
+  /**
+   * Stop any pending reconnection of a session
+   */
+  clearReconnect(sessionId) {
+    clearTimeout(this.reconnects.get(sessionId)?.timer);
+    this.reconnects.delete(sessionId);
+  }
+
+  /**
+   * Handle incoming messages
+   */
+  async handleMessages(sessionId, upsert) {
+    try {
+      for (const msg of upsert.messages) {
+        // Keep recent messages around so they can be quoted and reacted to
+        this.messageCache.add(sessionId, msg);
+
+        if (!msg.key.fromMe && upsert.type === 'notify') {
+          // One at a time, so clients get them in the order they came
+          await this.handleIncomingMessage(sessionId, msg);
+        }
+      }
+    } catch (error) {
+      logger.error('Failed to handle messages', { sessionId, error: error.message });
+    }
+  }
+
+  /**
+   * Normalize a new inbound message with its selection and media, then
+   * publish and store it
+   */
+  async handleIncomingMessage(sessionId, msg) {
+    const message = normalizeMessage(msg, {
+      meId: this.sessions.get(sessionId)?.sock.user?.id,
+    });
+
+    logger.info('Message received', {
+      sessionId,
+      from: message.chat,
+      type: message.type,
+    });
+
+    message.selection = await this.resolveSelection(sessionId, msg);
+    if (message.media) {
+      Object.assign(message.media, await this.downloadMedia(sessionId, msg, message.media));
+    }
+
+    // Emit to WebSocket
+    await this.emitEvent(sessionId, 'message-received', { sessionId, message });
+
+    await this.storeMessage(sessionId, message, { direction: DIRECTIONS.IN });
+  }
+
+  /**
+   * Download the attachment of an inbound message into the media store.
+   * Resolves to its stored id, checksum and a signed download URL, or null
+   * for oversized files and failed downloads.
+   */
+  async downloadMedia(sessionId, msg, { mimetype, fileName, size }) {
+    if (size > this.mediaService.maxSize) {
+      logger.warn('Inbound media exceeds MEDIA_MAX_SIZE_MB, not downloaded', {
+        sessionId,
+        messageId: msg.key.id,
+        size,
+      });
+      return null;
+    }
+
+    try {
+      const sock = this.sessions.get(sessionId)?.sock;
+      const buffer = await downloadMediaMessage(
+        msg,
+        'buffer',
+        {},
+        {
+          logger: sock?.logger || logger,
+          // Expired media links are re-requested from the sender's phone
+          reuploadRequest: sock?.updateMediaMessage,
+        },
+      );
+      const stored = await this.mediaService.save(sessionId, buffer, {
+        messageId: msg.key.id,
+        mimetype,
+        fileName,
+      });
+
+      return {
+        mediaId: stored.mediaId,
+        size: stored.size,
+        sha256: stored.sha256,
+        ...this.mediaService.signUrl(stored.mediaId),
+      };
+    } catch (error) {
+      logger.error('Failed to download media', {
+        sessionId,
+        messageId: msg.key.id,
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Structured choice carried by an inbound message: a poll vote (also
+   * emitted as `poll-update` with the new tally), a list or button reply, or
+   * null for plain messages
+   */
+  async resolveSelection(sessionId, msg) {
+    if (!msg.message?.pollUpdateMessage) {
+      return this.interactive.resolveSelection(sessionId, msg);
+    }
+
+    try {
+      const vote = this.interactive.applyPollVote(
+        sessionId,
+        msg,
+        this.sessions.get(sessionId)?.sock.user.id,
+      );
+      if (!vote) {
+        return null;
+      }
+
+      await this.emitEvent(sessionId, 'poll-update', { sessionId, ...vote });
+
+      return {
+        type: 'poll',
+        pollMessageId: vote.pollMessageId,
+        options: vote.selectedOptions,
+      };
+    } catch (error) {
+      logger.warn('Failed to decrypt poll vote', { sessionId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Handle message status updates
+   */
+  async handleMessageUpdates(sessionId, messages) {
+    try {
+      for (const update of messages) {
+        logger.debug('Message status updated', {
+          sessionId,
+          messageId: update.key.id,
+          status: update.update.status
+        });
+
+        if (update.update.status !== undefined && update.update.status !== null) {
+          // Status changes of a message read then write its record, so they
+          // are applied in order
+          await this.applyStatusUpdate(sessionId, update);
+        }
+      }
+    } catch (error) {
+      logger.error('Failed to handle message updates', { sessionId, error: error.message });
+    }
+  }
+
+  /**
+   * Record the new status of a message and publish it
+   */
+  async applyStatusUpdate(sessionId, { key, update }) {
+    const record = await this.messageStore.updateStatus(sessionId, key.id, update.status);
+
+    // Emit status update
+    await this.emitEvent(sessionId, 'message-status', {
+      sessionId,
+      messageId: key.id,
+      chat: record?.chat ?? key.remoteJid,
+      status: MESSAGE_STATUSES.at(update.status) ?? null,
+      statusCode: update.status,
+      statusTimestamps: record?.statusTimestamps ?? null,
+    });
+  }
+
+  /**
+   * Store synced or changed contacts
+   */
+  async handleContactsUpdate(sessionId, contacts) {
+    try {
+      const count = await this.contactStore.upsert(sessionId, contacts);
+      logger.debug('Contacts updated', { sessionId, count });
+    } catch (error) {
+      logger.error('Failed to store contacts', { sessionId, error: error.message });
+    }
+  }
+
+  /**
+   * Apply a chat list change from the socket, logging failures
+   */
+  async handleChatsUpdate(sessionId, apply) {
+    try {
+      await apply();
+    } catch (error) {
+      logger.error('Failed to store chats', { sessionId, error: error.message });
+    }
+  }
+
+  /**
+   * Publish subject, description and settings changes of groups
+   */
+  async handleGroupsUpdate(sessionId, updates) {
+    try {
+      for (const update of updates) {
+        const group = normalizeGroupUpdate(update);
+        logger.debug('Group updated', { sessionId, groupId: group.id });
+
+        await this.emitEvent(sessionId, 'group-update', { sessionId, group });
+      }
+    } catch (error) {
+      logger.error('Failed to handle group updates', { sessionId, error: error.message });
+    }
+  }
+
+  /**
+   * Publish participants joining, leaving, promoted or demoted
+   */
+  async handleGroupParticipantsUpdate(sessionId, { id, author, participants, action }) {
+    try {
+      logger.debug('Group participants updated', { sessionId, groupId: id, action });
+
+      await this.emitEvent(sessionId, 'group-participants-update', {
+        sessionId,
+        groupId: id,
+        author: normalizeJid(author),
+        participants: participants.map((participant) => normalizeJid(participant)),
+        action,
+      });
+    } catch (error) {
+      logger.error('Failed to handle group participants update', {
+        sessionId,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Handle presence updates
+   */
+  async handlePresenceUpdate(sessionId, presenceUpdate) {
+    try {
+      logger.debug('Presence update', { sessionId, presenceUpdate });
+      
+      // Emit presence update
+      await this.emitEvent(sessionId, 'presence-update', {
+        sessionId,
+        presence: presenceUpdate
+      });
+    } catch (error) {
+      logger.error('Failed to handle presence update', { sessionId, error: error.message });
+    }
+  }
+
+  /**
+   * Send a list or buttons message. Only business accounts render them
+   * natively; other accounts get a numbered text menu instead. Either way
+   * replies are matched back to the options (see resolveSelection).
+   */
+  async sendInteractiveMessage(sessionId, jid, type, message, quoted) {
+    const { sock, isBusiness } = this.sessions.get(sessionId);
+    let sentMessage;
+
+    if (isBusiness) {
+      sentMessage = generateWAMessageFromContent(
+        jid,
+        proto.Message.fromObject(buildNativeContent(type, message)),
+        { userJid: sock.user.id, quoted },
+      );
+      await sock.relayMessage(jid, sentMessage.message, { messageId: sentMessage.key.id });
+    } else {
+      sentMessage = await sock.sendMessage(jid, { text: buildTextMenu(type, message) }, { quoted });
+    }
+
+    this.interactive.rememberMenu(sessionId, jid, {
+      messageId: sentMessage.key.id,
+      type,
+      options: getOptions(type, message),
+    });
+
+    return { sentMessage, rendered: isBusiness ? 'native' : 'text' };
+  }
+
+  /**
+   * Whether the connected number is a WhatsApp Business account
+   */
+  async isBusinessAccount(sock) {
+    try {
+      return Boolean(await sock.getBusinessProfile(jidNormalizedUser(sock.user.id)));
+    } catch (error) {
+      logger.debug('Business profile lookup failed', { error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Look up a recent message of a session by id
+   */
+  getCachedMessage(sessionId, messageId) {
+    const cached = this.messageCache.get(sessionId, messageId);
+
+    if (!cached) {
+      throw notFound(`Message ${messageId} not found in recent messages`);
+    }
+
+    return cached;
+  }
+
+  /**
+   * Send message
+   *
+   * `options.quotedMessageId` replies to a recent message, `options.mentions`
+   * lists the phone numbers @mentioned in the text or caption.
+   */
+  async sendMessage(sessionId, to, message, type = 'text', options = {}) {
+    try {
+      const session = this.sessions.get(sessionId);
+      
+      if (!session || session.status !== 'connected') {
+        throw new Error('Session not connected');
+      }
+
+      const jid = this.formatJID(to);
+      const quoted = options.quotedMessageId
+        ? this.getCachedMessage(sessionId, options.quotedMessageId)
+        : undefined;
+
+      let sentMessage;
+      let rendered;
+      if (Object.values(INTERACTIVE_TYPES).includes(type)) {
+        ({ sentMessage, rendered } = await this.sendInteractiveMessage(
+          sessionId,
+          jid,
+          type,
+          message,
+          quoted,
+        ));
+      } else {
+        const content = buildMessageContent(
+          type,
+          await this.resolveUploadedMedia(sessionId, type, message),
+        );
+        if (options.mentions?.length) {
+          content.mentions = options.mentions.map((phoneNumber) => this.formatJID(phoneNumber));
+        }
+        sentMessage = await session.sock.sendMessage(jid, content, { quoted });
+      }
+      await this.recordSentMessage(sessionId, sentMessage);
+
+      logger.info('Message sent', { sessionId, to: jid, type });
+      
+      // Update last activity
+      session.lastActivity = Date.now();
+
+      return {
+        success: true,
+        messageId: sentMessage.key.id,
+        to: jid,
+        timestamp: sentMessage.messageTimestamp,
+        ...(rendered && { rendered }),
+      };
+    } catch (error) {
+      logger.error('Failed to send message', { sessionId, to, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Keep a message sent by the session in the recent message cache and in
+   * the message history, as pending until receipts arrive
+   */
+  async recordSentMessage(sessionId, sentMessage) {
+    this.messageCache.add(sessionId, sentMessage);
+    await this.storeMessage(
+      sessionId,
+      normalizeMessage(sentMessage, { meId: this.sessions.get(sessionId)?.sock.user?.id }),
+      { direction: DIRECTIONS.OUT, status: 'pending' },
+    );
+  }
+
+  /**
+   * Add a normalized message to the history, to the search index and as the
+   * last message of its chat
+   */
+  async storeMessage(sessionId, message, options) {
+    await this.messageStore.add(sessionId, message, options);
+    await this.chatStore.recordMessage(sessionId, message);
+    this.searchIndex.add(sessionId, message);
+  }
+
+  /**
+   * Message history of a session, see MessageStore.query
+   */
+  async getMessages(sessionId, query) {
+    return this.messageStore.query(sessionId, query);
+  }
+
+  /**
+   * Delivery status of a stored message: the current status and when each
+   * status was reached. Null for unknown messages.
+   */
+  async getMessageStatus(sessionId, messageId) {
+    const message = await this.messageStore.get(sessionId, messageId);
+
+    if (!message) {
+      return null;
+    }
+    return {
+      messageId,
+      chat: message.chat,
+      direction: message.direction,
+      status: message.status,
+      statusAt: message.statusAt,
+      statusTimestamps: message.statusTimestamps ?? {},
+    };
+  }
+
+  /**
+   * Delivery counters and rates of the messages sent by a session, see
+   * MessageStore.getDeliveryStats
+   */
+  async getDeliveryStats(sessionId) {
+    return this.messageStore.getDeliveryStats(sessionId);
+  }
+
+  /**
+   * Contacts synced by a session, see ContactStore.list
+   */
+  async getContacts(sessionId, options) {
+    return this.contactStore.list(sessionId, options);
+  }
+
+  /**
+   * Whether phone numbers are registered on WhatsApp, asking through a
+   * connected session for the numbers not checked recently. Resolves to
+   * { phoneNumber, exists, jid } per distinct number, in request order.
+   */
+  async checkNumbers(sessionId, phoneNumbers) {
+    const sock = this.getConnectedSocket(sessionId);
+    const numbers = [
+      ...new Set(phoneNumbers.map((phoneNumber) => phoneNumber.replaceAll(/\D/g, ''))),
+    ];
+    const checks = await this.contactStore.getNumberChecks(numbers);
+    const unchecked = numbers.filter((number) => !checks.has(number));
+
+    if (unchecked.length > 0) {
+      // onWhatsApp only lists registered numbers, under the JID WhatsApp
+      // normalized them to (54 11... becomes 549 11...), so each number is
+      // looked up on its own to tie the answer to it, a few at a time
+      const answers = new Map();
+      const pending = [...unchecked];
+      const lookUpNext = async () => {
+        const number = pending.shift();
+        if (number !== undefined) {
+          answers.set(number, await sock.onWhatsApp(number));
+          await lookUpNext();
+        }
+      };
+      await Promise.all(
+        Array.from({ length: Math.min(NUMBER_CHECK_CONCURRENCY, pending.length) }, lookUpNext),
+      );
+
+      const results = unchecked.map((number) => {
+        const registered = (answers.get(number) ?? []).find(({ exists }) => exists);
+        return { phoneNumber: number, exists: Boolean(registered), jid: registered?.jid ?? null };
+      });
+
+      await this.contactStore.saveNumberChecks(results);
+      for (const result of results) {
+        checks.set(result.phoneNumber, result);
+      }
+    }
+
+    return numbers.map((number) => checks.get(number));
+  }
+
+  /**
+   * Search the message history of a session, see SearchIndex.search.
+   * Resolves to the matching stored messages, each with a `highlight`
+   * excerpt of its text.
+   */
+  async searchMessages(sessionId, { query, chat, limit }) {
+    await this.searchIndex.ensureLoaded(sessionId, () => this.messageStore.scan(sessionId));
+
+    const hits = this.searchIndex.search(sessionId, query, { chat, limit });
+    const messages = await this.messageStore.getMany(
+      sessionId,
+      hits.map(({ messageId }) => messageId),
+    );
+
+    return hits.flatMap(({ messageId, score }, index) => {
+      const message = messages.at(index);
+      // Trimmed from the history since it was indexed
+      if (!message) {
+        this.searchIndex.remove(sessionId, messageId);
+        return [];
+      }
+      return [{ ...message, score, highlight: this.searchIndex.highlight(message, query) }];
+    });
+  }
+
+  /**
+   * Replace the mediaId of an outgoing media message with a stream of the
+   * uploaded file. Documents default to the uploaded file name and mimetype.
+   */
+  async resolveUploadedMedia(sessionId, type, message) {
+    if (!message?.mediaId) {
+      return message;
+    }
+
+    const uploaded = await this.mediaService.read(message.mediaId, sessionId);
+    if (!uploaded) {
+      throw notFound('Uploaded media not found');
+    }
+
+    const { metadata, stream } = uploaded;
+    return {
+      ...(type === 'document' && {
+        fileName: metadata.fileName || undefined,
+        mimetype: metadata.mimetype,
+      }),
+      ...message,
+      media: { stream },
+    };
+  }
+
+  /**
+   * Stream of an image uploaded by a session, for profile and group pictures
+   */
+  async readUploadedImage(sessionId, mediaId) {
+    const uploaded = await this.mediaService.read(mediaId, sessionId);
+
+    if (!uploaded) {
+      throw notFound('Uploaded media not found');
+    }
+    if (!uploaded.metadata.mimetype.startsWith('image/')) {
+      uploaded.stream.destroy();
+      throw badRequest('Uploaded media is not an image');
+    }
+    return uploaded.stream;
+  }
+
+  /**
+   * Display name, about text and profile picture of the account linked to a
+   * session
+   */
+  async getProfile(sessionId) {
+    const sock = this.getConnectedSocket(sessionId);
+    const profile = await fetchProfile(sock, jidNormalizedUser(sock.user.id));
+
+    return { ...profile, name: sock.user.name ?? null };
+  }
+
+  /**
+   * Change the display name and about text of the linked account; fields
+   * left out are kept. Resolves to the updated profile.
+   */
+  async updateProfile(sessionId, { name, about }) {
+    const sock = this.getConnectedSocket(sessionId);
+
+    if (name !== undefined) {
+      await sock.updateProfileName(name);
+    }
+    if (about !== undefined) {
+      await sock.updateProfileStatus(about);
+    }
+
+    logger.info('Profile updated', {
+      sessionId,
+      name: name !== undefined,
+      about: about !== undefined,
+    });
+
+    // The new name reaches sock.user once WhatsApp syncs it back
+    const profile = await this.getProfile(sessionId);
+    return { ...profile, name: name ?? profile.name };
+  }
+
+  /**
+   * Set the profile picture of the linked account from an uploaded image
+   */
+  async setProfilePicture(sessionId, mediaId) {
+    const sock = this.getConnectedSocket(sessionId);
+    const stream = await this.readUploadedImage(sessionId, mediaId);
+
+    await sock.updateProfilePicture(jidNormalizedUser(sock.user.id), { stream });
+    logger.info('Profile picture updated', { sessionId });
+  }
+
+  async removeProfilePicture(sessionId) {
+    const sock = this.getConnectedSocket(sessionId);
+
+    await sock.removeProfilePicture(jidNormalizedUser(sock.user.id));
+    logger.info('Profile picture removed', { sessionId });
+  }
+
+  /**
+   * About text and profile picture of another account, null where its
+   * privacy settings hide them
+   */
+  getContactProfile(sessionId, phoneNumber) {
+    return fetchProfile(this.getConnectedSocket(sessionId), this.formatJID(phoneNumber));
+  }
+
+  /**
+   * Privacy settings of the linked account, see PRIVACY_SETTINGS
+   */
+  async getPrivacySettings(sessionId) {
+    const sock = this.getConnectedSocket(sessionId);
+    return normalizePrivacySettings(await sock.fetchPrivacySettings(true));
+  }
+
+  /**
+   * Change privacy settings; settings left out are kept. Resolves to the
+   * updated settings.
+   */
+  async updatePrivacySettings(sessionId, settings) {
+    await applyPrivacySettings(this.getConnectedSocket(sessionId), settings);
+
+    logger.info('Privacy settings updated', { sessionId, settings: Object.keys(settings) });
+    return this.getPrivacySettings(sessionId);
+  }
+
+  /**
+   * React to a recent message; an empty emoji removes the reaction
+   */
+  async sendReaction(sessionId, messageId, emoji) {
+    const sock = this.getConnectedSocket(sessionId);
+    const { key } = this.getCachedMessage(sessionId, messageId);
+    const sentMessage = await sock.sendMessage(key.remoteJid, {
+      react: { text: emoji, key },
+    });
+
+    logger.info('Reaction sent', { sessionId, messageId, removed: emoji === '' });
+
+    return {
+      success: true,
+      messageId: sentMessage.key.id,
+      reactedTo: messageId,
+      emoji,
+    };
+  }
+
+  /**
+   * Connected socket of a session
+   */
+  getConnectedSocket(sessionId) {
+    const session = this.sessions.get(sessionId);
+
+    if (!session || session.status !== 'connected') {
+      throw conflict('Session not connected');
+    }
+
+    session.lastActivity = Date.now();
+    return session.sock;
+  }
+
+  /**
+   * Replace the text of a message sent by this session
+   */
+  async editMessage(sessionId, messageId, text) {
+    const sock = this.getConnectedSocket(sessionId);
+    const cached = this.getCachedMessage(sessionId, messageId);
+
+    if (!cached.key.fromMe || getMessageType(cached.message) !== 'text') {
+      throw badRequest('Only text messages sent by this session can be edited');
+    }
+
+    const sentMessage = await sock.sendMessage(cached.key.remoteJid, { text, edit: cached.key });
+    // Later forwards and quotes should carry the edited text
+    this.messageCache.add(sessionId, { ...cached, message: { conversation: text } });
+    logger.info('Message edited', { sessionId, messageId });
+
+    return {
+      success: true,
+      messageId,
+      editId: sentMessage.key.id,
+      timestamp: sentMessage.messageTimestamp,
+    };
+  }
+
+  /**
+   * Delete a message for everyone in the chat. Messages of other participants
+   * can only be revoked in groups the session administers.
+   */
+  async revokeMessage(sessionId, messageId) {
+    const sock = this.getConnectedSocket(sessionId);
+    const { key } = this.getCachedMessage(sessionId, messageId);
+
+    await sock.sendMessage(key.remoteJid, { delete: key });
+    this.messageCache.remove(sessionId, messageId);
+    logger.info('Message revoked', { sessionId, messageId, chat: key.remoteJid });
+
+    return {
+      success: true,
+      messageId,
+      chat: key.remoteJid,
+    };
+  }
+
+  /**
+   * Forward a recent message to other chats, reporting the outcome per recipient
+   */
+  async forwardMessage(sessionId, messageId, recipients) {
+    const sock = this.getConnectedSocket(sessionId);
+    const cached = this.getCachedMessage(sessionId, messageId);
+
+    const results = await Promise.allSettled(
+      recipients.map(async (to) => {
+        const sentMessage = await sock.sendMessage(this.formatJID(to), { forward: cached });
+        await this.recordSentMessage(sessionId, sentMessage);
+        return sentMessage;
+      }),
+    );
+
+    logger.info('Message forwarded', { sessionId, messageId, recipients: recipients.length });
+
+    return {
+      success: results.some((result) => result.status === 'fulfilled'),
+      messageId,
+      results: results.map((result, index) => ({
+        to: this.formatJID(recipients[index]),
+        success: result.status === 'fulfilled',
+        messageId: result.value?.key.id,
+        error: result.reason?.message,
+      })),
+    };
+  }
+  /**
+   * Disconnect session
+   */
+  async disconnectSession(sessionId) {
+    try {
+      const session = this.sessions.get(sessionId);
+      
+      if (!session) {
+        throw new Error('Session not found');
+      }
+
+      // Mark as manually disconnected
+      await this.redis.setEx(
+        `session:${sessionId}:manual_disconnect`,
+        300, // 5 minutes TTL
+        'true'
+      );
+
+      // Logout from WhatsApp
+      if (session.sock) {
+        await session.sock.logout();
+      }
+
+      logger.info('Session disconnected', { sessionId });
+      
+      return { success: true };
+    } catch (error) {
+      logger.error('Failed to disconnect session', { sessionId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Close the socket of a session without logging out, keeping its auth state
+   */
+  async closeSocket(sessionId) {
+    const session = this.sessions.get(sessionId);
+
+    if (session?.sock) {
+      // Remove listeners first so closing does not trigger a reconnection
+      session.sock.ev?.removeAllListeners();
+      try {
+        session.sock.end(undefined);
+      } catch (error) {
+        logger.debug('Socket close error ignored', { sessionId, error: error.message });
+      }
+    }
+
+    this.sessions.delete(sessionId);
   }
 
   /**
@@ -502,29 +1552,26 @@ class SessionManager {
         }
       }
 
+      this.clearReconnect(sessionId);
+      await this.setState(sessionId, SESSION_STATES.DESTROYED);
+
       // Remove from memory
       this.sessions.delete(sessionId);
+      this.messageCache.clear(sessionId);
+      this.interactive.clear(sessionId);
+      this.messageStore.clear(sessionId);
+      this.searchIndex.clear(sessionId);
 
-      // Clean Redis
-      const keys = await this.redis.keys(`*${sessionId}*`);
-      if (keys.length > 0) {
-        await this.redis.del(...keys);
-      }
+      // Clean Redis, keeping the transition history and settings
+      await this.redis.del(await this.sessionKeys(sessionId));
       
-      // Clean auth folder
-      const authPath = `./auth-sessions/${sessionId}`;
-      const fs = await import('fs/promises');
-      try {
-        await fs.rm(authPath, { recursive: true, force: true });
-        logger.info(`Cleaned auth folder: ${authPath}`);
-      } catch (error) {
-        logger.warn(`Could not clean auth folder: ${error.message}`);
-      }
+      // Drop persisted auth state so the number must pair again
+      await clearRedisAuthState(this.redis, sessionId);
 
       logger.info('Session destroyed', { sessionId });
       
       // Emit destruction event
-      this.io.to(`session-${sessionId}`).emit('session-destroyed', { sessionId });
+      await this.emitEvent(sessionId, 'session-destroyed', { sessionId });
       
       return { success: true };
     } catch (error) {
@@ -533,6 +1580,27 @@ class SessionManager {
     }
   }
 
+  /**
+   * Redis keys holding the data of a session, except its auth state,
+   * transition history and settings. Exact names, so that sessions whose id
+   * starts with this one are left alone.
+   */
+  async sessionKeys(sessionId) {
+    return [
+      `qr:${sessionId}`,
+      `pairing:${sessionId}`,
+      `session:${sessionId}:status`,
+      `session:${sessionId}:manual_disconnect`,
+      // Inbound message list of versions before the message history
+      `messages:${sessionId}:incoming`,
+      ...this.eventLog.sessionKeys(sessionId),
+      ...this.messageStore.sessionKeys(sessionId),
+      ...this.contactStore.sessionKeys(sessionId),
+      ...this.chatStore.sessionKeys(sessionId),
+      ...(await broadcastListKeys(this.redis, sessionId)),
+    ];
+  }
+
   /**
    * Get session status
    */
@@ -547,6 +1615,8 @@ class SessionManager {
           lastActivity: session.lastActivity,
           qrRetries: session.qrRetries
         } : null,
+        state: this.stateMachine.getState(sessionId),
+        reconnect: this.getReconnectStatus(sessionId),
         redis: redisStatus,
         connected: session?.sock?.user ? true : false
       };
@@ -556,6 +1626,24 @@ class SessionManager {
     }
   }
 
+  /**
+   * Reconnection progress of a session, null when none is in progress
+   */
+  getReconnectStatus(sessionId) {
+    const reconnect = this.reconnects.get(sessionId);
+
+    if (!reconnect) {
+      return null;
+    }
+
+    return {
+      attempts: reconnect.attempts,
+      maxAttempts: reconnect.maxAttempts,
+      nextRetryAt: reconnect.nextRetryAt,
+      lastReason: reconnect.lastReason,
+    };
+  }
+
   /**
    * Evict oldest session when pool is full
    */
@@ -592,18 +1680,68 @@ class SessionManager {
   }
 
   /**
-   * Get message type
+   * Split a session id into the user and plubot it belongs to
+   */
+  parseSessionId(sessionId) {
+    // plubotId is numeric, so the last dash separates both parts
+    const separator = sessionId.lastIndexOf('-');
+
+    return {
+      userId: separator > 0 ? sessionId.slice(0, separator) : sessionId,
+      plubotId: separator > 0 ? sessionId.slice(separator + 1) : null,
+    };
+  }
+
+  /**
+   * Public details of a live session
    */
-  getMessageType(message) {
-    if (message?.conversation || message?.extendedTextMessage) return 'text';
-    if (message?.imageMessage) return 'image';
-    if (message?.videoMessage) return 'video';
-    if (message?.audioMessage) return 'audio';
-    if (message?.documentMessage) return 'document';
-    if (message?.stickerMessage) return 'sticker';
-    if (message?.locationMessage) return 'location';
-    if (message?.contactMessage) return 'contact';
-    return 'unknown';
+  getSessionDetails(sessionId, session) {
+    const user = session.sock?.user;
+
+    return {
+      sessionId,
+      ...this.parseSessionId(sessionId),
+      status: session.status,
+      connected: user ? true : false,
+      phoneNumber: user?.id ? user.id.split(/[:@]/)[0] : null,
+      pushName: user?.name || null,
+      createdAt: session.metadata.createdAt,
+      uptime: Date.now() - new Date(session.metadata.createdAt).getTime(),
+      lastActivity: new Date(session.lastActivity).toISOString(),
+    };
+  }
+
+  /**
+   * List live sessions with filters and pagination
+   */
+  listSessions({
+    page = 1,
+    limit = 20,
+    sortBy = 'createdAt',
+    sortOrder = 'desc',
+    ...filters
+  } = {}) {
+    const matches = [...this.sessions]
+      .map(([sessionId, session]) => this.getSessionDetails(sessionId, session))
+      .filter((details) =>
+        ['status', 'userId', 'plubotId'].every(
+          (field) => !filters[field] || details[field] === filters[field],
+        ),
+      );
+
+    const sortValue = SESSION_SORT_FIELDS[sortBy] || SESSION_SORT_FIELDS.createdAt;
+    const direction = sortOrder === 'asc' ? 1 : -1;
+    matches.sort((a, b) => sortValue(a).localeCompare(sortValue(b)) * direction);
+
+    return {
+      sessions: matches.slice((page - 1) * limit, page * limit),
+      pagination: {
+        page,
+        limit,
+        total: matches.length,
+        totalPages: Math.ceil(matches.length / limit),
+      },
+    };
   }
 
   /**
@@ -0,0 +1,123 @@
+import logger from '../utils/logger.js';
+
+/**
+ * Session lifecycle states
+ */
+const SESSION_STATES = Object.freeze({
+  INITIALIZING: 'initializing',
+  WAITING_QR: 'waiting_qr',
+  PAIRING: 'pairing',
+  CONNECTED: 'connected',
+  RECONNECTING: 'reconnecting',
+  LOGGED_OUT: 'logged_out',
+  RECONNECT_FAILED: 'reconnect_failed',
+  DESTROYED: 'destroyed',
+});
+
+const {
+  INITIALIZING,
+  WAITING_QR,
+  PAIRING,
+  CONNECTED,
+  RECONNECTING,
+  LOGGED_OUT,
+  RECONNECT_FAILED,
+  DESTROYED,
+} = SESSION_STATES;
+
+/**
+ * Allowed transitions from each state. Sessions unknown to this process
+ * (first creation or after a restart) can only be initialized or destroyed.
+ */
+const TRANSITIONS = new Map([
+  [null, [INITIALIZING, DESTROYED]],
+  [
+    INITIALIZING,
+    [WAITING_QR, PAIRING, CONNECTED, RECONNECTING, LOGGED_OUT, RECONNECT_FAILED, DESTROYED],
+  ],
+  [WAITING_QR, [PAIRING, CONNECTED, RECONNECTING, LOGGED_OUT, RECONNECT_FAILED, DESTROYED]],
+  [PAIRING, [CONNECTED, RECONNECTING, LOGGED_OUT, RECONNECT_FAILED, DESTROYED]],
+  [CONNECTED, [RECONNECTING, LOGGED_OUT, RECONNECT_FAILED, DESTROYED]],
+  [RECONNECTING, [INITIALIZING, LOGGED_OUT, RECONNECT_FAILED, DESTROYED]],
+  [LOGGED_OUT, [INITIALIZING, DESTROYED]],
+  [RECONNECT_FAILED, [INITIALIZING, DESTROYED]],
+  [DESTROYED, [INITIALIZING]],
+]);
+
+const HISTORY_LIMIT = 100;
+const HISTORY_TTL = 7 * 24 * 60 * 60; // 7 days
+
+const historyKey = (sessionId) => `session:${sessionId}:history`;
+
+class SessionStateMachine {
+  constructor(redisClient) {
+    this.redis = redisClient;
+    this.states = new Map();
+  }
+
+  /**
+   * Current state of a session, null when unknown to this process
+   */
+  getState(sessionId) {
+    return this.states.get(sessionId) ?? null;
+  }
+
+  /**
+   * Whether a session may move to the given state
+   */
+  canTransition(sessionId, to) {
+    return TRANSITIONS.get(this.getState(sessionId))?.includes(to) ?? false;
+  }
+
+  /**
+   * Move a session to a new state and record it in its history.
+   * Returns null when the session already is in that state.
+   */
+  async transition(sessionId, to, reason = null) {
+    const from = this.getState(sessionId);
+
+    if (from === to) {
+      return null;
+    }
+
+    if (!this.canTransition(sessionId, to)) {
+      throw new Error(`Illegal session state transition: ${from} -> ${to}`);
+    }
+
+    this.states.set(sessionId, to);
+
+    const entry = {
+      from,
+      to,
+      reason,
+      at: new Date().toISOString(),
+    };
+
+    try {
+      await this.redis
+        .multi()
+        .rPush(historyKey(sessionId), JSON.stringify(entry))
+        .lTrim(historyKey(sessionId), -HISTORY_LIMIT, -1)
+        .expire(historyKey(sessionId), HISTORY_TTL)
+        .exec();
+    } catch (error) {
+      logger.error('Failed to record session transition', { sessionId, error: error.message });
+    }
+
+    logger.info('Session state changed', { sessionId, ...entry });
+
+    return entry;
+  }
+
+  /**
+   * Timestamped transition history of a session, oldest first
+   */
+  async getHistory(sessionId) {
+    const entries = await this.redis.lRange(historyKey(sessionId), 0, -1);
+    return entries.map((entry) => JSON.parse(entry));
+  }
+}
+
+export { SESSION_STATES };
+
+export default SessionStateMachine;
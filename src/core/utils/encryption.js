@@ -0,0 +1,100 @@
+import crypto from 'node:crypto';
+
+import securityConfig from '../../config/security.config.js';
+
+/**
+ * Authenticated encryption for data persisted in Redis.
+ *
+ * Payloads are written as `enc:v{version}:{iv}:{authTag}:{ciphertext}` (base64
+ * parts), so the key that wrote them can be picked on read and rotated keys
+ * keep older data readable. Values without the prefix are legacy plaintext
+ * and are returned unchanged.
+ */
+
+const PREFIX = 'enc';
+const IV_LENGTH = 12;
+
+const { algorithm, key, keyVersion, previousKeys } = securityConfig.encryption;
+
+// The default key is public: refuse to persist production data with it
+if (process.env.NODE_ENV === 'production' && !process.env.ENCRYPTION_KEY) {
+  throw new Error('ENCRYPTION_KEY must be set in production');
+}
+
+/**
+ * Derive a 256-bit key from a configured secret of any length
+ */
+const deriveKey = (secret) => crypto.createHash('sha256').update(secret).digest();
+
+const parsePreviousKeys = (value) =>
+  value
+    .split(',')
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf(':');
+      return [Number.parseInt(entry.slice(0, separator), 10), entry.slice(separator + 1)];
+    });
+
+const keyRing = new Map(
+  [...parsePreviousKeys(previousKeys), [keyVersion, key]].map(([version, secret]) => [
+    version,
+    deriveKey(secret),
+  ]),
+);
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(`${PREFIX}:v`);
+
+/**
+ * Key version a payload was written with, null for plaintext
+ */
+const getKeyVersion = (value) =>
+  isEncrypted(value) ? Number.parseInt(value.split(':')[1].slice(1), 10) : null;
+
+/**
+ * Whether a payload is not (yet) encrypted with the current key
+ */
+const needsReEncryption = (value) => getKeyVersion(value) !== keyVersion;
+
+/**
+ * Encrypt a string with the current key
+ */
+const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(algorithm, keyRing.get(keyVersion), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return [
+    PREFIX,
+    `v${keyVersion}`,
+    iv.toString('base64'),
+    cipher.getAuthTag().toString('base64'),
+    ciphertext.toString('base64'),
+  ].join(':');
+};
+
+/**
+ * Decrypt a payload with the key of its version. Plaintext passes through.
+ */
+const decrypt = (value) => {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const [iv, authTag, ciphertext] = value.split(':').slice(2);
+  const version = getKeyVersion(value);
+  const versionKey = keyRing.get(version);
+
+  if (!versionKey) {
+    throw new Error(`No encryption key configured for version ${version}`);
+  }
+
+  const decipher = crypto.createDecipheriv(algorithm, versionKey, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final(),
+  ]).toString('utf8');
+};
+
+export { encrypt, decrypt, isEncrypted, getKeyVersion, needsReEncryption };
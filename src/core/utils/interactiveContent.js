@@ -0,0 +1,141 @@
+/**
+ * Lists and buttons: native content for accounts that render them and a
+ * numbered text menu for the others, plus parsing of the replies.
+ */
+
+const INTERACTIVE_TYPES = Object.freeze({
+  LIST: 'list',
+  BUTTONS: 'buttons',
+});
+
+// proto.Message.ListMessage.ListType.SINGLE_SELECT
+const LIST_TYPE_SINGLE_SELECT = 1;
+// proto.Message.ButtonsMessage.HeaderType.EMPTY
+const BUTTONS_HEADER_EMPTY = 1;
+// proto.Message.ButtonsMessage.Button.Type.RESPONSE
+const BUTTON_TYPE_RESPONSE = 1;
+
+const MENU_HINT = '_Reply with the number of your choice_';
+
+/**
+ * Selectable options of a list or buttons message, in display order
+ */
+const getOptions = (type, message) =>
+  type === INTERACTIVE_TYPES.LIST
+    ? message.sections.flatMap((section) => section.rows.map(({ id, title }) => ({ id, title })))
+    : message.buttons.map(({ id, text }) => ({ id, title: text }));
+
+/**
+ * Native list or buttons message content, to be relayed as a raw proto message
+ */
+const buildNativeContent = (type, message) => {
+  if (type === INTERACTIVE_TYPES.LIST) {
+    return {
+      listMessage: {
+        title: message.title,
+        description: message.text,
+        footerText: message.footer,
+        buttonText: message.buttonText,
+        listType: LIST_TYPE_SINGLE_SELECT,
+        sections: message.sections.map((section) => ({
+          title: section.title,
+          rows: section.rows.map(({ id, title, description }) => ({
+            rowId: id,
+            title,
+            description,
+          })),
+        })),
+      },
+    };
+  }
+
+  return {
+    buttonsMessage: {
+      contentText: message.text,
+      footerText: message.footer,
+      headerType: BUTTONS_HEADER_EMPTY,
+      buttons: message.buttons.map(({ id, text }) => ({
+        buttonId: id,
+        buttonText: { displayText: text },
+        type: BUTTON_TYPE_RESPONSE,
+      })),
+    },
+  };
+};
+
+/**
+ * Titled groups of entries shown in a text menu
+ */
+const menuSections = (type, message) =>
+  type === INTERACTIVE_TYPES.LIST
+    ? message.sections.map(({ title, rows }) => ({ title, entries: rows }))
+    : [{ entries: message.buttons.map(({ text }) => ({ title: text })) }];
+
+/**
+ * Numbered text rendering of a list or buttons message. Numbers run across
+ * sections in the same order as getOptions.
+ */
+const buildTextMenu = (type, message) => {
+  let number = 0;
+  const body = menuSections(type, message).map(({ title, entries }) => {
+    const lines = entries.map((entry) => {
+      number += 1;
+      const line = `${number}. ${entry.title}`;
+      return entry.description ? `${line} - ${entry.description}` : line;
+    });
+    return [title && `*${title}*`, ...lines].filter(Boolean).join('\n');
+  });
+
+  return [message.title && `*${message.title}*`, message.text, ...body, message.footer, MENU_HINT]
+    .filter(Boolean)
+    .join('\n\n');
+};
+
+/**
+ * Option picked by a text reply to a menu: its number or its exact title
+ */
+const matchMenuReply = (text, options) => {
+  const reply = text?.trim() || '';
+  const number = /^\d+$/.test(reply) ? Number.parseInt(reply, 10) : 0;
+
+  if (number >= 1) {
+    return options.at(number - 1) ?? null;
+  }
+  return options.find(({ title }) => title.toLowerCase() === reply.toLowerCase()) ?? null;
+};
+
+/**
+ * Selection carried by a native list or button reply, null for other messages
+ */
+const extractNativeSelection = (message) => {
+  if (message?.listResponseMessage) {
+    const { title, singleSelectReply, contextInfo } = message.listResponseMessage;
+    return {
+      type: INTERACTIVE_TYPES.LIST,
+      id: singleSelectReply?.selectedRowId,
+      title,
+      menuMessageId: contextInfo?.stanzaId,
+    };
+  }
+
+  const reply = message?.buttonsResponseMessage || message?.templateButtonReplyMessage;
+  if (reply) {
+    return {
+      type: INTERACTIVE_TYPES.BUTTONS,
+      id: reply.selectedButtonId || reply.selectedId,
+      title: reply.selectedDisplayText,
+      menuMessageId: reply.contextInfo?.stanzaId,
+    };
+  }
+
+  return null;
+};
+
+export {
+  INTERACTIVE_TYPES,
+  getOptions,
+  buildNativeContent,
+  buildTextMenu,
+  matchMenuReply,
+  extractNativeSelection,
+};
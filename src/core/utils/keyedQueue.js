@@ -0,0 +1,34 @@
+/**
+ * Run async tasks one after another per key, while tasks of different keys
+ * run concurrently. Used to serialize read-modify-write cycles on the Redis
+ * hashes of a session, whose writes all come from the process owning its
+ * socket.
+ */
+const createKeyedQueue = () => {
+  const tails = new Map();
+
+  /**
+   * Run `task` once the tasks queued before it under `key` settled.
+   * Resolves or rejects like `task`.
+   */
+  return async (key, task) => {
+    const previous = tails.get(key);
+    let release;
+    const current = new Promise((resolve) => {
+      release = resolve;
+    });
+    tails.set(key, current);
+
+    try {
+      await previous;
+      return await task();
+    } finally {
+      release();
+      if (tails.get(key) === current) {
+        tails.delete(key);
+      }
+    }
+  };
+};
+
+export { createKeyedQueue };
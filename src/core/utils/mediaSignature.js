@@ -0,0 +1,110 @@
+/**
+ * Identify uploaded files by their leading bytes instead of trusting the
+ * client-supplied mimetype.
+ */
+
+const MP3 = 'audio/mpeg';
+const AAC = 'audio/aac';
+
+const hex = (bytes) => Buffer.from(bytes, 'hex');
+const ascii = (text) => Buffer.from(text, 'latin1');
+
+// Leading bytes of each detectable format; `at` is the offset of the bytes
+const SIGNATURES = [
+  { mimetype: 'image/jpeg', bytes: hex('ffd8ff') },
+  { mimetype: 'image/png', bytes: hex('89504e470d0a1a0a') },
+  { mimetype: 'image/gif', bytes: ascii('GIF8') },
+  { mimetype: 'image/webp', bytes: ascii('RIFF'), also: { at: 8, bytes: ascii('WEBP') } },
+  { mimetype: 'audio/wav', bytes: ascii('RIFF'), also: { at: 8, bytes: ascii('WAVE') } },
+  { mimetype: 'audio/mp4', bytes: ascii('ftypM4A'), at: 4 },
+  { mimetype: 'video/3gpp', bytes: ascii('ftyp3gp'), at: 4 },
+  { mimetype: 'video/quicktime', bytes: ascii('ftypqt'), at: 4 },
+  { mimetype: 'video/mp4', bytes: ascii('ftyp'), at: 4 },
+  { mimetype: 'video/webm', bytes: hex('1a45dfa3') },
+  { mimetype: 'audio/ogg', bytes: ascii('OggS') },
+  { mimetype: MP3, bytes: ascii('ID3') },
+  { mimetype: MP3, bytes: hex('fffb') },
+  { mimetype: MP3, bytes: hex('fff3') },
+  { mimetype: MP3, bytes: hex('fff2') },
+  { mimetype: AAC, bytes: hex('fff1') },
+  { mimetype: AAC, bytes: hex('fff9') },
+  { mimetype: 'application/pdf', bytes: ascii('%PDF-') },
+  { mimetype: 'application/zip', bytes: hex('504b0304') },
+  { mimetype: 'application/x-cfb', bytes: hex('d0cf11e0a1b11ae1') },
+];
+
+// Declared mimetypes stored in the same container as a detected format
+const CONTAINER_MIMETYPES = new Map([
+  [
+    'application/zip',
+    [
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+      'application/vnd.oasis.opendocument.text',
+      'application/vnd.oasis.opendocument.spreadsheet',
+      'application/epub+zip',
+      'application/x-zip-compressed',
+    ],
+  ],
+  [
+    'application/x-cfb',
+    ['application/msword', 'application/vnd.ms-excel', 'application/vnd.ms-powerpoint'],
+  ],
+  ['video/webm', ['audio/webm']],
+  ['video/mp4', ['audio/mp4']],
+  ['audio/mp4', ['video/mp4', 'audio/m4a', 'audio/x-m4a']],
+  [MP3, ['audio/mp3']],
+  ['audio/ogg', ['audio/opus', 'video/ogg']],
+  ['audio/wav', ['audio/x-wav', 'audio/wave']],
+  ['image/jpeg', ['image/jpg']],
+]);
+
+const DETECTABLE_MIMETYPES = new Set([
+  ...SIGNATURES.map(({ mimetype }) => mimetype),
+  ...[...CONTAINER_MIMETYPES.values()].flat(),
+]);
+
+const startsWith = (buffer, bytes, at = 0) => buffer.subarray(at, at + bytes.length).equals(bytes);
+
+/**
+ * Mimetype of a file from its leading bytes, null when unrecognised
+ */
+const detectMimeType = (buffer) =>
+  SIGNATURES.find(
+    ({ bytes, at, also }) =>
+      startsWith(buffer, bytes, at) && (!also || startsWith(buffer, also.bytes, also.at)),
+  )?.mimetype ?? null;
+
+/**
+ * Mimetype without parameters, e.g. `audio/ogg; codecs=opus` -> `audio/ogg`
+ */
+const baseMimeType = (mimetype) => mimetype.split(';')[0].trim().toLowerCase();
+
+/**
+ * Check that a file's content matches the declared media type and mimetype.
+ * Documents in formats without a signature (plain text, CSV...) are accepted
+ * as long as they do not claim a detectable format.
+ */
+const verifyMediaSignature = (buffer, { mediaType, mimeType }) => {
+  const declared = baseMimeType(mimeType);
+  const detected = detectMimeType(buffer);
+
+  if (!detected) {
+    return mediaType === 'document' && !DETECTABLE_MIMETYPES.has(declared)
+      ? { valid: true, mimetype: declared }
+      : { valid: false, reason: `File content is not a valid ${declared} file` };
+  }
+
+  const compatible = declared === detected || CONTAINER_MIMETYPES.get(detected)?.includes(declared);
+  if (!compatible) {
+    return { valid: false, reason: `File content is ${detected}, not ${declared}` };
+  }
+  if (mediaType !== 'document' && !declared.startsWith(`${mediaType}/`)) {
+    return { valid: false, reason: `${declared} files cannot be sent as ${mediaType}` };
+  }
+
+  return { valid: true, mimetype: declared };
+};
+
+export { detectMimeType, verifyMediaSignature };
@@ -0,0 +1,144 @@
+/**
+ * Build Baileys message content from the validated `sendMessage` payload
+ * (see schemas.sendMessage for the shape of each type). Lists and buttons
+ * depend on the account and are built in interactiveContent.js.
+ */
+
+const MESSAGE_TYPES = Object.freeze({
+  TEXT: 'text',
+  IMAGE: 'image',
+  DOCUMENT: 'document',
+  AUDIO: 'audio',
+  VIDEO: 'video',
+  STICKER: 'sticker',
+  LOCATION: 'location',
+  CONTACT: 'contact',
+  POLL: 'poll',
+});
+
+// WhatsApp only plays voice notes encoded as Opus in an Ogg container
+const VOICE_NOTE_MIMETYPE = 'audio/ogg; codecs=opus';
+const AUDIO_MIMETYPE = 'audio/mp4';
+
+/**
+ * Escape a vCard 3.0 text value
+ */
+const escapeVCard = (value) =>
+  value.replaceAll(/([,;\\])/g, String.raw`\$1`).replaceAll('\n', String.raw`\n`);
+
+/**
+ * Build a vCard for a contact. The waid parameter makes WhatsApp offer
+ * "Message" and "Add contact" actions for the number.
+ */
+const buildVCard = ({ fullName, phoneNumber, organization, email }) => {
+  const digits = phoneNumber.replaceAll(/\D/g, '');
+
+  return [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `FN:${escapeVCard(fullName)}`,
+    organization && `ORG:${escapeVCard(organization)};`,
+    `TEL;type=CELL;type=VOICE;waid=${digits}:+${digits}`,
+    email && `EMAIL:${escapeVCard(email)}`,
+    'END:VCARD',
+  ]
+    .filter(Boolean)
+    .join('\n');
+};
+
+/**
+ * Media to upload: a file stored through the upload endpoint (resolved by
+ * SessionManager into `media`) or a public URL
+ */
+const mediaSource = ({ media, mediaUrl }) => media ?? { url: mediaUrl };
+
+const CONTENT_BUILDERS = new Map([
+  [
+    MESSAGE_TYPES.TEXT,
+    (message) => ({
+      text: typeof message === 'string' ? message : message.text,
+    }),
+  ],
+  [
+    MESSAGE_TYPES.IMAGE,
+    ({ caption, ...message }) => ({
+      image: mediaSource(message),
+      caption,
+    }),
+  ],
+  [
+    MESSAGE_TYPES.DOCUMENT,
+    ({ fileName, mimetype, caption, ...message }) => ({
+      document: mediaSource(message),
+      fileName,
+      mimetype,
+      caption,
+    }),
+  ],
+  [
+    MESSAGE_TYPES.AUDIO,
+    ({ ptt = false, mimetype, ...message }) => ({
+      audio: mediaSource(message),
+      ptt,
+      mimetype: mimetype || (ptt ? VOICE_NOTE_MIMETYPE : AUDIO_MIMETYPE),
+    }),
+  ],
+  [
+    MESSAGE_TYPES.VIDEO,
+    ({ caption, gifPlayback = false, ...message }) => ({
+      video: mediaSource(message),
+      caption,
+      gifPlayback,
+    }),
+  ],
+  [
+    MESSAGE_TYPES.STICKER,
+    (message) => ({
+      sticker: mediaSource(message),
+    }),
+  ],
+  [
+    MESSAGE_TYPES.LOCATION,
+    ({ latitude, longitude, name, address }) => ({
+      location: {
+        degreesLatitude: latitude,
+        degreesLongitude: longitude,
+        name,
+        address,
+      },
+    }),
+  ],
+  [
+    MESSAGE_TYPES.CONTACT,
+    ({ contacts }) => ({
+      contacts: {
+        displayName: contacts.length === 1 ? contacts[0].fullName : `${contacts.length} contacts`,
+        contacts: contacts.map((contact) => ({
+          displayName: contact.fullName,
+          vcard: buildVCard(contact),
+        })),
+      },
+    }),
+  ],
+  [
+    MESSAGE_TYPES.POLL,
+    ({ name, values, selectableCount }) => ({
+      poll: { name, values, selectableCount },
+    }),
+  ],
+]);
+
+/**
+ * Baileys content for a message of the given type
+ */
+const buildMessageContent = (type, message) => {
+  const build = CONTENT_BUILDERS.get(type);
+
+  if (!build) {
+    throw new Error(`Unsupported message type: ${type}`);
+  }
+
+  return build(message);
+};
+
+export { MESSAGE_TYPES, buildMessageContent, buildVCard };
@@ -0,0 +1,230 @@
+/**
+ * Turn Baileys messages into the flat model published to Socket.IO, SSE and
+ * Redis consumers, whatever envelopes the content came wrapped in:
+ *
+ * {
+ *   id, chat, sender, from (alias of chat), fromMe, isGroup, pushName, timestamp,
+ *   type, text, edit: { messageId } | null, ephemeral, viewOnce, forwarded,
+ *   media: { type, mimetype, fileName, size, seconds, ptt, width, height } | null,
+ *   quoted: { id, sender, type, text } | null, mentions: [jid],
+ *   location: { latitude, longitude, name, address, live } | null,
+ *   contacts: [{ displayName, vcard }] | null,
+ *   reaction: { emoji, messageId } | null
+ * }
+ */
+
+// Wrappers whose `message` field holds the actual content
+const ENVELOPES = new Set([
+  'ephemeralMessage',
+  'viewOnceMessage',
+  'viewOnceMessageV2',
+  'viewOnceMessageV2Extension',
+  'documentWithCaptionMessage',
+  'editedMessage',
+]);
+const VIEW_ONCE_ENVELOPES = new Set([
+  'viewOnceMessage',
+  'viewOnceMessageV2',
+  'viewOnceMessageV2Extension',
+]);
+const MAX_ENVELOPE_DEPTH = 5;
+
+// proto.Message.ProtocolMessage.Type.MESSAGE_EDIT
+const PROTOCOL_MESSAGE_EDIT = 14;
+
+// Message types and the content fields that identify them, by precedence
+const MESSAGE_TYPE_FIELDS = [
+  ['text', ['conversation', 'extendedTextMessage']],
+  ['image', ['imageMessage']],
+  ['video', ['videoMessage']],
+  ['audio', ['audioMessage']],
+  ['document', ['documentMessage']],
+  ['sticker', ['stickerMessage']],
+  ['location', ['locationMessage', 'liveLocationMessage']],
+  ['contact', ['contactMessage', 'contactsArrayMessage']],
+  ['reaction', ['reactionMessage']],
+  ['poll', ['pollCreationMessage', 'pollCreationMessageV2', 'pollCreationMessageV3']],
+  ['poll_vote', ['pollUpdateMessage']],
+  ['list', ['listMessage']],
+  ['buttons', ['buttonsMessage']],
+  ['list_response', ['listResponseMessage']],
+  ['buttons_response', ['buttonsResponseMessage', 'templateButtonReplyMessage']],
+];
+
+const MEDIA_FIELDS = new Map([
+  ['imageMessage', 'image'],
+  ['videoMessage', 'video'],
+  ['audioMessage', 'audio'],
+  ['documentMessage', 'document'],
+  ['stickerMessage', 'sticker'],
+]);
+
+/**
+ * Innermost content of a message and the envelopes it was wrapped in
+ */
+const unwrapMessage = (message, envelopes = []) => {
+  const envelope = Object.entries(message ?? {}).find(
+    ([field, value]) => ENVELOPES.has(field) && value?.message,
+  );
+
+  if (!envelope || envelopes.length >= MAX_ENVELOPE_DEPTH) {
+    return { content: message ?? null, envelopes };
+  }
+  return unwrapMessage(envelope[1].message, [...envelopes, envelope[0]]);
+};
+
+/**
+ * Fields set on a message content, e.g. ['messageContextInfo', 'imageMessage']
+ */
+const contentFields = (content) =>
+  Object.entries(content ?? {})
+    .filter(([, value]) => value)
+    .map(([field]) => field);
+
+/**
+ * Type of a message, see MESSAGE_TYPE_FIELDS; 'unknown' for anything else
+ */
+const getMessageType = (message) => {
+  const fields = new Set(contentFields(unwrapMessage(message).content));
+  const match = MESSAGE_TYPE_FIELDS.find(([, typeFields]) =>
+    typeFields.some((field) => fields.has(field)),
+  );
+
+  return match ? match[0] : 'unknown';
+};
+
+/**
+ * Protobuf integers (Long) and numeric strings as numbers
+ */
+const toNumber = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  return typeof value.toNumber === 'function' ? value.toNumber() : Number(value);
+};
+
+/**
+ * User JID without device suffix, e.g. 5491122334455:12@s.whatsapp.net ->
+ * 5491122334455@s.whatsapp.net
+ */
+const normalizeJid = (jid) => {
+  if (!jid) {
+    return null;
+  }
+
+  const [user, server] = jid.split('@');
+  return `${user.split(':')[0]}@${server === 'c.us' ? 's.whatsapp.net' : server}`;
+};
+
+const getText = (content) =>
+  content?.conversation ||
+  content?.extendedTextMessage?.text ||
+  content?.imageMessage?.caption ||
+  content?.videoMessage?.caption ||
+  content?.documentMessage?.caption ||
+  null;
+
+const getContextInfo = (content) =>
+  Object.values(content ?? {}).find((value) => value?.contextInfo)?.contextInfo ?? null;
+
+const getMedia = (content) => {
+  const [field, media] =
+    Object.entries(content ?? {}).find(([key, value]) => MEDIA_FIELDS.has(key) && value) ?? [];
+
+  if (!media) {
+    return null;
+  }
+  return {
+    type: MEDIA_FIELDS.get(field),
+    mimetype: media.mimetype || null,
+    fileName: media.fileName || null,
+    size: toNumber(media.fileLength),
+    seconds: media.seconds || null,
+    ptt: Boolean(media.ptt),
+    width: media.width || null,
+    height: media.height || null,
+  };
+};
+
+const getQuoted = (contextInfo) => {
+  if (!contextInfo?.stanzaId) {
+    return null;
+  }
+
+  const quoted = unwrapMessage(contextInfo.quotedMessage).content;
+  return {
+    id: contextInfo.stanzaId,
+    sender: normalizeJid(contextInfo.participant),
+    type: getMessageType(quoted),
+    text: getText(quoted),
+  };
+};
+
+const getLocation = (content) => {
+  const location = content?.locationMessage || content?.liveLocationMessage;
+
+  if (!location) {
+    return null;
+  }
+  return {
+    latitude: location.degreesLatitude,
+    longitude: location.degreesLongitude,
+    name: location.name || null,
+    address: location.address || null,
+    live: Boolean(content.liveLocationMessage),
+  };
+};
+
+const getContacts = (content) => {
+  const contacts = content?.contactMessage
+    ? [content.contactMessage]
+    : content?.contactsArrayMessage?.contacts;
+
+  return contacts?.map(({ displayName, vcard }) => ({ displayName, vcard })) ?? null;
+};
+
+const getReaction = (content) =>
+  content?.reactionMessage
+    ? { emoji: content.reactionMessage.text, messageId: content.reactionMessage.key?.id }
+    : null;
+
+/**
+ * Normalize a Baileys WAMessage. `meId` is the JID of the session, used as
+ * sender of its own messages.
+ */
+const normalizeMessage = (msg, { meId } = {}) => {
+  const { key, message, participant, pushName, messageTimestamp } = msg;
+  const outer = unwrapMessage(message);
+  const protocol = outer.content?.protocolMessage;
+  const edited = protocol?.type === PROTOCOL_MESSAGE_EDIT && protocol.editedMessage;
+  const { content, envelopes } = edited ? unwrapMessage(edited, outer.envelopes) : outer;
+  const contextInfo = getContextInfo(content);
+  const chat = normalizeJid(key.remoteJid);
+
+  return {
+    id: key.id,
+    chat,
+    sender: key.fromMe
+      ? normalizeJid(meId)
+      : normalizeJid(key.participant || participant || key.remoteJid),
+    from: chat,
+    fromMe: Boolean(key.fromMe),
+    isGroup: Boolean(chat?.endsWith('@g.us')),
+    pushName: pushName || null,
+    timestamp: toNumber(messageTimestamp),
+    type: getMessageType(content),
+    text: getText(content),
+    edit: edited ? { messageId: protocol.key?.id } : null,
+    ephemeral: envelopes.includes('ephemeralMessage') || Boolean(contextInfo?.expiration),
+    viewOnce: envelopes.some((envelope) => VIEW_ONCE_ENVELOPES.has(envelope)),
+    forwarded: Boolean(contextInfo?.isForwarded),
+    media: getMedia(content),
+    quoted: getQuoted(contextInfo),
+    mentions: contextInfo?.mentionedJid ?? [],
+    location: getLocation(content),
+    contacts: getContacts(content),
+    reaction: getReaction(content),
+  };
+};
+
+export { getMessageType, normalizeJid, normalizeMessage, toNumber, unwrapMessage };
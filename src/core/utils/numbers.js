@@ -0,0 +1,22 @@
+/**
+ * Numbers read from configuration and Redis, where values are strings that
+ * may be missing or malformed.
+ */
+
+/**
+ * Integer value of a string, or the fallback when it holds none
+ */
+const parseInteger = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+/**
+ * Decimal value of a string, or the fallback when it holds none
+ */
+const parseNumber = (value, fallback) => {
+  const parsed = Number.parseFloat(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+export { parseInteger, parseNumber };
@@ -0,0 +1,98 @@
+/**
+ * Profile and privacy queries of WhatsApp accounts, on top of a Baileys
+ * socket. Privacy settings use API names rather than WhatsApp's categories.
+ */
+
+// WhatsApp privacy categories and the socket call changing each, by API name
+const PRIVACY_SETTINGS = new Map([
+  ['lastSeen', { category: 'last', update: (sock, value) => sock.updateLastSeenPrivacy(value) }],
+  ['online', { category: 'online', update: (sock, value) => sock.updateOnlinePrivacy(value) }],
+  [
+    'profilePicture',
+    { category: 'profile', update: (sock, value) => sock.updateProfilePicturePrivacy(value) },
+  ],
+  ['about', { category: 'status', update: (sock, value) => sock.updateStatusPrivacy(value) }],
+  [
+    'readReceipts',
+    { category: 'readreceipts', update: (sock, value) => sock.updateReadReceiptsPrivacy(value) },
+  ],
+  [
+    'groupAdd',
+    { category: 'groupadd', update: (sock, value) => sock.updateGroupsAddPrivacy(value) },
+  ],
+  ['calls', { category: 'calladd', update: (sock, value) => sock.updateCallPrivacy(value) }],
+  [
+    'messages',
+    { category: 'messages', update: (sock, value) => sock.updateMessagesPrivacy(value) },
+  ],
+]);
+
+// Query errors meaning there is nothing to show: no picture, or hidden by
+// the account's privacy settings
+const HIDDEN_CODES = new Set([401, 404]);
+
+/**
+ * Privacy settings by API name, from the categories WhatsApp reports
+ */
+const normalizePrivacySettings = (settings) => {
+  const values = new Map(Object.entries(settings));
+
+  return Object.fromEntries(
+    [...PRIVACY_SETTINGS].map(([name, { category }]) => [name, values.get(category) ?? null]),
+  );
+};
+
+/**
+ * Apply privacy settings given by API name, each with its own query
+ */
+const applyPrivacySettings = async (sock, settings) => {
+  await Promise.all(
+    Object.entries(settings).map(([name, value]) => PRIVACY_SETTINGS.get(name).update(sock, value)),
+  );
+};
+
+/**
+ * Full size profile picture URL of an account or group, or null when it has
+ * none or hides it
+ */
+const fetchPictureUrl = async (sock, jid) => {
+  try {
+    return (await sock.profilePictureUrl(jid, 'image')) ?? null;
+  } catch (error) {
+    if (HIDDEN_CODES.has(error.data)) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * About text of an account and when it was set; null when hidden
+ */
+const fetchAbout = async (sock, jid) => {
+  const [result] = (await sock.fetchStatus(jid)) ?? [];
+  const { status = null, setAt = null } = result?.status ?? {};
+
+  return { about: status || null, aboutSetAt: status ? setAt : null };
+};
+
+/**
+ * About text and profile picture of an account
+ */
+const fetchProfile = async (sock, jid) => {
+  const [about, pictureUrl] = await Promise.all([
+    fetchAbout(sock, jid),
+    fetchPictureUrl(sock, jid),
+  ]);
+
+  return { jid, ...about, pictureUrl };
+};
+
+export {
+  PRIVACY_SETTINGS,
+  normalizePrivacySettings,
+  applyPrivacySettings,
+  fetchPictureUrl,
+  fetchAbout,
+  fetchProfile,
+};
@@ -0,0 +1,63 @@
+import QRCode from 'qrcode';
+
+/**
+ * Output formats supported by the QR renderer
+ */
+const QR_FORMATS = Object.freeze({
+  PNG: 'png',
+  SVG: 'svg',
+  DATA_URL: 'dataurl',
+  TERMINAL: 'terminal',
+});
+
+const DEFAULT_SIZE = 300;
+const DEFAULT_MARGIN = 4;
+
+/**
+ * Render a WhatsApp QR string. Resolves to `{ contentType, body }`, with a
+ * Buffer body for PNG and a string body for every other format.
+ */
+const renderQR = async (
+  qr,
+  { format = QR_FORMATS.PNG, size = DEFAULT_SIZE, margin = DEFAULT_MARGIN } = {},
+) => {
+  const options = { width: size, margin };
+
+  switch (format) {
+    case QR_FORMATS.PNG: {
+      return {
+        contentType: 'image/png',
+        body: await QRCode.toBuffer(qr, { ...options, type: 'png' }),
+      };
+    }
+    case QR_FORMATS.SVG: {
+      return {
+        contentType: 'image/svg+xml',
+        body: await QRCode.toString(qr, { ...options, type: 'svg' }),
+      };
+    }
+    case QR_FORMATS.DATA_URL: {
+      return { contentType: 'text/plain', body: await QRCode.toDataURL(qr, options) };
+    }
+    case QR_FORMATS.TERMINAL: {
+      // Terminal output is sized in characters, only the margin applies
+      return {
+        contentType: 'text/plain',
+        body: await QRCode.toString(qr, { type: 'terminal', small: true, margin }),
+      };
+    }
+    default: {
+      throw new Error(`Unsupported QR format: ${format}`);
+    }
+  }
+};
+
+/**
+ * Render a QR string as a PNG data URL, ready for an <img> src
+ */
+const renderQRDataURL = async (qr, options = {}) => {
+  const { body } = await renderQR(qr, { ...options, format: QR_FORMATS.DATA_URL });
+  return body;
+};
+
+export { QR_FORMATS, renderQR, renderQRDataURL };
@@ -0,0 +1,99 @@
+/**
+ * Text handling for the message search index: tokenizing, query parsing and
+ * highlighting. Matching ignores case and diacritics ("camion" finds
+ * "Camión").
+ */
+
+const WORD_PATTERN = /(?:\p{L}|\p{N})+/gu;
+const PHRASE_PATTERN = /"([^"]*)"|(\S+)/g;
+const DIACRITICS_PATTERN = /\p{M}/gu;
+
+const HIGHLIGHT_OPEN = '<mark>';
+const HIGHLIGHT_CLOSE = '</mark>';
+// Characters of context kept around the first match in snippets
+const SNIPPET_CONTEXT = 60;
+
+const ESCAPES = new Map([
+  ['&', '&amp;'],
+  ['<', '&lt;'],
+  ['>', '&gt;'],
+  ['"', '&quot;'],
+  ["'", '&#39;'],
+]);
+
+const normalizeTerm = (word) =>
+  word.normalize('NFD').replaceAll(DIACRITICS_PATTERN, '').toLowerCase();
+
+const escapeHtml = (text) => text.replaceAll(/["&'<>]/g, (char) => ESCAPES.get(char));
+
+/**
+ * Words of a text with their position and character offsets
+ */
+const tokenize = (text) =>
+  [...(text ?? '').matchAll(WORD_PATTERN)].map((match, position) => ({
+    term: normalizeTerm(match[0]),
+    position,
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+
+/**
+ * Split a query into phrases, each a list of terms. Quoted text is one
+ * phrase; every other word is a phrase of its own.
+ */
+const parseQuery = (query) =>
+  [...query.matchAll(PHRASE_PATTERN)]
+    .map(([, quoted, word]) => tokenize(quoted ?? word).map(({ term }) => term))
+    .filter((terms) => terms.length > 0);
+
+/**
+ * Start positions where a phrase occurs, given the positions of each term
+ */
+const phraseStarts = (termPositions) => {
+  const [first, ...rest] = termPositions;
+  return first.filter((start) =>
+    rest.every((positions, offset) => positions.includes(start + offset + 1)),
+  );
+};
+
+/**
+ * Character ranges of the phrases in a text, sorted and non-overlapping
+ */
+const findPhrases = (text, phrases) => {
+  const tokens = tokenize(text);
+  const ranges = phrases.flatMap((terms) =>
+    tokens
+      .filter((token, index) =>
+        terms.every((term, offset) => tokens[index + offset]?.term === term),
+      )
+      .map((token) => ({
+        start: token.start,
+        end: tokens[token.position + terms.length - 1].end,
+      })),
+  );
+
+  return ranges
+    .sort((left, right) => left.start - right.start)
+    .filter((range, index, sorted) => index === 0 || range.start >= sorted[index - 1].end);
+};
+
+/**
+ * HTML-escaped excerpt of a text with the matched ranges wrapped in <mark>.
+ * Long texts are cut around the first match.
+ */
+const highlight = (text, ranges) => {
+  const from = Math.max(0, (ranges[0]?.start ?? 0) - SNIPPET_CONTEXT);
+  const to = Math.min(text.length, (ranges.at(-1)?.end ?? 0) + SNIPPET_CONTEXT);
+  let cursor = from;
+  let result = from > 0 ? '…' : '';
+
+  for (const { start, end } of ranges.filter((range) => range.end <= to)) {
+    result += escapeHtml(text.slice(cursor, start));
+    result += `${HIGHLIGHT_OPEN}${escapeHtml(text.slice(start, end))}${HIGHLIGHT_CLOSE}`;
+    cursor = end;
+  }
+
+  return `${result}${escapeHtml(text.slice(cursor, to))}${to < text.length ? '…' : ''}`;
+};
+
+export { tokenize, parseQuery, phraseStarts, findPhrases, highlight };
@@ -0,0 +1,116 @@
+import { jest } from '@jest/globals';
+
+import BroadcastManager from '../../src/core/services/BroadcastManager.js';
+
+const SESSION_ID = 'user-1-42';
+const LIST_ID = '0c7c2f59-58a5-4d62-9c57-5a4f1d1e2f3a';
+const ANA = '+5491122334455';
+const BETO = '+5491166667777';
+const NOT_CONNECTED = 'Session not connected';
+
+describe('BroadcastManager', () => {
+  let broadcasts;
+  let sockMock;
+  let sessionManagerMock;
+  let messageQueueMock;
+
+  beforeEach(() => {
+    sockMock = {
+      sendMessage: jest.fn().mockResolvedValue({ key: { id: 'STATUS1' }, messageTimestamp: 1 }),
+    };
+    sessionManagerMock = {
+      getConnectedSocket: jest.fn(() => sockMock),
+      formatJID: (phoneNumber) => `${phoneNumber.replace('+', '')}@s.whatsapp.net`,
+      resolveUploadedMedia: jest.fn((sessionId, type, message) => Promise.resolve(message)),
+      sendMessage: jest.fn().mockResolvedValue({ success: true }),
+    };
+    messageQueueMock = {
+      addMessage: jest.fn().mockResolvedValue({ status: 'queued' }),
+      processQueue: jest.fn().mockResolvedValue(),
+    };
+
+    broadcasts = new BroadcastManager({}, sessionManagerMock, messageQueueMock);
+    broadcasts.lists = {
+      get: jest.fn().mockResolvedValue({ id: LIST_ID, name: 'News', recipients: [ANA, BETO] }),
+      createBroadcast: jest.fn().mockResolvedValue(),
+      getBroadcast: jest.fn().mockResolvedValue({ total: 2, sent: 0, failed: 0, pending: 2 }),
+      recordDelivery: jest.fn().mockResolvedValue(),
+    };
+  });
+
+  it('should queue one message per recipient', async () => {
+    const message = { text: 'Hello' };
+
+    await broadcasts.send(SESSION_ID, LIST_ID, { type: 'text', message });
+
+    const [[sessionId, broadcast]] = broadcasts.lists.createBroadcast.mock.calls;
+    expect(sessionId).toBe(SESSION_ID);
+    expect(broadcast).toMatchObject({ listId: LIST_ID, type: 'text', total: 2 });
+    expect(messageQueueMock.addMessage.mock.calls.map(([queue, job]) => [queue, job.to])).toEqual([
+      ['bulk', ANA],
+      ['bulk', BETO],
+    ]);
+    expect(messageQueueMock.addMessage).toHaveBeenCalledWith(
+      'bulk',
+      expect.objectContaining({
+        broadcastId: broadcast.id,
+        sessionId: SESSION_ID,
+        content: { type: 'text', message },
+      }),
+    );
+  });
+
+  it('should reject unknown lists', async () => {
+    broadcasts.lists.get.mockResolvedValue(null);
+
+    await expect(broadcasts.send(SESSION_ID, LIST_ID, { type: 'text' })).rejects.toMatchObject({
+      output: { statusCode: 404 },
+    });
+    expect(messageQueueMock.addMessage).not.toHaveBeenCalled();
+  });
+
+  it('should count deliveries and failures without attempts left', async () => {
+    const job = (attemptsMade) => ({
+      data: {
+        broadcastId: 'b1',
+        sessionId: SESSION_ID,
+        to: ANA,
+        content: { type: 'text', message: 'Hi' },
+      },
+      attemptsMade,
+      opts: { attempts: 2 },
+    });
+
+    await broadcasts.deliver(job(0));
+    sessionManagerMock.sendMessage.mockRejectedValue(new Error(NOT_CONNECTED));
+    await expect(broadcasts.deliver(job(0))).rejects.toThrow(NOT_CONNECTED);
+    await expect(broadcasts.deliver(job(1))).rejects.toThrow(NOT_CONNECTED);
+
+    expect(sessionManagerMock.sendMessage).toHaveBeenCalledWith(SESSION_ID, ANA, 'Hi', 'text');
+    expect(broadcasts.lists.recordDelivery.mock.calls).toEqual([
+      [SESSION_ID, 'b1', 'sent'],
+      [SESSION_ID, 'b1', 'failed'],
+    ]);
+  });
+
+  it('should publish statuses to the recipients of a list', async () => {
+    const status = await broadcasts.publishStatus(SESSION_ID, {
+      type: 'text',
+      message: 'New arrivals',
+      listId: LIST_ID,
+      backgroundColor: '#25D366',
+      font: 1,
+    });
+
+    expect(sockMock.sendMessage).toHaveBeenCalledWith(
+      'status@broadcast',
+      { text: 'New arrivals' },
+      {
+        backgroundColor: '#25D366',
+        font: 1,
+        statusJidList: ['5491122334455@s.whatsapp.net', '5491166667777@s.whatsapp.net'],
+      },
+    );
+    expect(status).toMatchObject({ messageId: 'STATUS1', audience: 2 });
+  });
+});
@@ -0,0 +1,78 @@
+import { jest } from '@jest/globals';
+
+import ChatManager from '../../src/core/services/ChatManager.js';
+
+const SESSION_ID = 'user-1-42';
+const GROUP_JID = '120363041234567890@g.us';
+const ANA = '5491122334455@s.whatsapp.net';
+
+const chat = (overrides = {}) => ({
+  id: GROUP_JID,
+  isGroup: true,
+  lastMessage: { id: 'MSG1', fromMe: false, sender: ANA, timestamp: 1_767_225_600 },
+  ...overrides,
+});
+
+describe('ChatManager', () => {
+  let chats;
+  let sockMock;
+  let storeMock;
+
+  beforeEach(() => {
+    sockMock = {
+      chatModify: jest.fn().mockResolvedValue(),
+      readMessages: jest.fn().mockResolvedValue(),
+    };
+    storeMock = {
+      get: jest.fn().mockResolvedValue(chat()),
+      update: jest.fn().mockResolvedValue(),
+      remove: jest.fn().mockResolvedValue(),
+    };
+
+    chats = new ChatManager({
+      chatStore: storeMock,
+      getConnectedSocket: jest.fn(() => sockMock),
+      formatJID: (phoneNumber) => `${phoneNumber.replace('+', '')}@s.whatsapp.net`,
+    });
+  });
+
+  it('should mark chats read up to their last message', async () => {
+    const key = { remoteJid: GROUP_JID, id: 'MSG1', fromMe: false, participant: ANA };
+
+    await chats.markRead(SESSION_ID, GROUP_JID, true);
+
+    expect(sockMock.readMessages).toHaveBeenCalledWith([key]);
+    expect(sockMock.chatModify).toHaveBeenCalledWith(
+      { markRead: true, lastMessages: [{ key, messageTimestamp: 1_767_225_600 }] },
+      GROUP_JID,
+    );
+    expect(storeMock.update).toHaveBeenCalledWith(SESSION_ID, [{ id: GROUP_JID, unreadCount: 0 }]);
+  });
+
+  it('should mute chats for a duration or until unmuted', async () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+
+    await chats.mute(SESSION_ID, '+5491122334455', 3600);
+    await chats.mute(SESSION_ID, GROUP_JID);
+
+    expect(storeMock.get).toHaveBeenCalledWith(SESSION_ID, ANA);
+    expect(sockMock.chatModify.mock.calls.map(([modification]) => modification)).toEqual([
+      { mute: 4_600_000 },
+      { mute: -1 },
+    ]);
+    Date.now.mockRestore();
+  });
+
+  it('should reject chats without known messages or not stored', async () => {
+    storeMock.get.mockResolvedValueOnce(chat({ lastMessage: null })).mockResolvedValueOnce(null);
+
+    await expect(chats.archive(SESSION_ID, GROUP_JID, true)).rejects.toMatchObject({
+      output: { statusCode: 400 },
+    });
+    await expect(chats.delete(SESSION_ID, GROUP_JID)).rejects.toMatchObject({
+      output: { statusCode: 404 },
+    });
+    expect(sockMock.chatModify).not.toHaveBeenCalled();
+    expect(storeMock.remove).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,170 @@
+import { jest } from '@jest/globals';
+
+import ChatStore from '../../src/core/services/ChatStore.js';
+import { decrypt, encrypt } from '../../src/core/utils/encryption.js';
+
+const SESSION_ID = 'user-1-42';
+const CHATS_KEY = `chats:${SESSION_ID}`;
+const UNREAD_KEY = `chat-unread:${SESSION_ID}`;
+const ANA = '5491122334455@s.whatsapp.net';
+const BETO = '5491166667777@s.whatsapp.net';
+const GROUP = '120363025246125486@g.us';
+
+const stored = (chat) => encrypt(JSON.stringify(chat));
+const missing = (key, ids) => Promise.resolve(ids.map(() => null));
+
+// Decrypted chats of the first hSet call on the chat hash
+const written = (hSet) => {
+  const [, values] = hSet.mock.calls.find(([key]) => key === CHATS_KEY);
+  return new Map(Object.entries(values).map(([id, value]) => [id, JSON.parse(decrypt(value))]));
+};
+
+describe('ChatStore', () => {
+  let store;
+  let redisMock;
+  let multiMock;
+
+  beforeEach(() => {
+    multiMock = {
+      hIncrBy: jest.fn(() => multiMock),
+      hSet: jest.fn(() => multiMock),
+      hDel: jest.fn(() => multiMock),
+      exec: jest.fn().mockResolvedValue([]),
+    };
+    redisMock = {
+      multi: jest.fn(() => multiMock),
+      hmGet: jest.fn(missing),
+      hSet: jest.fn().mockResolvedValue(1),
+      hGetAll: jest.fn().mockResolvedValue({}),
+    };
+
+    store = new ChatStore(redisMock);
+  });
+
+  it('should store synced chats with their unread counts', async () => {
+    await store.upsert(SESSION_ID, [
+      {
+        id: ANA,
+        name: 'Ana',
+        unreadCount: 3,
+        archived: true,
+        pinned: 1_767_225_600,
+        muteEndTime: -1,
+        conversationTimestamp: 1_767_225_700,
+      },
+      { id: GROUP, name: 'Team' },
+    ]);
+
+    const chats = written(redisMock.hSet);
+    expect(chats.get(ANA)).toMatchObject({
+      id: ANA,
+      name: 'Ana',
+      isGroup: false,
+      archived: true,
+      pinned: true,
+      mutedUntil: -1,
+      timestamp: 1_767_225_700,
+      labels: [],
+    });
+    expect(chats.get(GROUP)).toMatchObject({ isGroup: true, archived: false, pinned: false });
+    expect(redisMock.hSet).toHaveBeenCalledWith(UNREAD_KEY, { [ANA]: 3 });
+  });
+
+  it('should count new messages and apply read marks from updates', async () => {
+    redisMock.hmGet.mockResolvedValue([
+      stored({ id: ANA, pinned: true, markedAsUnread: true, labels: [] }),
+      stored({ id: BETO, pinned: false, markedAsUnread: false, labels: [] }),
+    ]);
+
+    await store.update(SESSION_ID, [
+      { id: ANA, unreadCount: 0, pinned: null },
+      { id: BETO, unreadCount: 2 },
+    ]);
+
+    const chats = written(redisMock.hSet);
+    expect(chats.get(ANA)).toMatchObject({ pinned: false, markedAsUnread: false });
+    expect(multiMock.hSet).toHaveBeenCalledWith(UNREAD_KEY, ANA, 0);
+    expect(multiMock.hIncrBy).toHaveBeenCalledWith(UNREAD_KEY, BETO, 2);
+  });
+
+  it('should keep the latest message as preview', async () => {
+    const lastMessage = { id: 'NEW', fromMe: false, sender: ANA, timestamp: 200 };
+    redisMock.hmGet.mockResolvedValue([stored({ id: ANA, lastMessage, timestamp: 200 })]);
+
+    await store.recordMessage(SESSION_ID, { id: 'OLD', chat: ANA, text: 'Old', timestamp: 100 });
+    await store.recordMessage(SESSION_ID, {
+      id: 'LATEST',
+      chat: ANA,
+      fromMe: true,
+      sender: null,
+      type: 'text',
+      text: 'x'.repeat(150),
+      timestamp: 300,
+    });
+
+    const [[, first], [, second]] = redisMock.hSet.mock.calls.map(([, values]) =>
+      Object.entries(values).at(0),
+    );
+    expect(JSON.parse(decrypt(first)).lastMessage.id).toBe('NEW');
+    expect(JSON.parse(decrypt(second))).toMatchObject({
+      lastMessage: { id: 'LATEST', fromMe: true, text: 'x'.repeat(100), timestamp: 300 },
+      timestamp: 300,
+    });
+  });
+
+  it('should apply concurrent changes of a session one after another', async () => {
+    const hash = new Map();
+    redisMock.hmGet.mockImplementation(async (key, ids) => ids.map((id) => hash.get(id) ?? null));
+    redisMock.hSet.mockImplementation(async (key, values) => {
+      await new Promise((resolve) => {
+        setImmediate(resolve);
+      });
+      for (const [id, value] of Object.entries(values)) {
+        hash.set(id, value);
+      }
+    });
+
+    await Promise.all([
+      store.update(SESSION_ID, [{ id: ANA, archived: true }]),
+      store.recordMessage(SESSION_ID, { id: 'MSG1', chat: ANA, text: 'Hi', timestamp: 100 }),
+    ]);
+
+    expect(JSON.parse(decrypt(hash.get(ANA)))).toMatchObject({
+      archived: true,
+      lastMessage: { id: 'MSG1' },
+    });
+  });
+
+  it('should list pinned chats first, then the most recent', async () => {
+    const hashes = new Map([
+      [UNREAD_KEY, { [BETO]: '4' }],
+      [
+        CHATS_KEY,
+        {
+          [ANA]: stored({ id: ANA, pinned: false, archived: false, timestamp: 300, labels: [] }),
+          [BETO]: stored({ id: BETO, pinned: true, archived: false, timestamp: 100, labels: [] }),
+          [GROUP]: stored({
+            id: GROUP,
+            pinned: false,
+            archived: true,
+            timestamp: 500,
+            labels: ['3'],
+          }),
+        },
+      ],
+    ]);
+    redisMock.hGetAll.mockImplementation((key) => Promise.resolve(hashes.get(key)));
+
+    const { chats, total } = await store.list(SESSION_ID, { archived: false });
+
+    expect(total).toBe(2);
+    expect(chats.map(({ id, unreadCount }) => [id, unreadCount])).toEqual([
+      [BETO, 4],
+      [ANA, 0],
+    ]);
+    await expect(store.list(SESSION_ID, { labelId: '3' })).resolves.toMatchObject({
+      chats: [{ id: GROUP }],
+      total: 1,
+    });
+  });
+});
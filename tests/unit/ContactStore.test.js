@@ -0,0 +1,122 @@
+import { jest } from '@jest/globals';
+
+import ContactStore from '../../src/core/services/ContactStore.js';
+import { decrypt, encrypt } from '../../src/core/utils/encryption.js';
+
+const SESSION_ID = 'user-1-42';
+const CONTACTS_KEY = `contacts:${SESSION_ID}`;
+const ANA = '5491122334455@s.whatsapp.net';
+const BETO = '5491166667777@s.whatsapp.net';
+
+const stored = (contact) => encrypt(JSON.stringify(contact));
+const missing = (keys) => Promise.resolve(keys.map(() => null));
+
+// Key and decrypted contacts of the first hSet call
+const written = (hSet) => {
+  const [[key, values]] = hSet.mock.calls;
+  return [
+    key,
+    new Map(Object.entries(values).map(([id, value]) => [id, JSON.parse(decrypt(value))])),
+  ];
+};
+
+describe('ContactStore', () => {
+  let store;
+  let redisMock;
+  let multiMock;
+
+  beforeEach(() => {
+    multiMock = {
+      setEx: jest.fn(() => multiMock),
+      exec: jest.fn().mockResolvedValue([]),
+    };
+    redisMock = {
+      multi: jest.fn(() => multiMock),
+      hmGet: jest.fn((key, ids) => missing(ids)),
+      hSet: jest.fn().mockResolvedValue(1),
+      hGetAll: jest.fn().mockResolvedValue({}),
+      mGet: jest.fn(missing),
+    };
+
+    store = new ContactStore(redisMock, { numberCheckTtl: 60 });
+  });
+
+  it('should merge partial updates into stored contacts', async () => {
+    redisMock.hmGet.mockResolvedValue([stored({ id: ANA, name: 'Ana', notify: 'Anita' }), null]);
+
+    await expect(
+      store.upsert(SESSION_ID, [
+        { id: '5491122334455:3@s.whatsapp.net', notify: 'Ana M.' },
+        { id: BETO, name: 'Beto' },
+        { id: BETO, verifiedName: 'Beto SRL' },
+      ]),
+    ).resolves.toBe(2);
+
+    const [key, contacts] = written(redisMock.hSet);
+    expect(key).toBe(CONTACTS_KEY);
+    expect(contacts.get(ANA)).toMatchObject({
+      id: ANA,
+      name: 'Ana',
+      notify: 'Ana M.',
+      phoneNumber: '5491122334455',
+    });
+    expect(contacts.get(BETO)).toMatchObject({
+      name: 'Beto',
+      verifiedName: 'Beto SRL',
+      phoneNumber: '5491166667777',
+    });
+  });
+
+  it('should merge concurrent updates of a session one after another', async () => {
+    const hash = new Map();
+    redisMock.hmGet.mockImplementation(async (key, ids) => ids.map((id) => hash.get(id) ?? null));
+    redisMock.hSet.mockImplementation(async (key, values) => {
+      await new Promise((resolve) => {
+        setImmediate(resolve);
+      });
+      for (const [id, value] of Object.entries(values)) {
+        hash.set(id, value);
+      }
+    });
+
+    await Promise.all([
+      store.upsert(SESSION_ID, [{ id: ANA, name: 'Ana' }]),
+      store.upsert(SESSION_ID, [{ id: ANA, notify: 'Anita' }]),
+    ]);
+
+    expect(JSON.parse(decrypt(hash.get(ANA)))).toMatchObject({ name: 'Ana', notify: 'Anita' });
+  });
+
+  it('should ignore contacts without id', async () => {
+    await expect(store.upsert(SESSION_ID, [{ name: 'Nobody' }])).resolves.toBe(0);
+    expect(redisMock.hSet).not.toHaveBeenCalled();
+  });
+
+  it('should list contacts sorted by name with pagination', async () => {
+    redisMock.hGetAll.mockResolvedValue({
+      [BETO]: stored({ id: BETO, name: 'Beto' }),
+      [ANA]: stored({ id: ANA, notify: 'Ana' }),
+      other: stored({ id: 'x@lid', phoneNumber: null }),
+    });
+
+    const { contacts, total } = await store.list(SESSION_ID, { limit: 2, offset: 0 });
+
+    expect(total).toBe(3);
+    expect(contacts.map(({ id }) => id)).toEqual([ANA, BETO]);
+  });
+
+  it('should cache number checks', async () => {
+    const check = { phoneNumber: '5491122334455', exists: true, jid: ANA };
+    redisMock.mGet.mockResolvedValue([JSON.stringify(check), null]);
+
+    const checks = await store.getNumberChecks(['5491122334455', '5491166667777']);
+    await store.saveNumberChecks([check]);
+
+    expect([...checks]).toEqual([['5491122334455', check]]);
+    expect(multiMock.setEx).toHaveBeenCalledWith(
+      'onwhatsapp:5491122334455',
+      60,
+      JSON.stringify(check),
+    );
+  });
+});
@@ -0,0 +1,115 @@
+import { jest } from '@jest/globals';
+
+import GroupManager, { normalizeGroupUpdate } from '../../src/core/services/GroupManager.js';
+
+const SESSION_ID = 'user-1-42';
+const GROUP_JID = '120363041234567890@g.us';
+const ANA = '5491122334455@s.whatsapp.net';
+const BETO = '5491166667777@s.whatsapp.net';
+
+const metadata = (overrides = {}) => ({
+  id: GROUP_JID,
+  subject: 'Team',
+  owner: ANA,
+  desc: 'Weekly sync',
+  announce: false,
+  restrict: true,
+  participants: [
+    { id: ANA, admin: 'superadmin' },
+    { id: BETO, admin: null },
+  ],
+  ...overrides,
+});
+
+describe('GroupManager', () => {
+  let groups;
+  let sockMock;
+  let sessionManagerMock;
+
+  beforeEach(() => {
+    sockMock = {
+      groupCreate: jest.fn().mockResolvedValue(metadata()),
+      groupMetadata: jest.fn().mockResolvedValue(metadata()),
+      groupParticipantsUpdate: jest.fn().mockResolvedValue([
+        { jid: ANA, status: '200' },
+        { jid: BETO, status: '409' },
+      ]),
+      groupUpdateSubject: jest.fn().mockResolvedValue(),
+      groupUpdateDescription: jest.fn().mockResolvedValue(),
+      groupSettingUpdate: jest.fn().mockResolvedValue(),
+      groupRevokeInvite: jest.fn().mockResolvedValue('NewCode'),
+      updateProfilePicture: jest.fn().mockResolvedValue(),
+    };
+    sessionManagerMock = {
+      getConnectedSocket: jest.fn(() => sockMock),
+      formatJID: (phoneNumber) => `${phoneNumber}@s.whatsapp.net`,
+      readUploadedImage: jest.fn().mockResolvedValue('image-stream'),
+    };
+
+    groups = new GroupManager(sessionManagerMock);
+  });
+
+  it('should create groups with participant JIDs', async () => {
+    const group = await groups.create(SESSION_ID, {
+      name: 'Team',
+      participants: ['5491166667777'],
+    });
+
+    expect(sockMock.groupCreate).toHaveBeenCalledWith('Team', [BETO]);
+    expect(group).toMatchObject({
+      id: GROUP_JID,
+      description: 'Weekly sync',
+      announce: false,
+      locked: true,
+      size: 2,
+    });
+    expect(group.participants).toEqual([
+      { jid: ANA, admin: 'superadmin' },
+      { jid: BETO, admin: null },
+    ]);
+  });
+
+  it('should report the outcome per participant', async () => {
+    const results = await groups.updateParticipants(SESSION_ID, '120363041234567890', 'add', [
+      '5491122334455',
+      '5491166667777',
+    ]);
+
+    expect(sockMock.groupParticipantsUpdate).toHaveBeenCalledWith(GROUP_JID, [ANA, BETO], 'add');
+    expect(results).toEqual([
+      { jid: ANA, status: 200, success: true },
+      { jid: BETO, status: 409, success: false },
+    ]);
+  });
+
+  it('should only apply the given changes', async () => {
+    await groups.update(SESSION_ID, GROUP_JID, { description: '', announce: true });
+
+    expect(sockMock.groupUpdateSubject).not.toHaveBeenCalled();
+    expect(sockMock.groupUpdateDescription).toHaveBeenCalledWith(GROUP_JID, undefined);
+    expect(sockMock.groupSettingUpdate).toHaveBeenCalledTimes(1);
+    expect(sockMock.groupSettingUpdate).toHaveBeenCalledWith(GROUP_JID, 'announcement');
+  });
+
+  it('should set the picture from an uploaded image', async () => {
+    await groups.setPicture(SESSION_ID, GROUP_JID, 'media-1');
+
+    expect(sessionManagerMock.readUploadedImage).toHaveBeenCalledWith(SESSION_ID, 'media-1');
+    expect(sockMock.updateProfilePicture).toHaveBeenCalledWith(GROUP_JID, {
+      stream: 'image-stream',
+    });
+  });
+
+  it('should return the new invite link when revoking', async () => {
+    await expect(groups.revokeInviteLink(SESSION_ID, GROUP_JID)).resolves.toEqual({
+      code: 'NewCode',
+      link: 'https://chat.whatsapp.com/NewCode',
+    });
+  });
+
+  it('should map group update fields to their API names', () => {
+    expect(
+      normalizeGroupUpdate({ id: GROUP_JID, desc: 'New', restrict: false, descId: 'x' }),
+    ).toEqual({ id: GROUP_JID, description: 'New', locked: false });
+  });
+});
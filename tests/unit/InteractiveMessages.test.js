@@ -0,0 +1,82 @@
+import { jest } from '@jest/globals';
+
+const baileys = {
+  decryptPollVote: jest.fn(() => ({ selectedOptions: [] })),
+  getAggregateVotesInPollMessage: jest.fn(),
+  getKeyAuthor: (key, me) => (key.fromMe ? me : key.participant || key.remoteJid),
+  jidNormalizedUser: (jid) => jid.replace(/:\d+@/, '@'),
+  updateMessageWithPollUpdate: jest.fn(),
+};
+jest.unstable_mockModule('@whiskeysockets/baileys', () => baileys);
+
+const { default: InteractiveMessages } =
+  await import('../../src/core/services/InteractiveMessages.js');
+const { default: MessageCache } = await import('../../src/core/services/MessageCache.js');
+
+const SESSION_ID = 'user-1-42';
+const ME = '5491100000001:3@s.whatsapp.net';
+const CHAT = '5491100000002@s.whatsapp.net';
+
+const poll = {
+  key: { id: 'POLL1', remoteJid: CHAT, fromMe: true },
+  message: {
+    pollCreationMessage: { name: 'Lunch?', options: [{ optionName: 'Yes' }, { optionName: 'No' }] },
+    messageContextInfo: { messageSecret: new Uint8Array([1, 2, 3]) },
+  },
+};
+
+const vote = {
+  key: { id: 'VOTE1', remoteJid: CHAT, fromMe: false },
+  message: {
+    pollUpdateMessage: {
+      pollCreationMessageKey: poll.key,
+      vote: { encPayload: 'payload', encIv: 'iv' },
+      senderTimestampMs: '1700000000000',
+    },
+  },
+};
+
+describe('InteractiveMessages', () => {
+  let messageCache;
+  let interactive;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    messageCache = new MessageCache({ max: 2 });
+    interactive = new InteractiveMessages(messageCache);
+  });
+
+  it('should tally votes on cached polls', () => {
+    baileys.getAggregateVotesInPollMessage.mockReturnValue([
+      { name: 'Yes', voters: [CHAT] },
+      { name: 'No', voters: [] },
+    ]);
+    messageCache.add(SESSION_ID, poll);
+
+    expect(interactive.applyPollVote(SESSION_ID, vote, ME)).toEqual({
+      pollMessageId: 'POLL1',
+      voter: CHAT,
+      selectedOptions: ['Yes'],
+      results: [
+        { name: 'Yes', votes: 1, voters: [CHAT] },
+        { name: 'No', votes: 0, voters: [] },
+      ],
+    });
+    expect(baileys.decryptPollVote).toHaveBeenCalledWith(vote.message.pollUpdateMessage.vote, {
+      pollEncKey: poll.message.messageContextInfo.messageSecret,
+      pollCreatorJid: '5491100000001@s.whatsapp.net',
+      pollMsgId: 'POLL1',
+      voterJid: CHAT,
+    });
+  });
+
+  it('should drop votes on polls evicted from the message cache', () => {
+    messageCache.add(SESSION_ID, poll);
+    messageCache.add(SESSION_ID, { key: { id: 'MSG2' }, message: { conversation: 'hi' } });
+    messageCache.add(SESSION_ID, { key: { id: 'MSG3' }, message: { conversation: 'hello' } });
+
+    expect(interactive.applyPollVote(SESSION_ID, vote, ME)).toBeNull();
+    expect(baileys.decryptPollVote).not.toHaveBeenCalled();
+    expect(baileys.updateMessageWithPollUpdate).not.toHaveBeenCalled();
+  });
+});
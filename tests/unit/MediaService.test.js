@@ -0,0 +1,119 @@
+import crypto from 'node:crypto';
+
+import { jest } from '@jest/globals';
+
+import MediaService from '../../src/core/services/MediaService.js';
+
+const SESSION_ID = 'user-1-42';
+const MEDIA_ID = '0b7f1c4e-7a0d-4c1e-9f5a-2d3b4c5d6e7f';
+const SECRET = 'test-media-secret';
+const JPEG = 'image/jpeg';
+
+describe('MediaService', () => {
+  let mediaService;
+  let redisMock;
+  let multiMock;
+  let storeMock;
+
+  beforeEach(() => {
+    multiMock = {
+      hSet: jest.fn(() => multiMock),
+      expire: jest.fn(() => multiMock),
+      zAdd: jest.fn(() => multiMock),
+      exec: jest.fn().mockResolvedValue([]),
+    };
+    redisMock = {
+      multi: jest.fn(() => multiMock),
+      hGetAll: jest.fn().mockResolvedValue({}),
+      zRangeByScore: jest.fn().mockResolvedValue([]),
+      zRem: jest.fn().mockResolvedValue(1),
+    };
+    storeMock = {
+      name: 'local',
+      put: jest.fn().mockResolvedValue(),
+      get: jest.fn().mockResolvedValue('stream'),
+      remove: jest.fn().mockResolvedValue(),
+    };
+
+    mediaService = new MediaService(redisMock, storeMock, {
+      ttlDays: 1,
+      urlTtl: 60,
+      secret: SECRET,
+    });
+  });
+
+  it('should store bytes and record their metadata', async () => {
+    const buffer = Buffer.from('image bytes');
+
+    const metadata = await mediaService.save(SESSION_ID, buffer, {
+      messageId: 'ABC123',
+      mimetype: JPEG,
+    });
+
+    expect(metadata).toMatchObject({
+      sessionId: SESSION_ID,
+      messageId: 'ABC123',
+      mimetype: JPEG,
+      size: buffer.length,
+      sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+      storage: 'local',
+    });
+    expect(storeMock.put).toHaveBeenCalledWith(metadata.mediaId, buffer, metadata);
+    expect(multiMock.hSet).toHaveBeenCalledWith(
+      `media:${metadata.mediaId}`,
+      expect.objectContaining({ size: String(buffer.length) }),
+    );
+    expect(multiMock.expire).toHaveBeenCalledWith(`media:${metadata.mediaId}`, 24 * 60 * 60);
+    expect(multiMock.zAdd).toHaveBeenCalledWith('media-expiry', {
+      score: expect.any(Number),
+      value: metadata.mediaId,
+    });
+  });
+
+  it('should purge the bytes of expired media', async () => {
+    redisMock.zRangeByScore.mockResolvedValueOnce([MEDIA_ID]).mockResolvedValueOnce([]);
+
+    await expect(mediaService.purgeExpired()).resolves.toBe(1);
+    await expect(mediaService.purgeExpired()).resolves.toBe(0);
+
+    expect(storeMock.remove).toHaveBeenCalledWith(MEDIA_ID);
+    expect(redisMock.zRem).toHaveBeenCalledTimes(1);
+    expect(redisMock.zRem).toHaveBeenCalledWith('media-expiry', [MEDIA_ID]);
+  });
+
+  it('should return null for unknown media', async () => {
+    await expect(mediaService.read(MEDIA_ID)).resolves.toBeNull();
+    expect(storeMock.get).not.toHaveBeenCalled();
+  });
+
+  it('should read stored media with its metadata', async () => {
+    redisMock.hGetAll.mockResolvedValue({ mediaId: MEDIA_ID, mimetype: JPEG, size: '11' });
+
+    await expect(mediaService.read(MEDIA_ID)).resolves.toEqual({
+      metadata: { mediaId: MEDIA_ID, mimetype: JPEG, size: 11 },
+      stream: 'stream',
+    });
+  });
+
+  it('should sign URLs that verify until they expire', () => {
+    const { url } = mediaService.signUrl(MEDIA_ID);
+    const query = new URL(url, 'http://localhost').searchParams;
+    const expires = Number(query.get('expires'));
+
+    expect(url.startsWith(`/api/media/${MEDIA_ID}?`)).toBe(true);
+    expect(mediaService.verifySignature(MEDIA_ID, expires, query.get('signature'))).toBe(true);
+    expect(mediaService.verifySignature(MEDIA_ID, expires + 1, query.get('signature'))).toBe(false);
+    expect(mediaService.verifySignature('other-media', expires, query.get('signature'))).toBe(
+      false,
+    );
+  });
+
+  it('should reject expired or malformed signatures', () => {
+    const expired = Math.floor(Date.now() / 1000) - 1;
+
+    expect(
+      mediaService.verifySignature(MEDIA_ID, expired, mediaService.signature(MEDIA_ID, expired)),
+    ).toBe(false);
+    expect(mediaService.verifySignature(MEDIA_ID, expired + 120, 'abc')).toBe(false);
+  });
+});
@@ -0,0 +1,45 @@
+import MessageCache from '../../src/core/services/MessageCache.js';
+
+const message = (id, remoteJid = '5491122334455@s.whatsapp.net') => ({
+  key: { id, remoteJid, fromMe: false },
+  message: { conversation: `message ${id}` },
+});
+
+describe('MessageCache', () => {
+  let cache;
+
+  beforeEach(() => {
+    cache = new MessageCache({ max: 2, ttl: 60_000 });
+  });
+
+  it('should keep messages per session', () => {
+    cache.add('session-1', message('A'));
+
+    expect(cache.get('session-1', 'A')).toEqual(message('A'));
+    expect(cache.get('session-2', 'A')).toBeUndefined();
+  });
+
+  it('should evict the least recently used messages', () => {
+    cache.add('session-1', message('A'));
+    cache.add('session-1', message('B'));
+    cache.get('session-1', 'A');
+    cache.add('session-1', message('C'));
+
+    expect(cache.get('session-1', 'A')).toBeDefined();
+    expect(cache.get('session-1', 'B')).toBeUndefined();
+  });
+
+  it('should skip messages without content', () => {
+    cache.add('session-1', { key: { id: 'stub' } });
+    cache.add('session-1', undefined);
+
+    expect(cache.get('session-1', 'stub')).toBeUndefined();
+  });
+
+  it('should forget a cleared session', () => {
+    cache.add('session-1', message('A'));
+    cache.clear('session-1');
+
+    expect(cache.get('session-1', 'A')).toBeUndefined();
+  });
+});
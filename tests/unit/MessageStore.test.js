@@ -0,0 +1,223 @@
+import { jest } from '@jest/globals';
+
+import MessageStore, { DIRECTIONS } from '../../src/core/services/MessageStore.js';
+import { encrypt } from '../../src/core/utils/encryption.js';
+
+const SESSION_ID = 'user-1-42';
+const RECORDS_KEY = `messages:${SESSION_ID}:records`;
+const TIMELINE_KEY = `messages:${SESSION_ID}:timeline`;
+const DELIVERY_KEY = `messages:${SESSION_ID}:delivery`;
+const SERVER_ACK = 'server_ack';
+const ANA = '5491122334455@s.whatsapp.net';
+const BETO = '5491166667777@s.whatsapp.net';
+
+const entry = (time, messageId, chat, direction = DIRECTIONS.IN) => ({
+  id: `${time}-0`,
+  message: { messageId, chat, direction },
+});
+
+const record = (id, fields = {}) => encrypt(JSON.stringify({ id, ...fields }));
+const records = (key, ids) => Promise.resolve(ids.map((id) => record(id)));
+
+describe('MessageStore', () => {
+  let store;
+  let redisMock;
+  let multiMock;
+
+  beforeEach(() => {
+    multiMock = {
+      xAdd: jest.fn(() => multiMock),
+      hSet: jest.fn(() => multiMock),
+      xDel: jest.fn(() => multiMock),
+      hDel: jest.fn(() => multiMock),
+      hIncrBy: jest.fn(() => multiMock),
+      exec: jest.fn().mockResolvedValue([]),
+    };
+    redisMock = {
+      multi: jest.fn(() => multiMock),
+      hGet: jest.fn().mockResolvedValue(null),
+      hSet: jest.fn().mockResolvedValue(1),
+      hmGet: jest.fn(records),
+      hGetAll: jest.fn().mockResolvedValue({}),
+      xRevRange: jest.fn().mockResolvedValue([]),
+      xLen: jest.fn().mockResolvedValue(0),
+      xRange: jest.fn().mockResolvedValue([]),
+    };
+
+    store = new MessageStore(redisMock, { maxLength: 2, retentionDays: 1 });
+  });
+
+  it('should index messages in the timeline and encrypt their record', async () => {
+    await store.add(
+      SESSION_ID,
+      { id: 'MSG1', chat: ANA, text: 'secret' },
+      { direction: 'out', status: 'pending' },
+    );
+
+    expect(multiMock.xAdd).toHaveBeenCalledWith(TIMELINE_KEY, '*', {
+      messageId: 'MSG1',
+      chat: ANA,
+      direction: 'out',
+    });
+    const [[key, field, value]] = multiMock.hSet.mock.calls;
+    expect([key, field]).toEqual([RECORDS_KEY, 'MSG1']);
+    expect(value).not.toContain('secret');
+    expect(multiMock.hIncrBy).toHaveBeenCalledWith(DELIVERY_KEY, 'sent', 1);
+  });
+
+  it('should never record a status older than the current one', async () => {
+    redisMock.hGet.mockResolvedValue(record('MSG1', { status: 'read' }));
+
+    await expect(store.updateStatus(SESSION_ID, 'MSG1', 3)).resolves.toMatchObject({
+      status: 'read',
+    });
+    await expect(store.updateStatus(SESSION_ID, 'MSG1', 0)).resolves.toMatchObject({
+      status: 'read',
+    });
+    expect(multiMock.hSet).not.toHaveBeenCalled();
+
+    await store.updateStatus(SESSION_ID, 'MSG1', 5);
+    expect(multiMock.hSet).toHaveBeenCalledWith(RECORDS_KEY, 'MSG1', expect.any(String));
+  });
+
+  it('should name statuses and keep the time each one was reached', async () => {
+    redisMock.hGet.mockResolvedValue(
+      record('MSG1', {
+        direction: DIRECTIONS.OUT,
+        status: SERVER_ACK,
+        statusTimestamps: { pending: 'T1', [SERVER_ACK]: 'T2' },
+      }),
+    );
+
+    const updated = await store.updateStatus(SESSION_ID, 'MSG1', 4);
+
+    expect(updated).toMatchObject({ status: 'read', statusAt: expect.any(String) });
+    expect(updated.statusTimestamps).toEqual({
+      pending: 'T1',
+      [SERVER_ACK]: 'T2',
+      read: updated.statusAt,
+    });
+    // Read without a delivery receipt still counts as delivered
+    expect(multiMock.hIncrBy.mock.calls).toEqual([
+      [DELIVERY_KEY, 'delivered', 1],
+      [DELIVERY_KEY, 'read', 1],
+    ]);
+  });
+
+  it('should only count failures of undelivered messages', async () => {
+    redisMock.hGet.mockResolvedValueOnce(record('MSG1', { direction: 'out', status: 'pending' }));
+    await expect(store.updateStatus(SESSION_ID, 'MSG1', 0)).resolves.toMatchObject({
+      status: 'failed',
+    });
+    expect(multiMock.hIncrBy).toHaveBeenCalledWith(DELIVERY_KEY, 'failed', 1);
+
+    redisMock.hGet.mockResolvedValueOnce(record('MSG1', { direction: 'out', status: 'failed' }));
+    await store.updateStatus(SESSION_ID, 'MSG1', 3);
+    expect(multiMock.hIncrBy).toHaveBeenCalledWith(DELIVERY_KEY, 'failed', -1);
+  });
+
+  it('should apply concurrent receipts of a message one after another', async () => {
+    const hash = new Map([
+      ['MSG1', record('MSG1', { direction: DIRECTIONS.OUT, status: SERVER_ACK })],
+    ]);
+    const pending = [];
+    redisMock.hGet.mockImplementation((key, id) => Promise.resolve(hash.get(id) ?? null));
+    multiMock.hSet.mockImplementation((key, id, value) => {
+      pending.push([id, value]);
+      return multiMock;
+    });
+    multiMock.exec.mockImplementation(async () => {
+      await new Promise((resolve) => {
+        setImmediate(resolve);
+      });
+      for (const [id, value] of pending.splice(0)) {
+        hash.set(id, value);
+      }
+    });
+
+    await Promise.all([
+      store.updateStatus(SESSION_ID, 'MSG1', 3),
+      store.updateStatus(SESSION_ID, 'MSG1', 4),
+    ]);
+
+    await expect(store.get(SESSION_ID, 'MSG1')).resolves.toMatchObject({ status: 'read' });
+    expect(multiMock.hIncrBy.mock.calls).toEqual([
+      [DELIVERY_KEY, 'delivered', 1],
+      [DELIVERY_KEY, 'read', 1],
+    ]);
+  });
+
+  it('should report delivery rates of sent messages', async () => {
+    redisMock.hGetAll.mockResolvedValue({
+      sent: '8',
+      [SERVER_ACK]: '8',
+      delivered: '6',
+      read: '3',
+    });
+
+    await expect(store.getDeliveryStats(SESSION_ID)).resolves.toEqual({
+      sent: 8,
+      counts: { [SERVER_ACK]: 8, delivered: 6, read: 3, played: 0, failed: 0 },
+      rates: { [SERVER_ACK]: 1, delivered: 0.75, read: 0.375, played: 0, failed: 0 },
+    });
+  });
+
+  it('should ignore status updates of unknown messages and statuses', async () => {
+    await expect(store.updateStatus(SESSION_ID, 'MISSING', 4)).resolves.toBeNull();
+
+    redisMock.hGet.mockResolvedValue(record('MSG1', { status: SERVER_ACK }));
+    await expect(store.updateStatus(SESSION_ID, 'MSG1', -1)).resolves.toBeNull();
+    await expect(store.updateStatus(SESSION_ID, 'MSG1', 6)).resolves.toBeNull();
+    expect(multiMock.exec).not.toHaveBeenCalled();
+  });
+
+  it('should page through filtered messages with a cursor', async () => {
+    redisMock.xRevRange
+      .mockResolvedValueOnce([entry(5, 'M5', ANA), entry(4, 'M4', BETO)])
+      .mockResolvedValueOnce([entry(3, 'M3', ANA), entry(2, 'M2', ANA)]);
+
+    const page = await store.query(SESSION_ID, { chat: ANA, limit: 2 });
+
+    expect(page.messages.map(({ id }) => id)).toEqual(['M5', 'M3']);
+    expect(page.nextCursor).toBe('3-0');
+    expect(redisMock.xRevRange).toHaveBeenLastCalledWith(TIMELINE_KEY, '(4-0', '-', { COUNT: 2 });
+  });
+
+  it('should end pagination when the range is exhausted', async () => {
+    redisMock.xRevRange.mockResolvedValueOnce([entry(1, 'M1', ANA, DIRECTIONS.OUT)]);
+
+    const page = await store.query(SESSION_ID, {
+      direction: DIRECTIONS.OUT,
+      cursor: '2-0',
+      startDate: new Date(0).toISOString(),
+    });
+
+    expect(page).toEqual({ messages: [{ id: 'M1' }], nextCursor: null });
+    expect(redisMock.xRevRange).toHaveBeenCalledWith(TIMELINE_KEY, '(2-0', '0', { COUNT: 50 });
+  });
+
+  it('should drop messages beyond the length limit or past retention', async () => {
+    const now = Date.now();
+    redisMock.xLen.mockResolvedValue(3);
+    redisMock.xRange.mockResolvedValue([
+      entry(now - 10, 'OLDEST', ANA),
+      entry(now - 2 * 24 * 60 * 60 * 1000, 'EXPIRED', ANA),
+      entry(now - 5, 'RECENT', ANA),
+    ]);
+
+    await expect(store.trim(SESSION_ID, now)).resolves.toBe(2);
+    expect(multiMock.hDel).toHaveBeenCalledWith(RECORDS_KEY, ['OLDEST', 'EXPIRED']);
+  });
+
+  it('should trim the history of every session', async () => {
+    const now = Date.now();
+    redisMock.scanIterator = jest.fn(async function* scan() {
+      yield TIMELINE_KEY;
+    });
+    redisMock.xRange.mockResolvedValue([entry(now - 2 * 24 * 60 * 60 * 1000, 'EXPIRED', ANA)]);
+
+    await expect(store.trimAll(now)).resolves.toBe(1);
+    expect(redisMock.scanIterator).toHaveBeenCalledWith({ MATCH: 'messages:*:timeline' });
+    expect(redisMock.xRange).toHaveBeenCalledWith(TIMELINE_KEY, '-', '+', { COUNT: 1000 });
+  });
+});
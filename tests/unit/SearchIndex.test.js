@@ -0,0 +1,85 @@
+import { jest } from '@jest/globals';
+
+import SearchIndex from '../../src/core/services/SearchIndex.js';
+
+const SESSION_ID = 'user_1_1';
+const CHAT = '5491122334455@s.whatsapp.net';
+const OTHER_CHAT = '5491166667777@s.whatsapp.net';
+
+const MESSAGES = [
+  { id: 'M1', chat: CHAT, timestamp: 100, text: 'El camión llega mañana' },
+  { id: 'M2', chat: CHAT, timestamp: 200, text: 'Mañana llega el pedido, el camión también' },
+  { id: 'M3', chat: OTHER_CHAT, timestamp: 300, text: 'Camion camion camion' },
+  {
+    id: 'M4',
+    chat: OTHER_CHAT,
+    timestamp: 400,
+    text: null,
+    media: { fileName: 'factura-marzo.pdf' },
+  },
+];
+
+async function* stored(messages) {
+  yield* messages;
+}
+
+const ids = (results) => results.map(({ messageId }) => messageId);
+
+describe('SearchIndex', () => {
+  let index;
+
+  beforeEach(async () => {
+    index = new SearchIndex();
+    await index.ensureLoaded(SESSION_ID, () => stored(MESSAGES));
+  });
+
+  it('should match words ignoring case and diacritics, best matches first', () => {
+    expect(ids(index.search(SESSION_ID, 'CAMIÓN'))).toEqual(['M3', 'M2', 'M1']);
+  });
+
+  it('should require every word and keep quoted phrases in order', () => {
+    expect(ids(index.search(SESSION_ID, 'camion mañana'))).toEqual(['M2', 'M1']);
+    expect(ids(index.search(SESSION_ID, '"camión llega"'))).toEqual(['M1']);
+    expect(ids(index.search(SESSION_ID, '"llega camión"'))).toEqual([]);
+  });
+
+  it('should filter by chat and limit the results', () => {
+    expect(ids(index.search(SESSION_ID, 'camion', { chat: CHAT }))).toEqual(['M2', 'M1']);
+    expect(ids(index.search(SESSION_ID, 'camion', { limit: 1 }))).toEqual(['M3']);
+  });
+
+  it('should index document file names', () => {
+    expect(ids(index.search(SESSION_ID, 'factura'))).toEqual(['M4']);
+  });
+
+  it('should only index new messages of loaded sessions', () => {
+    index.add(SESSION_ID, { id: 'M5', chat: CHAT, timestamp: 500, text: 'Otro camión' });
+    index.add('user_2_1', { id: 'M6', chat: CHAT, timestamp: 500, text: 'camión' });
+
+    expect(ids(index.search(SESSION_ID, 'otro'))).toEqual(['M5']);
+    expect(index.search('user_2_1', 'camión')).toEqual([]);
+  });
+
+  it('should forget removed messages', () => {
+    index.remove(SESSION_ID, 'M3');
+
+    expect(ids(index.search(SESSION_ID, 'camion'))).toEqual(['M2', 'M1']);
+  });
+
+  it('should load each session once for concurrent searches', async () => {
+    const load = jest.fn(() => stored(MESSAGES));
+
+    await Promise.all([index.ensureLoaded('user_2_1', load), index.ensureLoaded('user_2_1', load)]);
+    await index.ensureLoaded('user_2_1', load);
+
+    expect(load).toHaveBeenCalledTimes(1);
+  });
+
+  it('should highlight matches in an escaped excerpt', () => {
+    const message = { text: `<b>${'x'.repeat(100)}</b> el camión "llega" tarde` };
+
+    expect(index.highlight(message, 'camion "llega tarde"')).toBe(
+      `…${'x'.repeat(52)}&lt;/b&gt; el <mark>camión</mark> &quot;<mark>llega&quot; tarde</mark>`,
+    );
+  });
+});
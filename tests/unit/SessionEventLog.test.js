@@ -0,0 +1,80 @@
+import { jest } from '@jest/globals';
+
+import SessionEventLog from '../../src/core/services/SessionEventLog.js';
+import { decrypt, encrypt } from '../../src/core/utils/encryption.js';
+
+const SESSION_ID = 'session-1';
+const EVENTS_KEY = `events:${SESSION_ID}`;
+const FIRST_ID = '1700000000000-0';
+const READY = 'session-ready';
+
+describe('SessionEventLog', () => {
+  let eventLog;
+  let redisMock;
+  let multiMock;
+
+  beforeEach(() => {
+    multiMock = {
+      xAdd: jest.fn(() => multiMock),
+      expire: jest.fn(() => multiMock),
+      exec: jest.fn().mockResolvedValue([FIRST_ID, true]),
+    };
+    redisMock = {
+      multi: jest.fn(() => multiMock),
+      xRange: jest.fn(),
+    };
+
+    eventLog = new SessionEventLog(redisMock, { maxLength: 50, ttl: 60 });
+  });
+
+  it('should append encrypted events to a trimmed, expiring stream', async () => {
+    const entry = await eventLog.append(SESSION_ID, 'qr-update', { qr: 'abc' });
+
+    expect(entry).toEqual({ id: FIRST_ID, event: 'qr-update', data: { qr: 'abc' } });
+    expect(multiMock.xAdd).toHaveBeenCalledWith(
+      EVENTS_KEY,
+      '*',
+      { event: 'qr-update', data: expect.stringMatching(/^enc:v1:/) },
+      { TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: 50 } },
+    );
+    expect(decrypt(multiMock.xAdd.mock.calls[0][2].data)).toBe('{"qr":"abc"}');
+    expect(multiMock.expire).toHaveBeenCalledWith(EVENTS_KEY, 60);
+  });
+
+  it('should notify subscribers until they unsubscribe', async () => {
+    const listener = jest.fn();
+    const unsubscribe = eventLog.subscribe(SESSION_ID, listener);
+
+    await eventLog.append(SESSION_ID, 'message-status', { status: 3 });
+    unsubscribe();
+    await eventLog.append(SESSION_ID, 'message-status', { status: 4 });
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ id: FIRST_ID }));
+  });
+
+  it('should still notify subscribers when Redis is down', async () => {
+    const listener = jest.fn();
+    multiMock.exec.mockRejectedValue(new Error('connection lost'));
+    eventLog.subscribe(SESSION_ID, listener);
+
+    await eventLog.append(SESSION_ID, READY, {});
+
+    expect(listener).toHaveBeenCalledWith({ id: null, event: READY, data: {} });
+  });
+
+  it('should read events after an id, exclusively', async () => {
+    redisMock.xRange.mockResolvedValue([
+      { id: '1700000000001-0', message: { event: READY, data: '{"sessionId":"session-1"}' } },
+      { id: '1700000000002-0', message: { event: READY, data: encrypt('{"restored":true}') } },
+    ]);
+
+    const events = await eventLog.readSince(SESSION_ID, FIRST_ID);
+
+    expect(redisMock.xRange).toHaveBeenCalledWith(EVENTS_KEY, '(1700000000000-0', '+');
+    expect(events).toEqual([
+      { id: '1700000000001-0', event: READY, data: { sessionId: SESSION_ID } },
+      { id: '1700000000002-0', event: READY, data: { restored: true } },
+    ]);
+  });
+});
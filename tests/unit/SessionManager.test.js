@@ -0,0 +1,117 @@
+import { jest } from '@jest/globals';
+
+// The socket is stubbed per test; only the constants and helpers loaded
+// with the services are needed
+jest.unstable_mockModule('@whiskeysockets/baileys', () => ({
+  DisconnectReason: {
+    connectionClosed: 428,
+    connectionLost: 408,
+    connectionReplaced: 440,
+    loggedOut: 401,
+    badSession: 500,
+    restartRequired: 515,
+    multideviceMismatch: 411,
+    forbidden: 403,
+    unavailableService: 503,
+  },
+  BufferJSON: {},
+  initAuthCreds: jest.fn(),
+  proto: {},
+  makeWASocket: jest.fn(),
+  makeCacheableSignalKeyStore: jest.fn(),
+  downloadMediaMessage: jest.fn(),
+  generateWAMessageFromContent: jest.fn(),
+  jidNormalizedUser: (jid) => jid,
+  decryptPollVote: jest.fn(),
+  getAggregateVotesInPollMessage: jest.fn(),
+  getKeyAuthor: jest.fn(),
+  updateMessageWithPollUpdate: jest.fn(),
+}));
+
+const { default: SessionManager } = await import('../../src/core/services/SessionManager.js');
+const { SESSION_STATES } = await import('../../src/core/services/SessionStateMachine.js');
+
+const SESSION_ID = 'user-1-42';
+
+describe('SessionManager', () => {
+  let manager;
+  let sockMock;
+
+  beforeEach(() => {
+    const transaction = {
+      rPush: jest.fn(() => transaction),
+      lTrim: jest.fn(() => transaction),
+      expire: jest.fn(() => transaction),
+      xAdd: jest.fn(() => transaction),
+      exec: jest.fn().mockResolvedValue(['1-0']),
+    };
+    const redisMock = {
+      multi: jest.fn(() => transaction),
+      get: jest.fn().mockResolvedValue(null),
+      del: jest.fn().mockResolvedValue(1),
+      setEx: jest.fn().mockResolvedValue('OK'),
+    };
+    const ioMock = { to: jest.fn(() => ({ emit: jest.fn() })) };
+
+    manager = new SessionManager(redisMock, ioMock);
+    jest.spyOn(manager, 'initializeSession').mockImplementation(() => {
+      sockMock = { ev: { removeAllListeners: jest.fn() }, end: jest.fn() };
+      return Promise.resolve({ sock: sockMock, status: SESSION_STATES.INITIALIZING });
+    });
+  });
+
+  it('should release sessions that gave up reconnecting and recreate them', async () => {
+    await manager.createSession(SESSION_ID);
+    await manager.setState(SESSION_ID, SESSION_STATES.CONNECTED);
+    const failedSock = sockMock;
+
+    await manager.failReconnection(SESSION_ID, 'max_attempts_exceeded');
+
+    expect(failedSock.end).toHaveBeenCalled();
+    expect(manager.sessions.has(SESSION_ID)).toBe(false);
+    expect(manager.stateMachine.getState(SESSION_ID)).toBe(SESSION_STATES.RECONNECT_FAILED);
+
+    await expect(manager.createSession(SESSION_ID)).resolves.toMatchObject({
+      status: 'initializing',
+    });
+    expect(manager.stateMachine.getState(SESSION_ID)).toBe(SESSION_STATES.INITIALIZING);
+  });
+
+  it('should recreate sessions in states that cannot reconnect', async () => {
+    await manager.createSession(SESSION_ID);
+    await manager.setState(SESSION_ID, SESSION_STATES.LOGGED_OUT);
+
+    await manager.createSession(SESSION_ID);
+
+    expect(manager.stateMachine.getState(SESSION_ID)).toBe(SESSION_STATES.INITIALIZING);
+    expect(manager.sessions.get(SESSION_ID).sock).toBe(sockMock);
+  });
+
+  it('should look numbers up a few at a time', async () => {
+    const numbers = Array.from({ length: 12 }, (_, index) => `5491100000${10 + index}`);
+    let inFlight = 0;
+    let mostInFlight = 0;
+
+    await manager.createSession(SESSION_ID);
+    await manager.setState(SESSION_ID, SESSION_STATES.CONNECTED);
+    sockMock.onWhatsApp = jest.fn(async (number) => {
+      inFlight += 1;
+      mostInFlight = Math.max(mostInFlight, inFlight);
+      await new Promise(setImmediate);
+      inFlight -= 1;
+      return number.endsWith('0') ? [{ jid: `${number}@s.whatsapp.net`, exists: true }] : [];
+    });
+    jest.spyOn(manager.contactStore, 'getNumberChecks').mockResolvedValue(new Map());
+    jest.spyOn(manager.contactStore, 'saveNumberChecks').mockResolvedValue();
+
+    const results = await manager.checkNumbers(SESSION_ID, numbers);
+
+    expect(sockMock.onWhatsApp).toHaveBeenCalledTimes(12);
+    expect(mostInFlight).toBe(5);
+    expect(results.map(({ phoneNumber }) => phoneNumber)).toEqual(numbers);
+    expect(results.filter(({ exists }) => exists)).toEqual([
+      { phoneNumber: '549110000010', exists: true, jid: '549110000010@s.whatsapp.net' },
+      { phoneNumber: '549110000020', exists: true, jid: '549110000020@s.whatsapp.net' },
+    ]);
+  });
+});
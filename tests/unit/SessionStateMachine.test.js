@@ -0,0 +1,101 @@
+import { jest } from '@jest/globals';
+
+import SessionStateMachine, {
+  SESSION_STATES,
+} from '../../src/core/services/SessionStateMachine.js';
+
+const HISTORY_KEY = 'session:session-1:history';
+
+describe('SessionStateMachine', () => {
+  let stateMachine;
+  let redisMock;
+  let multiMock;
+  let stored;
+
+  beforeEach(() => {
+    stored = [];
+    multiMock = {
+      rPush: jest.fn((key, value) => {
+        stored.push(value);
+        return multiMock;
+      }),
+      lTrim: jest.fn(() => multiMock),
+      expire: jest.fn(() => multiMock),
+      exec: jest.fn().mockResolvedValue([]),
+    };
+    redisMock = {
+      multi: jest.fn(() => multiMock),
+      lRange: jest.fn(() => Promise.resolve(stored)),
+    };
+
+    stateMachine = new SessionStateMachine(redisMock);
+  });
+
+  describe('Transitions', () => {
+    it('should start unknown sessions as initializing', async () => {
+      await stateMachine.transition('session-1', SESSION_STATES.INITIALIZING);
+
+      expect(stateMachine.getState('session-1')).toBe(SESSION_STATES.INITIALIZING);
+    });
+
+    it('should follow the QR pairing flow', async () => {
+      await stateMachine.transition('session-1', SESSION_STATES.INITIALIZING);
+      await stateMachine.transition('session-1', SESSION_STATES.WAITING_QR);
+      await stateMachine.transition('session-1', SESSION_STATES.PAIRING);
+      await stateMachine.transition('session-1', SESSION_STATES.RECONNECTING);
+      await stateMachine.transition('session-1', SESSION_STATES.INITIALIZING);
+      await stateMachine.transition('session-1', SESSION_STATES.CONNECTED);
+
+      expect(stateMachine.getState('session-1')).toBe(SESSION_STATES.CONNECTED);
+    });
+
+    it('should reject illegal transitions', async () => {
+      await stateMachine.transition('session-1', SESSION_STATES.INITIALIZING);
+      await stateMachine.transition('session-1', SESSION_STATES.CONNECTED);
+
+      await expect(stateMachine.transition('session-1', SESSION_STATES.WAITING_QR)).rejects.toThrow(
+        'Illegal session state transition: connected -> waiting_qr',
+      );
+      expect(stateMachine.getState('session-1')).toBe(SESSION_STATES.CONNECTED);
+    });
+
+    it('should not connect a session unknown to the process', async () => {
+      await expect(stateMachine.transition('session-1', SESSION_STATES.CONNECTED)).rejects.toThrow(
+        'Illegal session state transition',
+      );
+    });
+
+    it('should ignore transitions to the current state', async () => {
+      await stateMachine.transition('session-1', SESSION_STATES.INITIALIZING);
+      const result = await stateMachine.transition('session-1', SESSION_STATES.INITIALIZING);
+
+      expect(result).toBeNull();
+      expect(multiMock.rPush).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('History', () => {
+    it('should record timestamped transitions in order', async () => {
+      await stateMachine.transition('session-1', SESSION_STATES.INITIALIZING);
+      await stateMachine.transition('session-1', SESSION_STATES.WAITING_QR, 'qr_generated');
+
+      const history = await stateMachine.getHistory('session-1');
+
+      expect(redisMock.lRange).toHaveBeenCalledWith(HISTORY_KEY, 0, -1);
+      expect(history).toHaveLength(2);
+      expect(history[1]).toMatchObject({
+        from: SESSION_STATES.INITIALIZING,
+        to: SESSION_STATES.WAITING_QR,
+        reason: 'qr_generated',
+      });
+      expect(new Date(history[1].at).toString()).not.toBe('Invalid Date');
+    });
+
+    it('should cap and expire the history list', async () => {
+      await stateMachine.transition('session-1', SESSION_STATES.INITIALIZING);
+
+      expect(multiMock.lTrim).toHaveBeenCalledWith(HISTORY_KEY, -100, -1);
+      expect(multiMock.expire).toHaveBeenCalledWith(HISTORY_KEY, 604_800);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+import { jest } from '@jest/globals';
+
+const LEGACY = '{"legacy":true}';
+
+const loadEncryption = (env) => {
+  jest.resetModules();
+  Object.assign(process.env, env);
+  return import('../../src/core/utils/encryption.js');
+};
+
+describe('encryption', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  it('should round-trip values with a versioned payload', async () => {
+    const { encrypt, decrypt, getKeyVersion } = await loadEncryption({
+      ENCRYPTION_KEY: 'first-key',
+      ENCRYPTION_KEY_VERSION: '1',
+    });
+
+    const payload = encrypt('{"noiseKey":"secret"}');
+
+    expect(payload).toMatch(/^enc:v1:/);
+    expect(payload).not.toContain('secret');
+    expect(getKeyVersion(payload)).toBe(1);
+    expect(decrypt(payload)).toBe('{"noiseKey":"secret"}');
+  });
+
+  it('should pass legacy plaintext through', async () => {
+    const { decrypt, needsReEncryption } = await loadEncryption({ ENCRYPTION_KEY: 'first-key' });
+
+    expect(decrypt(LEGACY)).toBe(LEGACY);
+    expect(needsReEncryption(LEGACY)).toBe(true);
+  });
+
+  it('should read data written with a previous key after rotation', async () => {
+    const { encrypt } = await loadEncryption({
+      ENCRYPTION_KEY: 'first-key',
+      ENCRYPTION_KEY_VERSION: '1',
+    });
+    const oldPayload = encrypt('creds');
+
+    const rotated = await loadEncryption({
+      ENCRYPTION_KEY: 'second-key',
+      ENCRYPTION_KEY_VERSION: '2',
+      ENCRYPTION_PREVIOUS_KEYS: '1:first-key',
+    });
+
+    expect(rotated.decrypt(oldPayload)).toBe('creds');
+    expect(rotated.needsReEncryption(oldPayload)).toBe(true);
+    expect(rotated.needsReEncryption(rotated.encrypt('creds'))).toBe(false);
+  });
+
+  it('should reject tampered payloads and unknown key versions', async () => {
+    const { encrypt, decrypt } = await loadEncryption({ ENCRYPTION_KEY: 'first-key' });
+    const [prefix, version, iv, tag, ciphertext] = encrypt('creds').split(':');
+    const tampered = [
+      prefix,
+      version,
+      iv,
+      tag,
+      `${ciphertext.startsWith('A') ? 'B' : 'A'}${ciphertext.slice(1)}`,
+    ].join(':');
+
+    expect(() => decrypt(tampered)).toThrow();
+    expect(() => decrypt(`enc:v9:${iv}:${tag}:${ciphertext}`)).toThrow(
+      'No encryption key configured for version 9',
+    );
+  });
+});
@@ -0,0 +1,87 @@
+import {
+  INTERACTIVE_TYPES,
+  buildNativeContent,
+  buildTextMenu,
+  extractNativeSelection,
+  getOptions,
+  matchMenuReply,
+} from '../../src/core/utils/interactiveContent.js';
+
+const list = {
+  title: 'Menu',
+  text: 'What would you like?',
+  buttonText: 'Options',
+  sections: [
+    {
+      title: 'Food',
+      rows: [
+        { id: 'pizza', title: 'Pizza', description: 'Mozzarella' },
+        { id: 'sushi', title: 'Sushi' },
+      ],
+    },
+    { title: 'Drinks', rows: [{ id: 'water', title: 'Water' }] },
+  ],
+};
+
+const buttons = {
+  text: 'Confirm the order?',
+  buttons: [
+    { id: 'yes', text: 'Yes' },
+    { id: 'no', text: 'No' },
+  ],
+};
+
+describe('interactiveContent', () => {
+  it('should number options across list sections', () => {
+    const menu = buildTextMenu(INTERACTIVE_TYPES.LIST, list);
+
+    expect(menu).toContain('*Food*\n1. Pizza - Mozzarella\n2. Sushi');
+    expect(menu).toContain('*Drinks*\n3. Water');
+    expect(getOptions(INTERACTIVE_TYPES.LIST, list).map(({ id }) => id)).toEqual([
+      'pizza',
+      'sushi',
+      'water',
+    ]);
+  });
+
+  it('should match text replies by number or title', () => {
+    const options = getOptions(INTERACTIVE_TYPES.BUTTONS, buttons);
+
+    expect(matchMenuReply(' 2 ', options)).toEqual({ id: 'no', title: 'No' });
+    expect(matchMenuReply('yes', options)).toEqual({ id: 'yes', title: 'Yes' });
+    expect(matchMenuReply('0', options)).toBeNull();
+    expect(matchMenuReply('maybe', options)).toBeNull();
+    expect(matchMenuReply(undefined, options)).toBeNull();
+  });
+
+  it('should build native buttons', () => {
+    const { buttonsMessage } = buildNativeContent(INTERACTIVE_TYPES.BUTTONS, buttons);
+
+    expect(buttonsMessage.contentText).toBe('Confirm the order?');
+    expect(buttonsMessage.buttons[0]).toEqual({
+      buttonId: 'yes',
+      buttonText: { displayText: 'Yes' },
+      type: 1,
+    });
+  });
+
+  it('should extract native list and button replies', () => {
+    expect(
+      extractNativeSelection({
+        listResponseMessage: {
+          title: 'Sushi',
+          singleSelectReply: { selectedRowId: 'sushi' },
+          contextInfo: { stanzaId: 'MENU1' },
+        },
+      }),
+    ).toEqual({ type: 'list', id: 'sushi', title: 'Sushi', menuMessageId: 'MENU1' });
+
+    expect(
+      extractNativeSelection({
+        buttonsResponseMessage: { selectedButtonId: 'yes', selectedDisplayText: 'Yes' },
+      }),
+    ).toMatchObject({ type: 'buttons', id: 'yes', title: 'Yes' });
+
+    expect(extractNativeSelection({ conversation: '1' })).toBeNull();
+  });
+});
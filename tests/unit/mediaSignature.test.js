@@ -0,0 +1,59 @@
+import { detectMimeType, verifyMediaSignature } from '../../src/core/utils/mediaSignature.js';
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+const PDF = Buffer.from('%PDF-1.7\n%âãÏÓ\n', 'latin1');
+const MP4 = Buffer.concat([Buffer.from('00000018', 'hex'), Buffer.from('ftypisom0000', 'latin1')]);
+const WEBP = Buffer.from('RIFF\u0000\u0000\u0000\u0000WEBPVP8 ', 'latin1');
+const DOCX_MIMETYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+describe('mediaSignature', () => {
+  it('should detect formats from their leading bytes', () => {
+    expect(detectMimeType(PNG)).toBe('image/png');
+    expect(detectMimeType(PDF)).toBe('application/pdf');
+    expect(detectMimeType(MP4)).toBe('video/mp4');
+    expect(detectMimeType(WEBP)).toBe('image/webp');
+    expect(detectMimeType(Buffer.from('plain text'))).toBeNull();
+  });
+
+  it('should accept files matching the declared type', () => {
+    expect(verifyMediaSignature(PNG, { mediaType: 'image', mimeType: 'image/png' })).toEqual({
+      valid: true,
+      mimetype: 'image/png',
+    });
+    expect(
+      verifyMediaSignature(Buffer.from('504b0304', 'hex'), {
+        mediaType: 'document',
+        mimeType: DOCX_MIMETYPE,
+      }),
+    ).toEqual({ valid: true, mimetype: DOCX_MIMETYPE });
+  });
+
+  it('should reject files whose content does not match the mimetype', () => {
+    const result = verifyMediaSignature(PDF, { mediaType: 'image', mimeType: 'image/png' });
+
+    expect(result).toEqual({
+      valid: false,
+      reason: 'File content is application/pdf, not image/png',
+    });
+  });
+
+  it('should reject media sent as the wrong media type', () => {
+    expect(verifyMediaSignature(PNG, { mediaType: 'video', mimeType: 'image/png' }).valid).toBe(
+      false,
+    );
+  });
+
+  it('should only accept unrecognised content as undetectable documents', () => {
+    const text = Buffer.from('name,phone\nAna,+5491122334455\n');
+
+    expect(verifyMediaSignature(text, { mediaType: 'document', mimeType: 'text/csv' }).valid).toBe(
+      true,
+    );
+    expect(
+      verifyMediaSignature(text, { mediaType: 'document', mimeType: 'application/pdf' }).valid,
+    ).toBe(false);
+    expect(verifyMediaSignature(text, { mediaType: 'image', mimeType: 'text/csv' }).valid).toBe(
+      false,
+    );
+  });
+});
@@ -0,0 +1,89 @@
+import {
+  MESSAGE_TYPES,
+  buildMessageContent,
+  buildVCard,
+} from '../../src/core/utils/messageContent.js';
+
+const MEDIA_URL = 'https://cdn.example.com/file';
+
+describe('messageContent', () => {
+  it('should accept text as a string or an object', () => {
+    expect(buildMessageContent(MESSAGE_TYPES.TEXT, 'Hello')).toEqual({ text: 'Hello' });
+    expect(buildMessageContent(MESSAGE_TYPES.TEXT, { text: 'Hello' })).toEqual({ text: 'Hello' });
+  });
+
+  it('should send voice notes as Opus audio', () => {
+    expect(buildMessageContent(MESSAGE_TYPES.AUDIO, { mediaUrl: MEDIA_URL, ptt: true })).toEqual({
+      audio: { url: MEDIA_URL },
+      ptt: true,
+      mimetype: 'audio/ogg; codecs=opus',
+    });
+  });
+
+  it('should send uploaded media instead of a URL', () => {
+    const media = { stream: 'uploaded file' };
+
+    expect(
+      buildMessageContent(MESSAGE_TYPES.DOCUMENT, {
+        media,
+        fileName: 'report.pdf',
+        mimetype: 'application/pdf',
+      }),
+    ).toEqual({
+      document: media,
+      fileName: 'report.pdf',
+      mimetype: 'application/pdf',
+      caption: undefined,
+    });
+  });
+
+  it('should build location messages', () => {
+    const content = buildMessageContent(MESSAGE_TYPES.LOCATION, {
+      latitude: -34.6037,
+      longitude: -58.3816,
+      name: 'Obelisco',
+    });
+
+    expect(content.location).toMatchObject({
+      degreesLatitude: -34.6037,
+      degreesLongitude: -58.3816,
+      name: 'Obelisco',
+    });
+  });
+
+  it('should build contact cards with a WhatsApp id', () => {
+    const content = buildMessageContent(MESSAGE_TYPES.CONTACT, {
+      contacts: [{ fullName: 'Ana Díaz', phoneNumber: '+54 9 11 2233-4455' }],
+    });
+
+    expect(content.contacts.displayName).toBe('Ana Díaz');
+    expect(content.contacts.contacts[0].vcard).toContain(
+      'TEL;type=CELL;type=VOICE;waid=5491122334455:+5491122334455',
+    );
+  });
+
+  it('should escape vCard values', () => {
+    const vcard = buildVCard({
+      fullName: 'Díaz, Ana',
+      phoneNumber: '+5491122334455',
+      organization: 'Acme; Inc',
+    });
+
+    expect(vcard).toContain(String.raw`FN:Díaz\, Ana`);
+    expect(vcard).toContain(String.raw`ORG:Acme\; Inc;`);
+  });
+
+  it('should build polls', () => {
+    expect(
+      buildMessageContent(MESSAGE_TYPES.POLL, {
+        name: 'Lunch?',
+        values: ['Pizza', 'Sushi'],
+        selectableCount: 1,
+      }),
+    ).toEqual({ poll: { name: 'Lunch?', values: ['Pizza', 'Sushi'], selectableCount: 1 } });
+  });
+
+  it('should reject unknown types', () => {
+    expect(() => buildMessageContent('gif', {})).toThrow('Unsupported message type: gif');
+  });
+});
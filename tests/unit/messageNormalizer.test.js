@@ -0,0 +1,134 @@
+import {
+  getMessageType,
+  normalizeJid,
+  normalizeMessage,
+} from '../../src/core/utils/messageNormalizer.js';
+
+const CHAT = '5491122334455@s.whatsapp.net';
+const GROUP = '120363000000000000@g.us';
+const ME = '5491100000000:7@s.whatsapp.net';
+const MENTIONED = '5491166667777@s.whatsapp.net';
+
+const received = (message, key = {}) => ({
+  key: { remoteJid: CHAT, id: 'MSG1', fromMe: false, ...key },
+  message,
+  messageTimestamp: { toNumber: () => 1_700_000_000 },
+  pushName: 'Ana',
+});
+
+describe('messageNormalizer', () => {
+  it('should normalize text messages', () => {
+    const message = normalizeMessage(received({ conversation: 'Hola' }));
+
+    expect(message).toMatchObject({
+      id: 'MSG1',
+      chat: CHAT,
+      from: CHAT,
+      sender: CHAT,
+      isGroup: false,
+      pushName: 'Ana',
+      timestamp: 1_700_000_000,
+      type: 'text',
+      text: 'Hola',
+      media: null,
+      quoted: null,
+      mentions: [],
+    });
+  });
+
+  it('should unwrap ephemeral view-once media and keep its caption', () => {
+    const message = normalizeMessage(
+      received({
+        ephemeralMessage: {
+          message: {
+            viewOnceMessageV2: {
+              message: {
+                imageMessage: { caption: 'Look', mimetype: 'image/jpeg', fileLength: '2048' },
+              },
+            },
+          },
+        },
+      }),
+    );
+
+    expect(message).toMatchObject({ type: 'image', text: 'Look', ephemeral: true, viewOnce: true });
+    expect(message.media).toMatchObject({ type: 'image', mimetype: 'image/jpeg', size: 2048 });
+  });
+
+  it('should report the group participant as sender, with quote and mentions', () => {
+    const message = normalizeMessage(
+      received(
+        {
+          extendedTextMessage: {
+            text: '@5491166667777 see above',
+            contextInfo: {
+              stanzaId: 'QUOTED1',
+              participant: '5491166667777:3@s.whatsapp.net',
+              quotedMessage: { documentWithCaptionMessage: { message: { documentMessage: {} } } },
+              mentionedJid: [MENTIONED],
+              isForwarded: true,
+            },
+          },
+        },
+        { remoteJid: GROUP, participant: CHAT },
+      ),
+    );
+
+    expect(message).toMatchObject({ chat: GROUP, sender: CHAT, isGroup: true, forwarded: true });
+    expect(message.quoted).toEqual({
+      id: 'QUOTED1',
+      sender: MENTIONED,
+      type: 'document',
+      text: null,
+    });
+    expect(message.mentions).toEqual([MENTIONED]);
+  });
+
+  it('should expose the new content of edited messages', () => {
+    const message = normalizeMessage(
+      received({
+        protocolMessage: {
+          type: 14,
+          key: { id: 'ORIGINAL1' },
+          editedMessage: { conversation: 'Fixed typo' },
+        },
+      }),
+    );
+
+    expect(message).toMatchObject({
+      type: 'text',
+      text: 'Fixed typo',
+      edit: { messageId: 'ORIGINAL1' },
+    });
+  });
+
+  it('should describe locations and contacts', () => {
+    expect(
+      normalizeMessage(
+        received({ liveLocationMessage: { degreesLatitude: -34.6, degreesLongitude: -58.4 } }),
+      ).location,
+    ).toEqual({ latitude: -34.6, longitude: -58.4, name: null, address: null, live: true });
+
+    expect(
+      normalizeMessage(received({ contactMessage: { displayName: 'Ana', vcard: 'BEGIN:VCARD' } }))
+        .contacts,
+    ).toEqual([{ displayName: 'Ana', vcard: 'BEGIN:VCARD' }]);
+  });
+
+  it('should use the session JID as sender of its own messages', () => {
+    expect(
+      normalizeMessage(received({ conversation: 'Hi' }, { fromMe: true }), { meId: ME }).sender,
+    ).toBe('5491100000000@s.whatsapp.net');
+  });
+
+  it('should type messages by their unwrapped content', () => {
+    expect(getMessageType({ viewOnceMessage: { message: { videoMessage: {} } } })).toBe('video');
+    expect(getMessageType({ pollUpdateMessage: {} })).toBe('poll_vote');
+    expect(getMessageType({ protocolMessage: { type: 0 } })).toBe('unknown');
+  });
+
+  it('should normalize legacy and device JIDs', () => {
+    expect(normalizeJid('5491122334455@c.us')).toBe(CHAT);
+    expect(normalizeJid()).toBeNull();
+  });
+});
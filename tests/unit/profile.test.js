@@ -0,0 +1,76 @@
+import { Boom } from '@hapi/boom';
+import { jest } from '@jest/globals';
+
+import {
+  applyPrivacySettings,
+  fetchProfile,
+  normalizePrivacySettings,
+} from '../../src/core/utils/profile.js';
+
+const JID = '5491122334455@s.whatsapp.net';
+const SET_AT = new Date('2026-01-02T03:04:05Z');
+
+describe('profile', () => {
+  let sockMock;
+
+  beforeEach(() => {
+    sockMock = {
+      fetchStatus: jest
+        .fn()
+        .mockResolvedValue([{ id: JID, status: { status: 'Busy', setAt: SET_AT } }]),
+      profilePictureUrl: jest.fn().mockResolvedValue('https://pps.whatsapp.net/picture.jpg'),
+      updateLastSeenPrivacy: jest.fn().mockResolvedValue(),
+      updateReadReceiptsPrivacy: jest.fn().mockResolvedValue(),
+    };
+  });
+
+  it('should fetch the about text and picture of an account', async () => {
+    await expect(fetchProfile(sockMock, JID)).resolves.toEqual({
+      jid: JID,
+      about: 'Busy',
+      aboutSetAt: SET_AT,
+      pictureUrl: 'https://pps.whatsapp.net/picture.jpg',
+    });
+    expect(sockMock.profilePictureUrl).toHaveBeenCalledWith(JID, 'image');
+  });
+
+  it('should report hidden or missing fields as null', async () => {
+    sockMock.fetchStatus.mockResolvedValue([{ id: JID, status: { status: '', setAt: SET_AT } }]);
+    sockMock.profilePictureUrl.mockRejectedValue(new Boom('item-not-found', { data: 404 }));
+
+    await expect(fetchProfile(sockMock, JID)).resolves.toEqual({
+      jid: JID,
+      about: null,
+      aboutSetAt: null,
+      pictureUrl: null,
+    });
+  });
+
+  it('should not hide other picture errors', async () => {
+    sockMock.profilePictureUrl.mockRejectedValue(new Boom('Timed Out', { statusCode: 408 }));
+
+    await expect(fetchProfile(sockMock, JID)).rejects.toThrow('Timed Out');
+  });
+
+  it('should map privacy categories to setting names', () => {
+    expect(
+      normalizePrivacySettings({ last: 'contacts', status: 'all', readreceipts: 'none' }),
+    ).toEqual({
+      lastSeen: 'contacts',
+      online: null,
+      profilePicture: null,
+      about: 'all',
+      readReceipts: 'none',
+      groupAdd: null,
+      calls: null,
+      messages: null,
+    });
+  });
+
+  it('should apply privacy settings by name', async () => {
+    await applyPrivacySettings(sockMock, { lastSeen: 'none', readReceipts: 'all' });
+
+    expect(sockMock.updateLastSeenPrivacy).toHaveBeenCalledWith('none');
+    expect(sockMock.updateReadReceiptsPrivacy).toHaveBeenCalledWith('all');
+  });
+});
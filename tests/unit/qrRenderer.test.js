@@ -0,0 +1,27 @@
+import { QR_FORMATS, renderQR, renderQRDataURL } from '../../src/core/utils/qrRenderer.js';
+
+const QR = '2@abcdef,ghijkl,mnopqr';
+
+describe('qrRenderer', () => {
+  it('should render PNG buffers', async () => {
+    const { contentType, body } = await renderQR(QR, { format: QR_FORMATS.PNG });
+
+    expect(contentType).toBe('image/png');
+    expect(body.subarray(1, 4).toString()).toBe('PNG');
+  });
+
+  it('should apply the requested size to SVG output', async () => {
+    const { contentType, body } = await renderQR(QR, { format: QR_FORMATS.SVG, size: 512 });
+
+    expect(contentType).toBe('image/svg+xml');
+    expect(body).toContain('width="512"');
+  });
+
+  it('should render data URLs', async () => {
+    await expect(renderQRDataURL(QR)).resolves.toMatch(/^data:image\/png;base64,/);
+  });
+
+  it('should reject unknown formats', async () => {
+    await expect(renderQR(QR, { format: 'gif' })).rejects.toThrow('Unsupported QR format: gif');
+  });
+});